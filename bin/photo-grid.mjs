@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+// 命令行工具：photo-grid [options] <image or folder>...，参数见 src/cli/cliOptions.js
+// src 中的模块省略了扩展名，通过 scripts/src-loader.mjs 加载
+import { register } from 'node:module';
+import { writeFile } from 'node:fs/promises';
+
+register('../scripts/src-loader.mjs', import.meta.url);
+
+const { runCli } = await import('../src/cli/runCli.js');
+
+process.exitCode = await runCli(process.argv.slice(2), {
+  stdout: text => process.stdout.write(text),
+  stderr: text => process.stderr.write(text),
+  writeFile
+});
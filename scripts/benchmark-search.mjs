@@ -0,0 +1,103 @@
+// 比较剪枝搜索（searchLayouts）与穷举同样结构空间的运行时间和结果质量
+// 照片尺寸由固定种子的伪随机数生成，结果可以重复
+//
+// 用法：npm run benchmark:search -- [--seed 42] [--top 20] [--depth 3] [--exhaustive-max 8] [--counts 4,5,6,7,8,12,16,20,30]
+import { searchLayouts, DEFAULT_TOP_K, DEFAULT_SEARCH_DEPTH } from '../src/utils/layoutSearch.js';
+
+const A4_300_DPI = { width: 2480, height: 3508 };
+
+function parseArgs(argv) {
+  const args = {
+    seed: 42,
+    top: DEFAULT_TOP_K,
+    depth: DEFAULT_SEARCH_DEPTH,
+    exhaustiveMax: 8,
+    counts: [4, 5, 6, 7, 8, 12, 16, 20, 30]
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--seed': args.seed = Number(value); break;
+      case '--top': args.top = Number(value); break;
+      case '--depth': args.depth = Number(value); break;
+      case '--exhaustive-max': args.exhaustiveMax = Number(value); break;
+      case '--counts': args.counts = value.split(',').map(Number); break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+// mulberry32 伪随机数
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 横向、纵向和正方形照片混合，宽高比为常见的 3:2、4:3、16:9 和 1:1
+function createPhotos(count, random) {
+  const ratios = [3 / 2, 4 / 3, 16 / 9, 1, 2 / 3, 3 / 4];
+  return Array.from({ length: count }, (_, i) => {
+    const ratio = ratios[Math.floor(random() * ratios.length)];
+    const longSide = 2000 + Math.round(random() * 2000);
+    const width = ratio >= 1 ? longSide : Math.round(longSide * ratio);
+    const height = ratio >= 1 ? Math.round(longSide / ratio) : longSide;
+    return { id: `photo-${i + 1}`, width, height, aspectRatio: width / height };
+  });
+}
+
+function run(photos, options) {
+  const start = process.hrtime.bigint();
+  const result = searchLayouts(photos, A4_300_DPI, options);
+  const milliseconds = Number(process.hrtime.bigint() - start) / 1e6;
+  return { ...result, milliseconds };
+}
+
+const formatScore = score => (score === undefined ? '-' : score.toFixed(4));
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const random = createRandom(args.seed);
+  const baseOptions = { topK: args.top, searchDepth: args.depth };
+  
+  console.log(`seed ${args.seed}, top ${args.top}, depth ${args.depth}, page ${A4_300_DPI.width}x${A4_300_DPI.height}`);
+  console.log(['photos', 'search ms', 'evaluated', 'pruned', 'complete', 'best', 'exhaustive ms', 'evaluated', 'best', 'top-K recall']
+    .join('\t'));
+  
+  args.counts.forEach(count => {
+    const photos = createPhotos(count, random);
+    const search = run(photos, baseOptions);
+    const row = [
+      count,
+      search.milliseconds.toFixed(0),
+      search.stats.evaluated,
+      search.stats.pruned,
+      search.stats.complete ? 'yes' : 'no',
+      formatScore(search.layouts[0] && search.layouts[0].score)
+    ];
+    
+    // 穷举：不剪枝、不限预算，作为质量基准
+    if (count <= args.exhaustiveMax) {
+      const exhaustive = run(photos, { ...baseOptions, prune: false, maxNodes: Infinity, maxEvaluations: Infinity });
+      const found = new Set(search.layouts.map(layout => layout.name));
+      const recall = exhaustive.layouts.filter(layout => found.has(layout.name)).length / exhaustive.layouts.length;
+      row.push(
+        exhaustive.milliseconds.toFixed(0),
+        exhaustive.stats.evaluated,
+        formatScore(exhaustive.layouts[0] && exhaustive.layouts[0].score),
+        `${Math.round(recall * 100)}%`
+      );
+    } else {
+      row.push('-', '-', '-', '-');
+    }
+    console.log(row.join('\t'));
+  });
+}
+
+main();
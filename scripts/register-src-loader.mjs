@@ -0,0 +1,4 @@
+// 通过 node --import 注册 src-loader.mjs
+import { register } from 'node:module';
+
+register('./src-loader.mjs', import.meta.url);
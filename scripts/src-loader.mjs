@@ -0,0 +1,24 @@
+// Node ES 模块加载钩子：让脚本直接导入 src 中的模块
+// src 按打包工具的习惯省略 .js 扩展名，并且 package.json 没有声明 "type": "module"，
+// 所以这里补全扩展名，并把 src 下的 .js 文件按 ES 模块加载
+import path from 'node:path';
+
+const srcUrl = new URL('../src/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && specifier.startsWith('.') && !path.extname(specifier)) {
+      return nextResolve(`${specifier}.js`, context);
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(srcUrl) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -1,64 +1,565 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import PhotoUploader from './components/PhotoUploader';
 import LayoutGrid from './components/LayoutGrid';
-import { generateLayouts } from './utils/layoutGenerator';
+import AlbumView from './components/AlbumView';
+import DescriptorLibrary from './components/DescriptorLibrary';
+import ScoreWeights from './components/ScoreWeights';
+import ProjectManager from './components/ProjectManager';
+import { createLayoutWorkerClient } from './utils/layoutWorkerClient';
+import { SEARCH_PHOTO_THRESHOLD, DEFAULT_TOP_K } from './utils/layoutSearch';
+import { DEFAULT_ALBUM_OPTIONS } from './utils/albumPaginator';
+import { DEFAULT_SPACING, SPACING_UNITS } from './utils/spacing';
+import { getUniqueDescriptorName } from './utils/descriptorFormat';
+import { swapCellPhotos, getPhotoArrangement, applyPhotoArrangements } from './utils/layoutEditor';
+import { PHOTO_ORDERS, DEFAULT_PHOTO_ORDER, isOrderPreserving, sortPhotos } from './utils/photoOrder';
+import { getDefaultWeights, applyMetricWeights } from './utils/metricRegistry';
+import {
+  DEFAULT_PROJECT_NAME,
+  getDefaultProjectSettings,
+  restoreProjectSettings,
+  getUniqueProjectName,
+  getDuplicateProjectName
+} from './utils/projectState';
+import {
+  isProjectStorageAvailable,
+  listProjects,
+  createProject,
+  saveProject,
+  loadProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  getLastProjectId,
+  setLastProjectId
+} from './utils/projectStore';
+import { 
+  PAGE_PRESETS, 
+  CUSTOM_PRESET, 
+  DEFAULT_PAGE_CONFIG, 
+  LENGTH_UNITS, 
+  ORIENTATIONS,
+  getPagePixelSize, 
+  getPhysicalPageSize,
+  applyPagePreset, 
+  convertPageUnit, 
+  setPageOrientation, 
+  getOrientationForSize
+} from './utils/pageSizes';
 import './App.css';
 
-function App() {
+// 停止修改后多久自动保存项目（毫秒）
+const PROJECT_SAVE_DELAY = 500;
+
+// createWorker 创建布局生成 Worker（见 createLayoutWorker.js），省略时在主线程上生成布局
+function App({ createWorker }) {
   const [photos, setPhotos] = useState([]);
-  const [pageSize, setPageSize] = useState({ width: 800, height: 1000 });
+  const [pageConfig, setPageConfig] = useState(DEFAULT_PAGE_CONFIG);
+  const [spacing, setSpacing] = useState(DEFAULT_SPACING);
   const [layouts, setLayouts] = useState([]);
+  const [customDescriptors, setCustomDescriptors] = useState([]); // 导入的自定义布局描述符
+  const [photoArrangements, setPhotoArrangements] = useState({}); // 手动交换照片后的排列，以布局名称为键
+  const [chosenLayouts, setChosenLayouts] = useState([]); // 选中导出 PDF 的布局名称，按选择顺序
+  const [orderOptions, setOrderOptions] = useState({ photoOrder: DEFAULT_PHOTO_ORDER, strictOrder: false }); // 照片顺序，见 photoOrder.js
+  const [scoreWeights, setScoreWeights] = useState(getDefaultWeights); // 评分指标权重，见 metricRegistry.js
+  const [viewMode, setViewMode] = useState('single'); // 'single', 'album'
+  const [albumOptions, setAlbumOptions] = useState({
+    pageCount: DEFAULT_ALBUM_OPTIONS.pageCount,
+    minPhotosPerPage: DEFAULT_ALBUM_OPTIONS.minPhotosPerPage,
+    maxPhotosPerPage: DEFAULT_ALBUM_OPTIONS.maxPhotosPerPage
+  });
+  const [album, setAlbum] = useState(null);
+  const [albumError, setAlbumError] = useState(null);
+  const [isPaginating, setIsPaginating] = useState(false);
+  const [generationProgress, setGenerationProgress] = useState(null); // 正在生成布局时为 { completed, total }
+  const [generationError, setGenerationError] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [currentProject, setCurrentProject] = useState(null); // { id, name }，上传照片后自动创建
+  const [projectError, setProjectError] = useState(null);
+  const [projectsReady, setProjectsReady] = useState(!isProjectStorageAvailable()); // 恢复上次的项目之前不自动保存
+  const layoutClientRef = useRef(null);
+  const albumClientRef = useRef(null); // 相册分页使用单独的 Worker，不会取消正在进行的布局生成
+  const saveQueueRef = useRef(Promise.resolve()); // 保存按顺序进行，避免同时创建两个项目
+  const skipNextSaveRef = useRef(false); // 打开项目后的状态变化不需要再保存
+  const currentProjectRef = useRef(null); // 与 currentProject 同步更新，排队的保存从这里读取最新的项目
+  const projectSessionRef = useRef(0); // 打开或新建项目时加 1，之前排队的保存不再写入
+  
+  // 布局和相册在 Web Worker 中生成，卸载时终止 Worker
+  useEffect(() => () => {
+    if (layoutClientRef.current) layoutClientRef.current.dispose();
+    if (albumClientRef.current) albumClientRef.current.dispose();
+  }, []);
+  
+  // 布局引擎使用目标 DPI 下的页面像素尺寸
+  const pageSize = getPagePixelSize(pageConfig);
+  const physicalSize = getPhysicalPageSize(pageConfig);
+  
+  // 重新生成布局后恢复手动交换的照片，编辑不会因为修改页面或间距而丢失
+  const arrangedLayouts = useMemo(
+    () => applyPhotoArrangements(layouts, photoArrangements, getPagePixelSize(pageConfig)),
+    [layouts, photoArrangements, pageConfig]
+  );
+  
+  // 调整评分权重时重新计算总分并排序；搜索模式下还会按新的权重重新搜索（见 handleScoreWeightsChange）
+  const weightedLayouts = useMemo(
+    () => applyMetricWeights(arrangedLayouts, scoreWeights),
+    [arrangedLayouts, scoreWeights]
+  );
+
+  // 根据当前照片、页面设置、间距、自定义布局和照片顺序重新生成布局
+  // 照片的排序由 generateLayouts 按 photoOrder 完成
+  // 布局在 Worker 中分批生成，每批到达后立即显示；新的请求会取消仍在进行的请求，
+  // 在第一批到达之前继续显示之前的布局；照片较多时只搜索最好的 DEFAULT_TOP_K 个布局（见 layoutSearch.js），
+  // 搜索按评分权重剪枝，所以权重也传给生成器
+  const regenerateLayouts = (
+    currentPhotos, 
+    currentPageConfig, 
+    currentSpacing, 
+    currentDescriptors = customDescriptors, 
+    currentOrderOptions = orderOptions,
+    currentWeights = scoreWeights
+  ) => {
+    if (!layoutClientRef.current) {
+      layoutClientRef.current = createLayoutWorkerClient(createWorker);
+    }
+    
+    let receivedLayouts = [];
+    setGenerationError(null);
+    setGenerationProgress({ completed: 0, total: 0 });
+    layoutClientRef.current.generate(currentPhotos, getPagePixelSize(currentPageConfig), { 
+      spacing: currentSpacing,
+      dpi: currentPageConfig.dpi,
+      customDescriptors: currentDescriptors,
+      topK: currentPhotos.length >= SEARCH_PHOTO_THRESHOLD ? DEFAULT_TOP_K : undefined,
+      weights: currentWeights,
+      ...currentOrderOptions
+    }, {
+      onBatch: (batchLayouts, progress) => {
+        receivedLayouts = [...receivedLayouts, ...batchLayouts];
+        setLayouts(receivedLayouts);
+        setGenerationProgress(progress);
+      },
+      onDone: () => {
+        setLayouts(receivedLayouts);
+        setGenerationProgress(null);
+      },
+      onError: (message) => {
+        setGenerationError(message);
+        setGenerationProgress(null);
+      }
+    });
+  };
+
+  // 把项目的设置和照片应用到界面，并重新生成布局
+  const applyProject = (settings, projectPhotos) => {
+    skipNextSaveRef.current = true;
+    setPhotos(projectPhotos);
+    setPageConfig(settings.pageConfig);
+    setSpacing(settings.spacing);
+    setOrderOptions(settings.orderOptions);
+    setScoreWeights(settings.scoreWeights);
+    setCustomDescriptors(settings.customDescriptors);
+    setPhotoArrangements(settings.photoArrangements);
+    setChosenLayouts(settings.chosenLayouts);
+    setViewMode(settings.viewMode);
+    setAlbumOptions(settings.albumOptions);
+    setLayouts([]);
+    if (projectPhotos.length > 0) {
+      regenerateLayouts(
+        projectPhotos, settings.pageConfig, settings.spacing, 
+        settings.customDescriptors, settings.orderOptions, settings.scoreWeights
+      );
+    } else if (layoutClientRef.current) {
+      layoutClientRef.current.cancel();
+      setGenerationProgress(null);
+    }
+  };
+  
+  // 修改当前项目；switching 为 true 表示切换到另一个项目（打开、新建），而不是自动创建或重命名
+  const changeCurrentProject = useCallback((project, switching = false) => {
+    if (switching) projectSessionRef.current++;
+    currentProjectRef.current = project;
+    setCurrentProject(project);
+  }, []);
+  
+  const refreshProjects = useCallback(async () => {
+    setProjects(await listProjects());
+  }, []);
+  
+  // 项目操作出错时显示错误，不影响当前的编辑
+  const runProjectAction = useCallback(async (action) => {
+    try {
+      await action();
+      setProjectError(null);
+    } catch (error) {
+      setProjectError(`Could not save projects in this browser: ${error.message}`);
+    }
+  }, []);
+  
+  const handleOpenProject = (id) => runProjectAction(async () => {
+    const project = await loadProject(id);
+    if (!project) {
+      setLastProjectId(null);
+      await refreshProjects();
+      return;
+    }
+    applyProject(restoreProjectSettings(project.settings), project.photos);
+    changeCurrentProject({ id: project.id, name: project.name }, true);
+    setLastProjectId(project.id);
+  });
+  
+  // 新项目从默认设置开始，上传照片后才保存
+  const handleNewProject = () => {
+    applyProject(getDefaultProjectSettings(), []);
+    changeCurrentProject(null, true);
+    setLastProjectId(null);
+  };
+  
+  const handleRenameProject = (id, name) => runProjectAction(async () => {
+    await renameProject(id, name);
+    if (currentProject && currentProject.id === id) changeCurrentProject({ id, name });
+    await refreshProjects();
+  });
+  
+  // 项目已不在列表中时只刷新列表
+  const handleDuplicateProject = (id) => runProjectAction(async () => {
+    const name = getDuplicateProjectName(id, projects);
+    if (name !== null) await duplicateProject(id, name);
+    await refreshProjects();
+  });
+  
+  const handleDeleteProject = (id) => runProjectAction(async () => {
+    await deleteProject(id);
+    if (currentProject && currentProject.id === id) handleNewProject();
+    await refreshProjects();
+  });
+  
+  // 启动时恢复上次打开的项目
+  // handleOpenProject 每次渲染都是新的函数，通过 ref 调用，恢复只在启动时执行一次
+  const openProjectRef = useRef(handleOpenProject);
+  useEffect(() => {
+    openProjectRef.current = handleOpenProject;
+  });
+  useEffect(() => {
+    if (!isProjectStorageAvailable()) return;
+    runProjectAction(async () => {
+      await refreshProjects();
+      const lastProjectId = getLastProjectId();
+      if (lastProjectId !== null) await openProjectRef.current(lastProjectId);
+    }).then(() => setProjectsReady(true));
+  }, [runProjectAction, refreshProjects]);
+  
+  // 修改后自动保存到当前项目；还没有项目时，上传照片后自动创建
+  useEffect(() => {
+    if (!projectsReady || !isProjectStorageAvailable()) return;
+    if (skipNextSaveRef.current) {
+      skipNextSaveRef.current = false;
+      return;
+    }
+    if (!currentProject && photos.length === 0) return;
+    
+    const session = projectSessionRef.current;
+    const snapshot = {
+      settings: {
+        pageConfig, spacing, orderOptions, scoreWeights, customDescriptors,
+        photoArrangements, chosenLayouts, viewMode, albumOptions
+      },
+      photos
+    };
+    const timer = setTimeout(() => {
+      saveQueueRef.current = saveQueueRef.current.then(() => runProjectAction(async () => {
+        // 排队期间打开或新建了项目，这份快照属于之前的项目
+        if (session !== projectSessionRef.current) return;
+        // 项目在任务执行时读取：排在前面的保存可能刚刚创建了项目
+        let id = currentProjectRef.current ? currentProjectRef.current.id : null;
+        if (id === null) {
+          const name = getUniqueProjectName(DEFAULT_PROJECT_NAME, await listProjects());
+          id = await createProject(name, snapshot.settings);
+          changeCurrentProject({ id, name });
+          setLastProjectId(id);
+        }
+        await saveProject(id, snapshot);
+        await refreshProjects();
+      }));
+    }, PROJECT_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [
+    projectsReady, currentProject, photos, pageConfig, spacing, orderOptions, scoreWeights,
+    customDescriptors, photoArrangements, chosenLayouts, viewMode, albumOptions,
+    runProjectAction, refreshProjects, changeCurrentProject
+  ]);
 
   const handlePhotosUploaded = (uploadedPhotos) => {
     setPhotos(uploadedPhotos);
     // Generate layouts and update state
-    const sortedPhotos = [...uploadedPhotos].sort((a, b) => {
-      const aRatio = a.width / a.height;
-      const bRatio = b.width / b.height;
-      return bRatio - aRatio; // 横向照片优先
-    });
-    const generatedLayouts = generateLayouts(sortedPhotos, pageSize);
-    setLayouts(generatedLayouts);
+    regenerateLayouts(uploadedPhotos, pageConfig, spacing);
   };
 
-  const handlePageSizeChange = (newSize) => {
-    setPageSize(newSize);
+  const handlePageConfigChange = (newConfig) => {
+    setPageConfig(newConfig);
     // Regenerate layouts when page size changes if photos exist
     if (photos.length > 0) {
-      const sortedPhotos = [...photos].sort((a, b) => {
-        const aRatio = a.width / a.height;
-        const bRatio = b.width / b.height;
-        return bRatio - aRatio; // 横向照片优先
-      });
-      const generatedLayouts = generateLayouts(sortedPhotos, newSize);
-      setLayouts(generatedLayouts);
+      regenerateLayouts(photos, newConfig, spacing);
     }
   };
 
+  // 修改自定义尺寸时根据宽高自动更新方向
+  const handleCustomSizeChange = (dimension, value) => {
+    const newConfig = { ...pageConfig, [dimension]: parseFloat(value) || 0 };
+    handlePageConfigChange({
+      ...newConfig,
+      orientation: getOrientationForSize(newConfig.width, newConfig.height)
+    });
+  };
+
+  const handleSpacingChange = (newSpacing) => {
+    setSpacing(newSpacing);
+    if (photos.length > 0) {
+      regenerateLayouts(photos, pageConfig, newSpacing);
+    }
+  };
+
+  const handleCustomDescriptorsChange = (newDescriptors) => {
+    setCustomDescriptors(newDescriptors);
+    if (photos.length > 0) {
+      regenerateLayouts(photos, pageConfig, spacing, newDescriptors);
+    }
+  };
+
+  const handleOrderOptionsChange = (newOrderOptions) => {
+    setOrderOptions(newOrderOptions);
+    if (photos.length > 0) {
+      regenerateLayouts(photos, pageConfig, spacing, customDescriptors, newOrderOptions);
+    }
+  };
+
+  // 搜索模式只保留按权重排名靠前的布局，权重改变后需要重新搜索；其他情况只重新排序
+  const handleScoreWeightsChange = (newWeights) => {
+    setScoreWeights(newWeights);
+    if (photos.length >= SEARCH_PHOTO_THRESHOLD) {
+      regenerateLayouts(photos, pageConfig, spacing, customDescriptors, orderOptions, newWeights);
+    }
+  };
+
+  const handleSwapPhotos = (layout, fromIndex, toIndex) => {
+    const swapped = swapCellPhotos(layout, fromIndex, toIndex, pageSize, scoreWeights);
+    setPhotoArrangements({ ...photoArrangements, [layout.name]: getPhotoArrangement(swapped) });
+  };
+
+  const handleResetArrangement = (layout) => {
+    const { [layout.name]: removed, ...remaining } = photoArrangements;
+    setPhotoArrangements(remaining);
+  };
+
+  // 在布局编辑器中保存的布局作为自定义描述符加入列表
+  const handleSaveCustomLayout = (descriptor) => {
+    handleCustomDescriptorsChange([
+      ...customDescriptors,
+      { ...descriptor, name: getUniqueDescriptorName(descriptor.name, customDescriptors) }
+    ]);
+  };
+
+  // 相册模式下按原始上传顺序（选择拍摄时间时按拍摄顺序）把照片分配到多页
+  // 分页在 Worker 中进行，新的分页会取消仍在进行的分页，完成之前继续显示之前的相册
+  useEffect(() => {
+    if (viewMode !== 'album' || photos.length === 0) {
+      if (albumClientRef.current) albumClientRef.current.cancel();
+      setAlbum(null);
+      setAlbumError(null);
+      setIsPaginating(false);
+      return;
+    }
+    if (!albumClientRef.current) {
+      albumClientRef.current = createLayoutWorkerClient(createWorker);
+    }
+    
+    const albumPhotos = orderOptions.photoOrder === PHOTO_ORDERS.CAPTURE 
+      ? sortPhotos(photos, PHOTO_ORDERS.CAPTURE) 
+      : photos;
+    setIsPaginating(true);
+    albumClientRef.current.paginate(albumPhotos, getPagePixelSize(pageConfig), {
+      ...albumOptions,
+      generatorOptions: { spacing, dpi: pageConfig.dpi, customDescriptors, weights: scoreWeights, ...orderOptions }
+    }, {
+      onDone: (newAlbum) => {
+        setAlbum(newAlbum);
+        setAlbumError(null);
+        setIsPaginating(false);
+      },
+      onError: (message) => {
+        setAlbum(null);
+        setAlbumError(message);
+        setIsPaginating(false);
+      }
+    });
+  }, [viewMode, photos, pageConfig, spacing, customDescriptors, orderOptions, scoreWeights, albumOptions, createWorker]);
+
+  const handleAlbumOptionChange = (option, value) => {
+    const number = parseInt(value);
+    setAlbumOptions({ ...albumOptions, [option]: Number.isNaN(number) ? null : number });
+  };
+
+  const isCustomPage = pageConfig.preset === CUSTOM_PRESET;
+
+  const spacingUnitLabel = spacing.unit === SPACING_UNITS.PERCENT ? '%' : 'px';
+
   return (
     <div className="App">
       <main>
         <div className="config-section">
           <div className="page-size-config">
+            {isProjectStorageAvailable() && (
+              <ProjectManager 
+                projects={projects}
+                currentProject={currentProject}
+                error={projectError}
+                onOpen={handleOpenProject}
+                onNew={handleNewProject}
+                onRename={handleRenameProject}
+                onDuplicate={handleDuplicateProject}
+                onDelete={handleDeleteProject}
+              />
+            )}
             <h2>Page Size</h2>
             <div className="size-inputs">
               <div>
-                <label>Width (px):</label>
+                <label>Preset:</label>
+                <select 
+                  value={pageConfig.preset} 
+                  onChange={(e) => handlePageConfigChange(applyPagePreset(pageConfig, e.target.value))}
+                >
+                  <option value={CUSTOM_PRESET}>Custom</option>
+                  {PAGE_PRESETS.map(preset => (
+                    <option key={preset.id} value={preset.id}>{preset.label}</option>
+                  ))}
+                </select>
+              </div>
+              {isCustomPage && (
+                <>
+                  <div>
+                    <label>Unit:</label>
+                    <select 
+                      value={pageConfig.unit} 
+                      onChange={(e) => handlePageConfigChange(convertPageUnit(pageConfig, e.target.value))}
+                    >
+                      <option value={LENGTH_UNITS.PX}>Pixels</option>
+                      <option value={LENGTH_UNITS.MM}>Millimetres</option>
+                      <option value={LENGTH_UNITS.IN}>Inches</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label>Width ({pageConfig.unit}):</label>
+                    <input 
+                      type="number" 
+                      value={pageConfig.width} 
+                      onChange={(e) => handleCustomSizeChange('width', e.target.value)}
+                    />
+                  </div>
+                  <div>
+                    <label>Height ({pageConfig.unit}):</label>
+                    <input 
+                      type="number" 
+                      value={pageConfig.height} 
+                      onChange={(e) => handleCustomSizeChange('height', e.target.value)}
+                    />
+                  </div>
+                </>
+              )}
+              <div>
+                <label>Target DPI:</label>
+                <input 
+                  type="number" 
+                  min="1"
+                  value={pageConfig.dpi} 
+                  onChange={(e) => handlePageConfigChange({...pageConfig, dpi: parseInt(e.target.value) || 1})}
+                />
+              </div>
+              <div className="orientation-toggle">
+                <label>Orientation:</label>
+                <div>
+                  <button 
+                    className={pageConfig.orientation === ORIENTATIONS.PORTRAIT ? 'active' : ''}
+                    onClick={() => handlePageConfigChange(setPageOrientation(pageConfig, ORIENTATIONS.PORTRAIT))}
+                  >
+                    Portrait
+                  </button>
+                  <button 
+                    className={pageConfig.orientation === ORIENTATIONS.LANDSCAPE ? 'active' : ''}
+                    onClick={() => handlePageConfigChange(setPageOrientation(pageConfig, ORIENTATIONS.LANDSCAPE))}
+                  >
+                    Landscape
+                  </button>
+                </div>
+              </div>
+              <div className="page-pixel-size">
+                {pageSize.width} × {pageSize.height} px at {pageConfig.dpi} DPI
+              </div>
+            </div>
+            <h2>Spacing</h2>
+            <div className="size-inputs spacing-inputs">
+              <div>
+                <label>Unit:</label>
+                <select 
+                  value={spacing.unit} 
+                  onChange={(e) => handleSpacingChange({...spacing, unit: e.target.value})}
+                >
+                  <option value={SPACING_UNITS.PX}>Pixels</option>
+                  <option value={SPACING_UNITS.PERCENT}>% of short side</option>
+                </select>
+              </div>
+              <div>
+                <label>Margin ({spacingUnitLabel}):</label>
                 <input 
                   type="number" 
-                  value={pageSize.width} 
-                  onChange={(e) => handlePageSizeChange({...pageSize, width: parseInt(e.target.value)})}
+                  min="0"
+                  step={spacing.unit === SPACING_UNITS.PERCENT ? 0.5 : 1}
+                  value={spacing.margin} 
+                  onChange={(e) => handleSpacingChange({...spacing, margin: parseFloat(e.target.value) || 0})}
                 />
               </div>
               <div>
-                <label>Height (px):</label>
+                <label>Gutter ({spacingUnitLabel}):</label>
                 <input 
                   type="number" 
-                  value={pageSize.height} 
-                  onChange={(e) => handlePageSizeChange({...pageSize, height: parseInt(e.target.value)})}
+                  min="0"
+                  step={spacing.unit === SPACING_UNITS.PERCENT ? 0.5 : 1}
+                  value={spacing.gutter} 
+                  onChange={(e) => handleSpacingChange({...spacing, gutter: parseFloat(e.target.value) || 0})}
                 />
               </div>
             </div>
+            <h2>Photo Order</h2>
+            <div className="size-inputs order-inputs">
+              <div>
+                <label>Order:</label>
+                <select 
+                  value={orderOptions.photoOrder} 
+                  onChange={(e) => handleOrderOptionsChange({...orderOptions, photoOrder: e.target.value})}
+                >
+                  <option value={PHOTO_ORDERS.ASPECT}>Landscape first</option>
+                  <option value={PHOTO_ORDERS.UPLOAD}>Upload order</option>
+                  <option value={PHOTO_ORDERS.CAPTURE}>Capture time</option>
+                </select>
+              </div>
+              {isOrderPreserving(orderOptions.photoOrder) && (
+                <div>
+                  <label htmlFor="strict-order">Keep order in optimized layouts:</label>
+                  <input 
+                    id="strict-order"
+                    type="checkbox" 
+                    checked={orderOptions.strictOrder} 
+                    onChange={(e) => handleOrderOptionsChange({...orderOptions, strictOrder: e.target.checked})}
+                  />
+                </div>
+              )}
+            </div>
+            <ScoreWeights 
+              weights={scoreWeights} 
+              onWeightsChange={handleScoreWeightsChange} 
+            />
+            <DescriptorLibrary 
+              descriptors={customDescriptors} 
+              onDescriptorsChange={handleCustomDescriptorsChange} 
+            />
           </div>
           <PhotoUploader 
             onPhotosUploaded={handlePhotosUploaded}
@@ -66,12 +567,87 @@ function App() {
           />
         </div>
         
+        {generationProgress && (
+          <div className="generation-progress">
+            <progress 
+              value={generationProgress.completed} 
+              max={generationProgress.total || 1}
+            />
+            <span>
+              Generating layouts…
+              {generationProgress.total > 0 && ` ${generationProgress.completed}/${generationProgress.total}`}
+            </span>
+          </div>
+        )}
+        
+        {generationError && (
+          <div className="generation-error">Layout generation failed: {generationError}</div>
+        )}
+        
         {layouts.length > 0 && (
-          <LayoutGrid layouts={layouts} pageSize={pageSize} />
+          <div className="view-mode-tabs">
+            <button className={viewMode === 'single' ? 'active' : ''} onClick={() => setViewMode('single')}>
+              Single Page
+            </button>
+            <button className={viewMode === 'album' ? 'active' : ''} onClick={() => setViewMode('album')}>
+              Album
+            </button>
+          </div>
+        )}
+        
+        {layouts.length > 0 && viewMode === 'single' && (
+          <LayoutGrid 
+            layouts={weightedLayouts} 
+            pageSize={pageSize} 
+            physicalSize={physicalSize} 
+            scoreWeights={scoreWeights}
+            chosenLayouts={chosenLayouts}
+            onChosenLayoutsChange={setChosenLayouts}
+            onSaveCustomLayout={handleSaveCustomLayout} 
+            onSwapPhotos={handleSwapPhotos}
+            onResetArrangement={handleResetArrangement}
+          />
+        )}
+        
+        {layouts.length > 0 && viewMode === 'album' && (
+          <>
+            <div className="album-config size-inputs">
+              <div>
+                <label>Pages:</label>
+                <input 
+                  type="number" 
+                  min="1"
+                  placeholder="Auto"
+                  value={albumOptions.pageCount || ''} 
+                  onChange={(e) => handleAlbumOptionChange('pageCount', e.target.value)}
+                />
+              </div>
+              <div>
+                <label>Min photos/page:</label>
+                <input 
+                  type="number" 
+                  min="1"
+                  value={albumOptions.minPhotosPerPage || ''} 
+                  onChange={(e) => handleAlbumOptionChange('minPhotosPerPage', e.target.value)}
+                />
+              </div>
+              <div>
+                <label>Max photos/page:</label>
+                <input 
+                  type="number" 
+                  min="1"
+                  value={albumOptions.maxPhotosPerPage || ''} 
+                  onChange={(e) => handleAlbumOptionChange('maxPhotosPerPage', e.target.value)}
+                />
+              </div>
+            </div>
+            {isPaginating && <div className="generation-progress">Paginating album…</div>}
+            <AlbumView album={album} pageSize={pageSize} physicalSize={physicalSize} error={albumError} />
+          </>
         )}
       </main>
     </div>
   );
 }
 
-export default App; 
\ No newline at end of file
+export default App;
@@ -0,0 +1,253 @@
+// 布局引擎的公开接口：optimize(photos, options)
+// 输入为普通的 { id, width, height } 记录，输出只包含可序列化的数据（照片以 id 引用），
+// 结构固定（见 RESULT_SCHEMA_VERSION），相同的输入总是得到相同的结果
+//
+// photos：[{ id, width, height, weight?, hero?, focalPoint?, capturedAt? }]
+//   id 为非空字符串或数字且互不相同；width / height 为像素尺寸（已按 EXIF 方向换算）；
+//   weight 为重要性（1-5，见 photoImportance.js），hero 为主图，focalPoint 为 { x, y }（0-1），
+//   capturedAt 为 ISO 8601 拍摄时间，按拍摄时间排序时使用
+//
+// options（均可省略）：
+//   page        页面设置 { preset, width, height, unit, dpi, orientation }，见 pageSizes.js，省略的字段取 DEFAULT_PAGE_CONFIG 的值
+//   spacing     边距和间距 { margin, gutter, unit }，见 spacing.js
+//   photoOrder  照片顺序，见 photoOrder.js；strictOrder 为 true 时优化版本也保持顺序
+//   weights     { [指标 id]: 权重 }，只能包含已注册的指标，省略的指标权重为 0；整个省略时使用默认权重
+//   top         返回的布局数，默认 DEFAULT_TOP
+//   minDpi      只返回每张照片的有效分辨率都不低于此值的布局
+//
+// 返回：
+// {
+//   schemaVersion: 1,
+//   page: { width, height, dpi },           // 像素尺寸
+//   layouts: [{
+//     rank, name, type, score,              // 按 score 降序，rank 从 1 开始
+//     scoreBreakdown: [{ metric, label, direction, value, weight, contribution }],
+//     metrics: { [指标 id]: 值 },
+//     cells: [{
+//       photoId,
+//       relative: { x, y, width, height },  // 相对页面宽高的比例（0-1）
+//       absolute: { x, y, width, height },  // 页面像素
+//       effectiveDpi
+//     }]
+//   }]
+// }
+// 单元格和照片摆放完全相同的布局只返回排名最高的一个；
+// 没有满足条件的布局时 layouts 为空数组；输入无效时抛出 OptimizeInputError
+import { generateLayouts, getPlacementSignature } from '../utils/layoutGenerator';
+import { searchLayouts, DEFAULT_TOP_K, SEARCH_PHOTO_THRESHOLD } from '../utils/layoutSearch';
+import { getRegisteredMetrics, getDefaultWeights, getScoreBreakdown } from '../utils/metricRegistry';
+import {
+  DEFAULT_PAGE_CONFIG,
+  PAGE_PRESETS,
+  CUSTOM_PRESET,
+  LENGTH_UNITS,
+  ORIENTATIONS,
+  getPagePixelSize,
+  getOrientationForSize
+} from '../utils/pageSizes';
+import { SPACING_UNITS, DEFAULT_SPACING } from '../utils/spacing';
+import { PHOTO_ORDERS, DEFAULT_PHOTO_ORDER } from '../utils/photoOrder';
+import { MIN_PHOTO_WEIGHT, MAX_PHOTO_WEIGHT } from '../utils/photoImportance';
+
+export const RESULT_SCHEMA_VERSION = 1;
+export const DEFAULT_TOP = 10;
+
+const OPTION_KEYS = ['page', 'spacing', 'photoOrder', 'strictOrder', 'weights', 'top', 'minDpi'];
+
+export class OptimizeInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OptimizeInputError';
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isNonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+function fail(message) {
+  throw new OptimizeInputError(message);
+}
+
+function checkOneOf(value, allowed, name) {
+  if (!allowed.includes(value)) {
+    fail(`${name} must be one of ${allowed.map(item => `"${item}"`).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+}
+
+// 校验照片记录，返回布局引擎使用的照片对象（只保留文档中列出的字段）
+function normalizePhotos(photos) {
+  if (!Array.isArray(photos) || photos.length === 0) fail('photos must be a non-empty array');
+  
+  const ids = new Set();
+  return photos.map((photo, index) => {
+    const name = `photos[${index}]`;
+    if (!isPlainObject(photo)) fail(`${name} must be an object`);
+    
+    const { id, width, height, weight, hero, focalPoint, capturedAt } = photo;
+    if (!((typeof id === 'string' && id !== '') || (typeof id === 'number' && Number.isFinite(id)))) {
+      fail(`${name}.id must be a non-empty string or a number`);
+    }
+    if (ids.has(id)) fail(`${name}.id ${JSON.stringify(id)} is used by more than one photo`);
+    ids.add(id);
+    if (!isPositiveNumber(width)) fail(`${name}.width must be a positive number of pixels`);
+    if (!isPositiveNumber(height)) fail(`${name}.height must be a positive number of pixels`);
+    
+    const normalized = { id, width, height, aspectRatio: width / height };
+    if (weight !== undefined) {
+      if (!Number.isInteger(weight) || weight < MIN_PHOTO_WEIGHT || weight > MAX_PHOTO_WEIGHT) {
+        fail(`${name}.weight must be an integer from ${MIN_PHOTO_WEIGHT} to ${MAX_PHOTO_WEIGHT}`);
+      }
+      normalized.weight = weight;
+    }
+    if (hero !== undefined) {
+      if (typeof hero !== 'boolean') fail(`${name}.hero must be true or false`);
+      normalized.hero = hero;
+    }
+    if (focalPoint !== undefined) {
+      if (!isPlainObject(focalPoint) || !isFraction(focalPoint.x) || !isFraction(focalPoint.y)) {
+        fail(`${name}.focalPoint must be { x, y } with values from 0 to 1`);
+      }
+      normalized.focalPoint = { x: focalPoint.x, y: focalPoint.y };
+    }
+    if (capturedAt !== undefined && capturedAt !== null) {
+      if (typeof capturedAt !== 'string' || Number.isNaN(Date.parse(capturedAt))) {
+        fail(`${name}.capturedAt must be an ISO 8601 date string`);
+      }
+      normalized.capturedAt = capturedAt;
+    }
+    return normalized;
+  });
+}
+
+function normalizePage(page = {}) {
+  if (!isPlainObject(page)) fail('options.page must be an object');
+  
+  // 预设尺寸按纵向给出；自定义尺寸省略方向时按给出的宽高确定
+  const config = { ...DEFAULT_PAGE_CONFIG, ...page };
+  const hasCustomSize = config.preset === CUSTOM_PRESET && isPositiveNumber(config.width) && isPositiveNumber(config.height);
+  if (page.orientation === undefined && hasCustomSize) {
+    config.orientation = getOrientationForSize(config.width, config.height);
+  }
+  checkOneOf(config.preset, [CUSTOM_PRESET, ...PAGE_PRESETS.map(preset => preset.id)], 'options.page.preset');
+  checkOneOf(config.unit, Object.values(LENGTH_UNITS), 'options.page.unit');
+  checkOneOf(config.orientation, Object.values(ORIENTATIONS), 'options.page.orientation');
+  if (!isPositiveNumber(config.dpi)) fail('options.page.dpi must be a positive number');
+  if (config.preset === CUSTOM_PRESET) {
+    if (!isPositiveNumber(config.width)) fail('options.page.width must be a positive number');
+    if (!isPositiveNumber(config.height)) fail('options.page.height must be a positive number');
+  }
+  return config;
+}
+
+function normalizeSpacing(spacing = DEFAULT_SPACING) {
+  if (!isPlainObject(spacing)) fail('options.spacing must be an object');
+  
+  const { margin = 0, gutter = 0, unit = SPACING_UNITS.PX } = spacing;
+  if (!isNonNegativeNumber(margin)) fail('options.spacing.margin must be a number of at least 0');
+  if (!isNonNegativeNumber(gutter)) fail('options.spacing.gutter must be a number of at least 0');
+  checkOneOf(unit, Object.values(SPACING_UNITS), 'options.spacing.unit');
+  return { margin, gutter, unit };
+}
+
+function normalizeWeights(weights) {
+  if (weights === undefined) return getDefaultWeights();
+  if (!isPlainObject(weights)) fail('options.weights must be an object of metric id to weight');
+  
+  const metricIds = getRegisteredMetrics().map(metric => metric.id);
+  Object.entries(weights).forEach(([id, weight]) => {
+    if (!metricIds.includes(id)) fail(`options.weights.${id} is not a registered metric (${metricIds.join(', ')})`);
+    if (!isNonNegativeNumber(weight)) fail(`options.weights.${id} must be a number of at least 0`);
+  });
+  return { ...weights };
+}
+
+function normalizeOptions(options = {}) {
+  if (!isPlainObject(options)) fail('options must be an object');
+  const unknown = Object.keys(options).filter(key => !OPTION_KEYS.includes(key));
+  if (unknown.length > 0) fail(`Unknown option ${unknown.join(', ')} (expected ${OPTION_KEYS.join(', ')})`);
+  
+  const { photoOrder = DEFAULT_PHOTO_ORDER, strictOrder = false, top = DEFAULT_TOP, minDpi = null } = options;
+  checkOneOf(photoOrder, Object.values(PHOTO_ORDERS), 'options.photoOrder');
+  if (typeof strictOrder !== 'boolean') fail('options.strictOrder must be true or false');
+  if (!Number.isInteger(top) || top <= 0) fail('options.top must be a positive integer');
+  if (minDpi !== null && !isPositiveNumber(minDpi)) fail('options.minDpi must be a positive number');
+  
+  return {
+    page: normalizePage(options.page),
+    spacing: normalizeSpacing(options.spacing),
+    weights: normalizeWeights(options.weights),
+    photoOrder,
+    strictOrder,
+    top,
+    minDpi
+  };
+}
+
+// 照片多时改用搜索，与应用的行为相同；候选数不少于要返回的数量
+function createLayouts(photos, pageSize, generatorOptions, top) {
+  if (photos.length >= SEARCH_PHOTO_THRESHOLD) {
+    return searchLayouts(photos, pageSize, { ...generatorOptions, topK: Math.max(DEFAULT_TOP_K, top) }).layouts;
+  }
+  return generateLayouts(photos, pageSize, generatorOptions);
+}
+
+// 有效的布局：每张照片都有面积不小于 1 像素的单元格，设置了 minDpi 时每张照片都达到该分辨率
+function isValidLayout(layout, photoCount, minDpi) {
+  if (layout.duplicateOf) return false;
+  if (layout.cells.length !== photoCount) return false;
+  if (!layout.cells.every(cell => cell.photo && cell.width >= 1 && cell.height >= 1)) return false;
+  return minDpi === null || layout.metrics.minEffectiveDpi >= minDpi;
+}
+
+// 去掉与排名更高的布局摆放相同的布局（例如照片分配没有改变的优化版本），layouts 已按分数降序
+function removeRepeatedPlacements(layouts) {
+  const placements = new Set();
+  return layouts.filter(layout => {
+    const placement = getPlacementSignature(layout);
+    if (placements.has(placement)) return false;
+    placements.add(placement);
+    return true;
+  });
+}
+
+function toResultLayout(layout, rank, pageSize, weights) {
+  return {
+    rank,
+    name: layout.name,
+    type: layout.type,
+    score: layout.score,
+    scoreBreakdown: getScoreBreakdown(layout.metrics, weights),
+    metrics: { ...layout.metrics },
+    cells: layout.cells.map(cell => ({
+      photoId: cell.photo.id,
+      relative: {
+        x: cell.x / pageSize.width,
+        y: cell.y / pageSize.height,
+        width: cell.width / pageSize.width,
+        height: cell.height / pageSize.height
+      },
+      absolute: { x: cell.x, y: cell.y, width: cell.width, height: cell.height },
+      effectiveDpi: cell.effectiveDpi
+    }))
+  };
+}
+
+// 生成、评分并返回最好的布局，结构见文件开头的说明
+export function optimize(photos, options) {
+  const engineOptions = normalizeOptions(options);
+  const enginePhotos = normalizePhotos(photos);
+  const pageSize = getPagePixelSize(engineOptions.page);
+  const { page, spacing, weights, photoOrder, strictOrder, top, minDpi } = engineOptions;
+  
+  const validLayouts = createLayouts(enginePhotos, pageSize, { spacing, dpi: page.dpi, weights, photoOrder, strictOrder }, top)
+    .filter(layout => isValidLayout(layout, enginePhotos.length, minDpi));
+  const layouts = removeRepeatedPlacements(validLayouts).slice(0, top);
+  
+  return {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    page: { width: pageSize.width, height: pageSize.height, dpi: page.dpi },
+    layouts: layouts.map((layout, index) => toResultLayout(layout, index + 1, pageSize, weights))
+  };
+}
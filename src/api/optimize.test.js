@@ -0,0 +1,79 @@
+import { optimize, OptimizeInputError, RESULT_SCHEMA_VERSION } from './optimize';
+import { getDefaultWeights } from '../utils/metricRegistry';
+
+const photos = [
+  { id: 'beach', width: 1200, height: 800 },
+  { id: 'portrait', width: 800, height: 1200 },
+  { id: 'square', width: 1000, height: 1000 },
+  { id: 'pano', width: 1600, height: 900 }
+];
+const page = { width: 1000, height: 1000, unit: 'px', dpi: 300 };
+
+describe('optimize', () => {
+  test('returns plain, ranked layouts referring to photos by id', () => {
+    const result = optimize(photos, { page, top: 3 });
+    expect(result.schemaVersion).toBe(RESULT_SCHEMA_VERSION);
+    expect(result.page).toEqual({ width: 1000, height: 1000, dpi: 300 });
+    expect(result.layouts.map(layout => layout.rank)).toEqual([1, 2, 3]);
+    expect(result.layouts[0].score).toBeGreaterThanOrEqual(result.layouts[1].score);
+    
+    // 只有可序列化的数据
+    expect(JSON.parse(JSON.stringify(result))).toEqual(result);
+    
+    const [layout] = result.layouts;
+    expect(layout.cells.map(cell => cell.photoId).sort()).toEqual(['beach', 'pano', 'portrait', 'square']);
+    layout.cells.forEach(cell => {
+      expect(cell.relative.x).toBeCloseTo(cell.absolute.x / 1000);
+      expect(cell.relative.height).toBeCloseTo(cell.absolute.height / 1000);
+      expect(cell.effectiveDpi).toBeGreaterThan(0);
+    });
+  });
+  
+  test('breaks the score down by metric', () => {
+    const weights = { utilization: 1, croppingRate: 1 };
+    const [layout] = optimize(photos, { page, weights }).layouts;
+    const counted = layout.scoreBreakdown.filter(item => item.contribution > 0).map(item => item.metric);
+    
+    expect(counted.every(id => id in weights)).toBe(true);
+    expect(layout.scoreBreakdown.reduce((sum, item) => sum + item.contribution, 0)).toBeCloseTo(layout.score, 10);
+    expect(layout.metrics.utilization).toBe(layout.scoreBreakdown.find(item => item.metric === 'utilization').value);
+  });
+  
+  test('is deterministic and independent of extra photo fields', () => {
+    const withExtras = photos.map(photo => ({ ...photo, src: 'data:image/png;base64,AAAA', name: `${photo.id}.jpg` }));
+    expect(optimize(withExtras, { page })).toEqual(optimize(photos, { page }));
+    expect(optimize(photos)).toEqual(optimize(photos, { weights: getDefaultWeights() }));
+  });
+  
+  test('returns each placement of the photos only once', () => {
+    const { layouts } = optimize(photos.slice(0, 2), { page, top: 20 });
+    const placements = layouts.map(layout => JSON.stringify(layout.cells.map(cell => [cell.photoId, cell.absolute])));
+    
+    expect(layouts.length).toBeGreaterThan(1);
+    expect(new Set(placements).size).toBe(layouts.length);
+  });
+  
+  test('filters layouts below the minimum DPI', () => {
+    const { layouts } = optimize(photos, { page, minDpi: 400 });
+    expect(layouts.every(layout => layout.metrics.minEffectiveDpi >= 400)).toBe(true);
+    expect(optimize(photos, { page, minDpi: 100000 }).layouts).toEqual([]);
+  });
+  
+  test('rejects invalid photos and options with a descriptive error', () => {
+    const expectError = (input, options, message) => {
+      expect(() => optimize(input, options)).toThrow(OptimizeInputError);
+      expect(() => optimize(input, options)).toThrow(message);
+    };
+    
+    expectError([], undefined, 'photos must be a non-empty array');
+    expectError([{ width: 10, height: 10 }], undefined, 'photos[0].id');
+    expectError([photos[0], { ...photos[1], id: 'beach' }], undefined, 'used by more than one photo');
+    expectError([{ id: 'a', width: -1, height: 10 }], undefined, 'photos[0].width');
+    expectError([{ ...photos[0], weight: 9 }], undefined, 'photos[0].weight');
+    expectError(photos, { pageSize: page }, 'Unknown option pageSize');
+    expectError(photos, { page: { preset: 'a9' } }, 'options.page.preset');
+    expectError(photos, { spacing: { gutter: 2, unit: 'cm' } }, 'options.spacing.unit');
+    expectError(photos, { weights: { sharpness: 1 } }, 'not a registered metric');
+    expectError(photos, { top: 1.5 }, 'options.top');
+  });
+});
@@ -0,0 +1,176 @@
+// 命令行参数解析，参数错误时抛出 CliError（退出码 BAD_INPUT）
+import {
+  PAGE_PRESETS,
+  CUSTOM_PRESET,
+  LENGTH_UNITS,
+  ORIENTATIONS,
+  DEFAULT_DPI,
+  toInches,
+  getOrientationForSize
+} from '../utils/pageSizes';
+import { SPACING_UNITS } from '../utils/spacing';
+import { PHOTO_ORDERS, DEFAULT_PHOTO_ORDER } from '../utils/photoOrder';
+
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,        // 意外错误
+  BAD_INPUT: 2,    // 参数错误、文件无法读取或不是支持的图片
+  NO_LAYOUT: 3     // 输入有效，但没有满足条件的布局
+};
+
+export const OUTPUT_FORMATS = {
+  JSON: 'json',
+  PNG: 'png'
+};
+
+export const DEFAULT_TOP = 5;
+
+export class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.BAD_INPUT) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+export const USAGE = `Usage: photo-grid [options] <image or folder>...
+
+Reads JPEG, PNG and WebP dimensions from the file headers and prints the best layouts.
+
+Options:
+  --page <size>          Preset (${PAGE_PRESETS.map(preset => preset.id).join(', ')})
+                         or WIDTHxHEIGHT with a unit, e.g. 210x297mm, 8x10in, 2000x3000px (default: a4)
+  --orientation <o>      portrait or landscape (default: portrait for presets, as given for WIDTHxHEIGHT)
+  --dpi <n>              Print resolution used for the page pixel size (default: ${DEFAULT_DPI})
+  --margin <length>      Page margin, e.g. 10mm, 0.5in, 40px or 2% of the short side (default: 0)
+  --gutter <length>      Space between photos, same units as --margin (default: 0)
+  --order <order>        ${Object.values(PHOTO_ORDERS).join(', ')} (default: ${DEFAULT_PHOTO_ORDER})
+  --top <n>              Number of layouts to output (default: ${DEFAULT_TOP})
+  --min-dpi <n>          Only keep layouts where every photo prints at this DPI or better
+  --format <format>      json, or png for a sheet of layout geometry with numbered cells (default: json)
+  --output <file>        Write to a file instead of stdout (required for png)
+  --help                 Show this message
+
+Exit codes: 0 success, 1 unexpected error, 2 bad input, 3 no valid layout.`;
+
+const LENGTH_PATTERN = /^(\d+(?:\.\d+)?)(mm|in|px|%)?$/;
+
+function parsePositiveNumber(value, name, { integer = false } = {}) {
+  const number = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+    throw new CliError(`${name} must be a positive ${integer ? 'integer' : 'number'}, got "${value}"`);
+  }
+  return number;
+}
+
+function parsePage(value) {
+  const preset = PAGE_PRESETS.find(item => item.id === value);
+  if (preset) return { preset: preset.id, width: preset.width, height: preset.height, unit: preset.unit };
+  
+  const match = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)(mm|in|px)$/.exec(value || '');
+  if (!match) {
+    throw new CliError(`--page must be a preset or WIDTHxHEIGHT with mm, in or px, got "${value}"`);
+  }
+  return { preset: CUSTOM_PRESET, width: Number(match[1]), height: Number(match[2]), unit: match[3] };
+}
+
+// 长度换算为像素，百分比（%）保持为页面短边的百分比
+function parseLength(value, name, dpi) {
+  const match = LENGTH_PATTERN.exec(value || '');
+  if (!match) throw new CliError(`${name} must be a length such as 10mm, 0.5in, 40px or 2%, got "${value}"`);
+  
+  const [, number, unit = LENGTH_UNITS.PX] = match;
+  if (unit === '%') return { value: Number(number), unit: SPACING_UNITS.PERCENT };
+  return { value: toInches(Number(number), unit, dpi) * dpi, unit: SPACING_UNITS.PX };
+}
+
+// 边距和间距必须使用同一种单位（spacing.js 的限制），混用时把像素换算为百分比
+function createSpacing(margin, gutter, pageSize) {
+  if (margin.unit === gutter.unit) return { margin: margin.value, gutter: gutter.value, unit: margin.unit };
+  const toPercent = length => (length.unit === SPACING_UNITS.PERCENT
+    ? length.value
+    : length.value / Math.min(pageSize.width, pageSize.height) * 100);
+  return { margin: toPercent(margin), gutter: toPercent(gutter), unit: SPACING_UNITS.PERCENT };
+}
+
+// 解析 process.argv.slice(2)，返回 { help, inputs, pageConfig, spacingArgs, photoOrder, top, minDpi, format, output }
+// 间距在得到页面像素尺寸之后由 resolveCliSpacing 换算
+export function parseCliArgs(argv) {
+  const args = {
+    help: false,
+    inputs: [],
+    page: 'a4',
+    orientation: null,
+    dpi: String(DEFAULT_DPI),
+    margin: '0',
+    gutter: '0',
+    order: DEFAULT_PHOTO_ORDER,
+    top: String(DEFAULT_TOP),
+    minDpi: null,
+    format: OUTPUT_FORMATS.JSON,
+    output: null
+  };
+  const valueOptions = {
+    '--page': 'page',
+    '--orientation': 'orientation',
+    '--dpi': 'dpi',
+    '--margin': 'margin',
+    '--gutter': 'gutter',
+    '--order': 'order',
+    '--top': 'top',
+    '--min-dpi': 'minDpi',
+    '--format': 'format',
+    '--output': 'output'
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (valueOptions[arg]) {
+      if (i + 1 >= argv.length) throw new CliError(`${arg} needs a value`);
+      args[valueOptions[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new CliError(`Unknown option ${arg}`);
+    } else {
+      args.inputs.push(arg);
+    }
+  }
+  if (args.help) return { help: true };
+  
+  if (args.inputs.length === 0) throw new CliError('No input images or folders given');
+  if (args.orientation !== null && !Object.values(ORIENTATIONS).includes(args.orientation)) {
+    throw new CliError(`--orientation must be portrait or landscape, got "${args.orientation}"`);
+  }
+  if (!Object.values(PHOTO_ORDERS).includes(args.order)) {
+    throw new CliError(`--order must be one of ${Object.values(PHOTO_ORDERS).join(', ')}, got "${args.order}"`);
+  }
+  if (!Object.values(OUTPUT_FORMATS).includes(args.format)) {
+    throw new CliError(`--format must be json or png, got "${args.format}"`);
+  }
+  if (args.format === OUTPUT_FORMATS.PNG && !args.output) {
+    throw new CliError('--format png needs --output <file>');
+  }
+  
+  const dpi = parsePositiveNumber(args.dpi, '--dpi');
+  const page = parsePage(args.page);
+  // 自定义尺寸默认按给出的宽高确定方向
+  const defaultOrientation = page.preset === CUSTOM_PRESET
+    ? getOrientationForSize(page.width, page.height)
+    : ORIENTATIONS.PORTRAIT;
+  return {
+    help: false,
+    inputs: args.inputs,
+    pageConfig: { ...page, dpi, orientation: args.orientation || defaultOrientation },
+    spacingArgs: { margin: parseLength(args.margin, '--margin', dpi), gutter: parseLength(args.gutter, '--gutter', dpi) },
+    photoOrder: args.order,
+    top: parsePositiveNumber(args.top, '--top', { integer: true }),
+    minDpi: args.minDpi === null ? null : parsePositiveNumber(args.minDpi, '--min-dpi'),
+    format: args.format,
+    output: args.output
+  };
+}
+
+export function resolveCliSpacing(spacingArgs, pageSize) {
+  return createSpacing(spacingArgs.margin, spacingArgs.gutter, pageSize);
+}
@@ -0,0 +1,78 @@
+// 收集命令行给出的图片文件，并从文件头读取尺寸（不解码像素，不依赖原生模块）
+import fs from 'fs';
+import path from 'path';
+import { readImageMetadata, getOrientedSize } from '../utils/imageMetadata';
+import { CliError } from './cliOptions';
+
+export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+function isImageFile(file) {
+  return IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// 展开输入：文件直接使用，文件夹取其中（不递归）扩展名为图片的文件，按文件名排序
+// 同一个文件只出现一次；路径不存在时抛出 CliError
+export async function collectImageFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(input);
+    } catch (error) {
+      throw new CliError(`Cannot read ${input}: ${error.code === 'ENOENT' ? 'no such file or folder' : error.message}`);
+    }
+    
+    if (stat.isDirectory()) {
+      const entries = await fs.promises.readdir(input, { withFileTypes: true });
+      entries
+        .filter(entry => entry.isFile() && isImageFile(entry.name))
+        .map(entry => entry.name)
+        .sort()
+        .forEach(name => files.push(path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+  
+  const uniqueFiles = [...new Set(files)];
+  if (uniqueFiles.length === 0) throw new CliError('No JPEG, PNG or WebP files found in the given folders');
+  return uniqueFiles;
+}
+
+// 读取一个图片文件的尺寸和元数据，返回布局引擎使用的照片记录
+// id 为文件路径，结果与运行时间无关；不是支持的图片或读不到尺寸时抛出 CliError
+export async function readPhotoRecord(file) {
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(file);
+  } catch (error) {
+    throw new CliError(`Cannot read ${file}: ${error.message}`);
+  }
+  
+  const metadata = readImageMetadata(buffer);
+  if (!metadata.format) throw new CliError(`${file} is not a JPEG, PNG or WebP image`);
+  if (!metadata.width || !metadata.height) throw new CliError(`Cannot read the dimensions of ${file}`);
+  
+  // 布局使用显示方向的尺寸
+  const { width, height } = getOrientedSize(metadata.width, metadata.height, metadata.orientation);
+  return {
+    id: file,
+    name: path.basename(file),
+    width,
+    height,
+    aspectRatio: width / height,
+    format: metadata.format,
+    orientation: metadata.orientation,
+    capturedAt: metadata.capturedAt,
+    cameraMake: metadata.cameraMake,
+    cameraModel: metadata.cameraModel
+  };
+}
+
+export async function readPhotoRecords(files) {
+  const photos = [];
+  for (const file of files) {
+    photos.push(await readPhotoRecord(file));
+  }
+  return photos;
+}
@@ -0,0 +1,126 @@
+// 把排名靠前的布局画成 PNG 布局几何图：每个布局一页，只画出单元格的位置和大小，下方标注排名和分数
+// 这不是照片缩略图：命令行不解码照片像素（那需要 JPEG / WebP 解码器），
+// 单元格用颜色块表示，标注照片的编号（输入文件的顺序，从 1 开始），同一张照片在各页中颜色相同
+import { encodePng } from './pngEncoder';
+
+const COLUMNS = 3;
+const THUMBNAIL_SIZE = 240;   // 页面长边的像素数
+const PADDING = 24;
+const FONT_SCALE = 3;
+const LABEL_HEIGHT = 5 * FONT_SCALE + 12;
+
+const BACKGROUND = [232, 232, 232];
+const PAGE_COLOR = [255, 255, 255];
+const PAGE_BORDER = [160, 160, 160];
+const TEXT_COLOR = [40, 40, 40];
+
+// 3x5 点阵字体，只包含标签用到的字符
+const GLYPHS = {
+  '0': ['111', '101', '101', '101', '111'],
+  '1': ['010', '110', '010', '010', '111'],
+  '2': ['111', '001', '111', '100', '111'],
+  '3': ['111', '001', '111', '001', '111'],
+  '4': ['101', '101', '111', '001', '001'],
+  '5': ['111', '100', '111', '001', '111'],
+  '6': ['111', '100', '111', '101', '111'],
+  '7': ['111', '001', '001', '001', '001'],
+  '8': ['111', '101', '111', '101', '111'],
+  '9': ['111', '101', '111', '001', '111'],
+  '#': ['101', '111', '101', '111', '101'],
+  '%': ['101', '001', '010', '100', '101'],
+  ' ': ['000', '000', '000', '000', '000']
+};
+
+function hslToRgb(hue, saturation, lightness) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const x = chroma * (1 - Math.abs((hue / 60) % 2 - 1));
+  const m = lightness - chroma / 2;
+  const [r, g, b] = hue < 60 ? [chroma, x, 0]
+    : hue < 120 ? [x, chroma, 0]
+    : hue < 180 ? [0, chroma, x]
+    : hue < 240 ? [0, x, chroma]
+    : hue < 300 ? [x, 0, chroma]
+    : [chroma, 0, x];
+  return [r, g, b].map(value => Math.round((value + m) * 255));
+}
+
+// 按黄金角分配色相，相邻编号的照片颜色差别明显
+function getPhotoColors(index) {
+  const hue = (index * 137.508) % 360;
+  return { fill: hslToRgb(hue, 0.5, 0.72), border: hslToRgb(hue, 0.5, 0.42) };
+}
+
+function createCanvas(width, height) {
+  const pixels = new Uint8Array(width * height * 4);
+  
+  const fillRect = (x, y, w, h, color) => {
+    const left = Math.max(0, Math.round(x));
+    const top = Math.max(0, Math.round(y));
+    const right = Math.min(width, Math.round(x + w));
+    const bottom = Math.min(height, Math.round(y + h));
+    for (let row = top; row < bottom; row++) {
+      for (let column = left; column < right; column++) {
+        const offset = (row * width + column) * 4;
+        pixels[offset] = color[0];
+        pixels[offset + 1] = color[1];
+        pixels[offset + 2] = color[2];
+        pixels[offset + 3] = 255;
+      }
+    }
+  };
+  
+  // 带边框的矩形，边框画在矩形内侧
+  const strokeRect = (x, y, w, h, fill, border) => {
+    fillRect(x, y, w, h, border);
+    fillRect(x + 1, y + 1, w - 2, h - 2, fill);
+  };
+  
+  const drawText = (text, x, y, color) => {
+    [...text].forEach((char, i) => {
+      const glyph = GLYPHS[char];
+      if (!glyph) return;
+      glyph.forEach((row, rowIndex) => {
+        [...row].forEach((bit, columnIndex) => {
+          if (bit === '1') {
+            fillRect(x + (i * 4 + columnIndex) * FONT_SCALE, y + rowIndex * FONT_SCALE, FONT_SCALE, FONT_SCALE, color);
+          }
+        });
+      });
+    });
+  };
+  
+  return { width, height, pixels, fillRect, strokeRect, drawText };
+}
+
+// layouts 和 pageSize 为 optimize 结果中的 layouts 和 page，photoIds 用于确定每张照片的编号和颜色
+// 返回 PNG 文件内容
+export function renderLayoutSheet(layouts, pageSize, photoIds) {
+  const scale = THUMBNAIL_SIZE / Math.max(pageSize.width, pageSize.height);
+  const pageWidth = Math.max(1, Math.round(pageSize.width * scale));
+  const pageHeight = Math.max(1, Math.round(pageSize.height * scale));
+  const columns = Math.max(1, Math.min(COLUMNS, layouts.length));
+  const rows = Math.max(1, Math.ceil(layouts.length / columns));
+  const canvas = createCanvas(
+    PADDING + columns * (pageWidth + PADDING),
+    PADDING + rows * (pageHeight + LABEL_HEIGHT + PADDING)
+  );
+  const photoIndex = new Map(photoIds.map((id, index) => [id, index]));
+  
+  canvas.fillRect(0, 0, canvas.width, canvas.height, BACKGROUND);
+  layouts.forEach((layout, i) => {
+    const left = PADDING + (i % columns) * (pageWidth + PADDING);
+    const top = PADDING + Math.floor(i / columns) * (pageHeight + LABEL_HEIGHT + PADDING);
+    
+    canvas.strokeRect(left - 1, top - 1, pageWidth + 2, pageHeight + 2, PAGE_COLOR, PAGE_BORDER);
+    layout.cells.forEach(cell => {
+      const index = photoIndex.get(cell.photoId) || 0;
+      const colors = getPhotoColors(index);
+      const { x, y, width, height } = cell.absolute;
+      canvas.strokeRect(left + x * scale, top + y * scale, width * scale, height * scale, colors.fill, colors.border);
+      canvas.drawText(`${index + 1}`, left + x * scale + 4, top + y * scale + 4, colors.border);
+    });
+    canvas.drawText(`#${i + 1} ${Math.round(layout.score * 100)}%`, left, top + pageHeight + 8, TEXT_COLOR);
+  });
+  
+  return encodePng(canvas.width, canvas.height, canvas.pixels);
+}
@@ -0,0 +1,73 @@
+// 命令行入口：读取图片尺寸，用 optimize（src/api/optimize.js）生成并评分布局，输出 JSON 或 PNG 布局几何图
+import { optimize, OptimizeInputError } from '../api/optimize';
+import { getPagePixelSize } from '../utils/pageSizes';
+import { parseCliArgs, resolveCliSpacing, CliError, EXIT_CODES, OUTPUT_FORMATS, USAGE } from './cliOptions';
+import { collectImageFiles, readPhotoRecords } from './imageFiles';
+import { renderLayoutSheet } from './layoutSheet';
+
+// argv 为不含 node 和脚本路径的参数；io 提供 stdout(text)、stderr(text) 和 writeFile(path, data)
+// 返回退出码（见 EXIT_CODES），不直接退出进程
+export async function runCli(argv, io) {
+  try {
+    const args = parseCliArgs(argv);
+    if (args.help) {
+      io.stdout(`${USAGE}\n`);
+      return EXIT_CODES.OK;
+    }
+    
+    const files = await collectImageFiles(args.inputs);
+    const photos = await readPhotoRecords(files);
+    const pageSize = getPagePixelSize(args.pageConfig);
+    const spacing = resolveCliSpacing(args.spacingArgs, pageSize);
+    const result = optimize(photos, {
+      page: args.pageConfig,
+      spacing,
+      photoOrder: args.photoOrder,
+      top: args.top,
+      minDpi: args.minDpi
+    });
+    const { layouts } = result;
+    if (layouts.length === 0) {
+      const reason = args.minDpi === null
+        ? 'the margins and gutters leave no room for the photos'
+        : `no layout prints every photo at ${args.minDpi} DPI or better`;
+      throw new CliError(`No valid layout found: ${reason}`, EXIT_CODES.NO_LAYOUT);
+    }
+    
+    if (args.format === OUTPUT_FORMATS.PNG) {
+      await io.writeFile(args.output, renderLayoutSheet(layouts, result.page, photos.map(photo => photo.id)));
+      io.stdout(`Wrote ${layouts.length} layouts to ${args.output}\n`);
+      // 几何图中的单元格只标注照片编号，这里列出编号对应的文件
+      photos.forEach((photo, index) => io.stdout(`  ${index + 1}: ${photo.id}\n`));
+      return EXIT_CODES.OK;
+    }
+    
+    // 在 optimize 的结果中加上从文件读到的照片信息
+    const output = {
+      ...result,
+      photos: photos.map(({ id, name, width, height, format, orientation, capturedAt }) => ({
+        id, name, width, height, format, orientation, capturedAt
+      }))
+    };
+    const json = `${JSON.stringify(output, null, 2)}\n`;
+    if (args.output) {
+      await io.writeFile(args.output, json);
+      io.stdout(`Wrote ${layouts.length} layouts to ${args.output}\n`);
+    } else {
+      io.stdout(json);
+    }
+    return EXIT_CODES.OK;
+  } catch (error) {
+    if (error instanceof CliError) {
+      io.stderr(`photo-grid: ${error.message}\n`);
+      if (error.exitCode === EXIT_CODES.BAD_INPUT) io.stderr('Run photo-grid --help for usage.\n');
+      return error.exitCode;
+    }
+    if (error instanceof OptimizeInputError) {
+      io.stderr(`photo-grid: ${error.message}\n`);
+      return EXIT_CODES.BAD_INPUT;
+    }
+    io.stderr(`photo-grid: ${error.stack || error.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+}
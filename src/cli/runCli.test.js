@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runCli } from './runCli';
+import { parseCliArgs, EXIT_CODES } from './cliOptions';
+import { encodePng } from './pngEncoder';
+import { readImageMetadata } from '../utils/imageMetadata';
+
+const sizes = [[600, 400], [400, 600], [500, 500], [800, 450]];
+
+let folder;
+
+beforeAll(() => {
+  folder = fs.mkdtempSync(path.join(os.tmpdir(), 'photo-grid-'));
+  sizes.forEach(([width, height], i) => {
+    fs.writeFileSync(path.join(folder, `photo-${i}.png`), encodePng(width, height, new Uint8Array(width * height * 4)));
+  });
+  fs.writeFileSync(path.join(folder, 'notes.txt'), 'not an image');
+});
+
+afterAll(() => {
+  fs.rmSync(folder, { recursive: true, force: true });
+});
+
+// 收集输出，不写入真实的 stdout / stderr
+async function run(argv) {
+  const output = { stdout: '', stderr: '', files: {} };
+  const code = await runCli(argv, {
+    stdout: text => { output.stdout += text; },
+    stderr: text => { output.stderr += text; },
+    writeFile: (file, data) => { output.files[file] = data; }
+  });
+  return { code, ...output };
+}
+
+describe('parseCliArgs', () => {
+  test('converts physical margins to pixels and keeps custom page sizes as given', () => {
+    const args = parseCliArgs(['--page', '6x4in', '--dpi', '100', '--margin', '0.5in', '--gutter', '10px', 'a.jpg']);
+    expect(args.pageConfig).toMatchObject({ width: 6, height: 4, unit: 'in', dpi: 100, orientation: 'landscape' });
+    expect(args.spacingArgs).toEqual({ margin: { value: 50, unit: 'px' }, gutter: { value: 10, unit: 'px' } });
+  });
+  
+  test('rejects invalid options', () => {
+    expect(() => parseCliArgs(['--page', 'a9', 'a.jpg'])).toThrow('--page');
+    expect(() => parseCliArgs(['--top', '0', 'a.jpg'])).toThrow('--top');
+    expect(() => parseCliArgs(['--format', 'png', 'a.jpg'])).toThrow('--output');
+    expect(() => parseCliArgs(['--colour', 'red', 'a.jpg'])).toThrow('Unknown option');
+  });
+});
+
+describe('runCli', () => {
+  test('prints the top layouts of a folder as JSON', async () => {
+    const { code, stdout } = await run([folder, '--top', '2', '--page', '1000x1000px', '--gutter', '1%']);
+    expect(code).toBe(EXIT_CODES.OK);
+    
+    const result = JSON.parse(stdout);
+    expect(result.page).toMatchObject({ width: 1000, height: 1000 });
+    expect(result.photos.map(photo => photo.name)).toEqual(['photo-0.png', 'photo-1.png', 'photo-2.png', 'photo-3.png']);
+    expect(result.photos[1]).toMatchObject({ width: 400, height: 600, format: 'png' });
+    expect(result.layouts).toHaveLength(2);
+    expect(result.layouts[0].score).toBeGreaterThanOrEqual(result.layouts[1].score);
+    
+    const ids = result.layouts[0].cells.map(cell => cell.photoId).sort();
+    expect(ids).toEqual(result.photos.map(photo => photo.id).sort());
+  });
+  
+  test('renders a PNG layout sheet and lists the photo numbers', async () => {
+    const output = path.join(folder, 'sheet.png');
+    const { code, files, stdout } = await run([folder, '--top', '3', '--format', 'png', '--output', output]);
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout).toContain(`1: ${path.join(folder, 'photo-0.png')}`);
+    
+    const metadata = readImageMetadata(files[output]);
+    expect(metadata.format).toBe('png');
+    expect(metadata.width).toBeGreaterThan(metadata.height);
+  });
+  
+  test('exits with BAD_INPUT for missing or unsupported files', async () => {
+    const missing = await run([path.join(folder, 'missing.jpg')]);
+    expect(missing.code).toBe(EXIT_CODES.BAD_INPUT);
+    expect(missing.stderr).toContain('missing.jpg');
+    
+    const unsupported = await run([path.join(folder, 'notes.txt')]);
+    expect(unsupported.code).toBe(EXIT_CODES.BAD_INPUT);
+    expect(unsupported.stderr).toContain('not a JPEG, PNG or WebP image');
+    
+    expect((await run([])).code).toBe(EXIT_CODES.BAD_INPUT);
+  });
+  
+  test('exits with NO_LAYOUT when no layout meets the requirements', async () => {
+    const crowded = await run([folder, '--page', '4x4px', '--margin', '2px']);
+    expect(crowded.code).toBe(EXIT_CODES.NO_LAYOUT);
+    expect(crowded.stdout).toBe('');
+    
+    const lowResolution = await run([folder, '--min-dpi', '1000']);
+    expect(lowResolution.code).toBe(EXIT_CODES.NO_LAYOUT);
+    expect(lowResolution.stderr).toContain('1000 DPI');
+  });
+});
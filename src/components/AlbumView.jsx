@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import LayoutPreview from './LayoutPreview';
+import ScoreDisplay from './ScoreDisplay';
+import { exportLayoutsPdf } from '../utils/pdfExport';
+import './AlbumView.css';
+
+function AlbumView({ album, pageSize, physicalSize, error }) {
+  const [isExportingPdf, setIsExportingPdf] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  
+  if (error) {
+    return <div className="album-view album-error">{error}</div>;
+  }
+  
+  if (!album || album.pages.length === 0) {
+    return <div className="album-view">No album pages yet</div>;
+  }
+  
+  // 整本相册导出为一个 PDF，每页一个布局
+  const handleExportPdf = async () => {
+    setIsExportingPdf(true);
+    setExportError(null);
+    try {
+      await exportLayoutsPdf(album.pages.map(page => page.layout), pageSize, physicalSize, { 
+        fileName: 'album' 
+      });
+    } catch (error) {
+      setExportError(`PDF export failed: ${error.message}`);
+    } finally {
+      setIsExportingPdf(false);
+    }
+  };
+  
+  return (
+    <div className="album-view">
+      <div className="album-summary">
+        <h2>Album ({album.pageCount} page{album.pageCount !== 1 ? 's' : ''})</h2>
+        <div className="album-score">
+          Average page score: {Math.round(album.averageScore * 100)}%
+        </div>
+        <button className="album-export" onClick={handleExportPdf} disabled={isExportingPdf}>
+          {isExportingPdf ? 'Building PDF…' : 'Export album PDF'}
+        </button>
+      </div>
+      
+      {exportError && <div className="album-export-error">{exportError}</div>}
+      
+      <div className="album-pages">
+        {album.pages.map(page => (
+          <div key={page.pageNumber} className="album-page">
+            <div className="album-page-header">
+              <div className="layout-number">Page {page.pageNumber}</div>
+              <div className="album-page-range">
+                Photos {page.startIndex + 1}–{page.endIndex}
+              </div>
+            </div>
+            <LayoutPreview layout={page.layout} pageSize={pageSize} />
+            <ScoreDisplay layout={page.layout} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default AlbumView;
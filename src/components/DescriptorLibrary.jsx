@@ -0,0 +1,81 @@
+import React, { useState, useRef } from 'react';
+import { parseDescriptorFile, exportDescriptorFile } from '../utils/descriptorFormat';
+import './DescriptorLibrary.css';
+
+// 导入、导出和管理自定义布局描述符文件
+function DescriptorLibrary({ descriptors, onDescriptorsChange }) {
+  const [errors, setErrors] = useState([]);
+  const fileInputRef = useRef(null);
+  
+  const handleFileChange = async (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    
+    const imported = [];
+    const importErrors = [];
+    for (const file of files) {
+      const result = parseDescriptorFile(await file.text());
+      imported.push(...result.descriptors);
+      result.errors.forEach(error => importErrors.push(`${file.name}: ${error}`));
+    }
+    
+    // 同名描述符以新导入的为准
+    const importedNames = new Set(imported.map(descriptor => descriptor.name));
+    setErrors(importErrors);
+    if (imported.length > 0) {
+      onDescriptorsChange([
+        ...descriptors.filter(descriptor => !importedNames.has(descriptor.name)),
+        ...imported
+      ]);
+    }
+  };
+  
+  const removeDescriptor = (name) => {
+    onDescriptorsChange(descriptors.filter(descriptor => descriptor.name !== name));
+  };
+  
+  return (
+    <div className="descriptor-library">
+      <h2>Layout Templates</h2>
+      <div className="descriptor-actions">
+        <input
+          type="file"
+          multiple
+          accept=".json,application/json"
+          onChange={handleFileChange}
+          ref={fileInputRef}
+          style={{ display: 'none' }}
+        />
+        <button onClick={() => fileInputRef.current.click()}>Import…</button>
+        <button 
+          onClick={() => exportDescriptorFile(descriptors)} 
+          disabled={descriptors.length === 0}
+        >
+          Export all
+        </button>
+      </div>
+      
+      {descriptors.length > 0 && (
+        <ul className="descriptor-list">
+          {descriptors.map(descriptor => (
+            <li key={descriptor.name}>
+              <span>{descriptor.name}</span>
+              <span className="descriptor-count">{descriptor.cells.length} photos</span>
+              <button onClick={() => removeDescriptor(descriptor.name)} title="Remove template">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      
+      {errors.length > 0 && (
+        <ul className="descriptor-errors">
+          {errors.map((error, index) => (
+            <li key={index}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DescriptorLibrary;
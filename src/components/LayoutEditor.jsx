@@ -0,0 +1,226 @@
+import React, { useState, useMemo, useRef } from 'react';
+import LayoutPreview from './LayoutPreview';
+import ScoreDisplay from './ScoreDisplay';
+import {
+  getRelativeCells,
+  findSharedEdges,
+  moveEdge,
+  getEdgeRect,
+  getEdgePositionFromPoint,
+  createEditedLayout,
+  createEditedDescriptor,
+  swapPhotosInCells,
+  panCell,
+  zoomCell,
+  resetCellCrop
+} from '../utils/layoutEditor';
+import { getCellCrop, MIN_ZOOM, MAX_ZOOM } from '../utils/cellCrop';
+import './LayoutEditor.css';
+
+// 编辑器中预览最长边的像素上限
+const EDITOR_MAX_SIZE = 560;
+
+// 拖动相邻单元格之间的共享边调整布局，或在单元格内平移、缩放照片，
+// 实时重新评分，并可保存为自定义布局
+// weights 为当前的评分权重，layout.score 也是按它计算的
+function LayoutEditor({ layout, pageSize, weights, onSave, onClose }) {
+  const initialCells = useMemo(() => getRelativeCells(layout, pageSize), [layout, pageSize]);
+  const [cells, setCells] = useState(initialCells);
+  const [name, setName] = useState(`${layout.name.replace(/^custom-/, '')}-edited`);
+  const [draggingEdge, setDraggingEdge] = useState(null);
+  const [mode, setMode] = useState('resize'); // 'resize', 'crop'
+  const [selectedCell, setSelectedCell] = useState(null);
+  const [panStart, setPanStart] = useState(null);
+  const previewRef = useRef(null);
+  
+  const spacing = layout.spacing || { margin: 0, gutter: 0 };
+  const edges = useMemo(() => findSharedEdges(cells), [cells]);
+  const editedLayout = useMemo(
+    () => createEditedLayout(layout, cells, pageSize, weights),
+    [layout, cells, pageSize, weights]
+  );
+  const scoreChange = Math.round((editedLayout.score - layout.score) * 100);
+  
+  // 拖动开始时记录边两侧的单元格，拖动过程中即使与其他边对齐也不会改变
+  const handlePointerDown = (event, edge) => {
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDraggingEdge(edge);
+  };
+  
+  const handlePointerMove = (event, scale) => {
+    if (!draggingEdge || !previewRef.current) return;
+    const rect = previewRef.current.getBoundingClientRect();
+    const point = {
+      x: (event.clientX - rect.left) / scale,
+      y: (event.clientY - rect.top) / scale
+    };
+    const position = getEdgePositionFromPoint(draggingEdge.orientation, point, pageSize, spacing);
+    setCells(prev => moveEdge(prev, draggingEdge, position));
+  };
+  
+  const handlePointerUp = () => {
+    setDraggingEdge(null);
+  };
+  
+  const updateCell = (index, update) => {
+    setCells(prev => prev.map((cell, i) => (i === index ? update(cell) : cell)));
+  };
+  
+  // 裁剪模式：拖动单元格平移照片，方向与拖动方向相反的是可见区域
+  const handlePanStart = (event, index) => {
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setSelectedCell(index);
+    setPanStart({ index, x: event.clientX, y: event.clientY });
+  };
+  
+  const handlePanMove = (event, scale) => {
+    if (!panStart) return;
+    const pixelCell = editedLayout.cells[panStart.index];
+    if (!pixelCell.photo) return;
+    
+    const dx = -(event.clientX - panStart.x) / (pixelCell.width * scale);
+    const dy = -(event.clientY - panStart.y) / (pixelCell.height * scale);
+    const { focalPoint } = panCell(pixelCell, dx, dy);
+    updateCell(panStart.index, cell => ({ ...cell, focalPoint }));
+    setPanStart({ ...panStart, x: event.clientX, y: event.clientY });
+  };
+  
+  const renderCropSurfaces = (scale) => (
+    <div className="edge-layer">
+      {editedLayout.cells.map((cell, index) => (
+        <div 
+          key={index}
+          className={`crop-surface ${selectedCell === index ? 'selected' : ''}`}
+          style={{
+            left: cell.x * scale,
+            top: cell.y * scale,
+            width: cell.width * scale,
+            height: cell.height * scale
+          }}
+          onPointerDown={(event) => handlePanStart(event, index)}
+          onPointerMove={(event) => handlePanMove(event, scale)}
+          onPointerUp={() => setPanStart(null)}
+          onPointerCancel={() => setPanStart(null)}
+        />
+      ))}
+    </div>
+  );
+  
+  const selectedZoom = selectedCell !== null && cells[selectedCell]
+    ? getCellCrop(cells[selectedCell]).zoom
+    : MIN_ZOOM;
+  
+  const renderHandles = (scale) => (
+    <div className="edge-layer" ref={previewRef}>
+      {edges.map(edge => {
+        const rect = getEdgeRect(edge, pageSize, spacing);
+        const isVertical = edge.orientation === 'vertical';
+        const isActive = draggingEdge &&
+          draggingEdge.orientation === edge.orientation &&
+          draggingEdge.before.join() === edge.before.join();
+        return (
+          <div 
+            key={`${edge.orientation}-${edge.before.join()}-${edge.after.join()}`}
+            className={`edge-handle ${edge.orientation} ${isActive ? 'active' : ''}`}
+            style={{
+              left: rect.x * scale - (isVertical ? 5 : 0),
+              top: rect.y * scale - (isVertical ? 0 : 5),
+              width: isVertical ? 10 : rect.width * scale,
+              height: isVertical ? rect.height * scale : 10
+            }}
+            onPointerDown={(event) => handlePointerDown(event, edge)}
+            onPointerMove={(event) => handlePointerMove(event, scale)}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          />
+        );
+      })}
+    </div>
+  );
+  
+  const handleSwapPhotos = (fromIndex, toIndex) => {
+    setCells(prev => swapPhotosInCells(prev, fromIndex, toIndex));
+  };
+  
+  const handleSave = () => {
+    onSave(createEditedDescriptor(layout, cells, name.trim() || editedLayout.name));
+  };
+  
+  return (
+    <div className="layout-editor-backdrop" onClick={onClose}>
+      <div className="layout-editor" onClick={(event) => event.stopPropagation()}>
+        <div className="layout-editor-header">
+          <h2>Edit Layout</h2>
+          <button className="layout-editor-close" onClick={onClose} title="Close">×</button>
+        </div>
+        <div className="layout-editor-body">
+          <LayoutPreview 
+            layout={editedLayout} 
+            pageSize={pageSize} 
+            maxSize={EDITOR_MAX_SIZE} 
+            renderOverlay={mode === 'crop' ? renderCropSurfaces : renderHandles}
+            onSwapPhotos={mode === 'crop' ? undefined : handleSwapPhotos}
+            className="editing"
+          />
+          <div className="layout-editor-sidebar">
+            <div className="layout-editor-modes">
+              <button className={mode === 'resize' ? 'active' : ''} onClick={() => setMode('resize')}>
+                Resize cells
+              </button>
+              <button className={mode === 'crop' ? 'active' : ''} onClick={() => setMode('crop')}>
+                Pan &amp; zoom
+              </button>
+            </div>
+            {mode === 'resize' ? (
+              <p className="layout-editor-hint">
+                Drag the lines between photos to resize every cell along that edge.
+                Drag a photo onto another cell to swap them.
+              </p>
+            ) : (
+              <>
+                <p className="layout-editor-hint">
+                  Drag inside a cell to move the photo. Select a cell to zoom.
+                </p>
+                <label className="layout-editor-zoom">
+                  Zoom {selectedZoom.toFixed(2)}×
+                  <input 
+                    type="range" 
+                    min={MIN_ZOOM} 
+                    max={MAX_ZOOM} 
+                    step="0.05" 
+                    value={selectedZoom} 
+                    disabled={selectedCell === null}
+                    onChange={(e) => updateCell(selectedCell, cell => zoomCell(cell, parseFloat(e.target.value)))}
+                  />
+                </label>
+                <button 
+                  className="layout-editor-reset-crop"
+                  disabled={selectedCell === null}
+                  onClick={() => updateCell(selectedCell, resetCellCrop)}
+                >
+                  Reset pan &amp; zoom
+                </button>
+              </>
+            )}
+            <ScoreDisplay layout={editedLayout} />
+            <div className={`score-change ${scoreChange < 0 ? 'worse' : ''}`}>
+              {`${scoreChange >= 0 ? '+' : ''}${scoreChange}% vs original`}
+            </div>
+            <label className="layout-editor-name">
+              Name
+              <input type="text" value={name} onChange={(e) => setName(e.target.value)} />
+            </label>
+            <div className="layout-editor-actions">
+              <button onClick={() => setCells(initialCells)}>Reset</button>
+              <button className="primary" onClick={handleSave}>Save as custom layout</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LayoutEditor;
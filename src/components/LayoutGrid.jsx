@@ -1,14 +1,43 @@
 import React, { useState, useEffect } from 'react';
 import LayoutPreview from './LayoutPreview';
 import ScoreDisplay from './ScoreDisplay';
+import LayoutEditor from './LayoutEditor';
+import { exportLayoutImage, RASTER_FORMATS } from '../utils/rasterExport';
+import { exportLayoutsPdf } from '../utils/pdfExport';
+import { exportLayoutSvg } from '../utils/svgExport';
+import { layoutToDescriptor, exportDescriptorFile } from '../utils/descriptorFormat';
 import './LayoutGrid.css';
 
-function LayoutGrid({ layouts, pageSize }) {
+// 用于排序的分数；交换过照片的布局按生成时的分数排序，保持在列表中的位置不变
+function getRankScore(layout) {
+  return layout.originalScore !== undefined ? layout.originalScore : (layout.score || 0);
+}
+
+// chosenLayouts 为选中导出 PDF 的布局名称（按选择顺序），由 App 保存在项目中；
+// 按名称记录，重新生成布局后选择仍然有效
+function LayoutGrid({ 
+  layouts, 
+  pageSize, 
+  physicalSize, 
+  scoreWeights,
+  chosenLayouts = [], 
+  onChosenLayoutsChange = () => {}, 
+  onSaveCustomLayout, 
+  onSwapPhotos, 
+  onResetArrangement 
+}) {
   const [uniqueLayouts, setUniqueLayouts] = useState([]);
   const [displayLayouts, setDisplayLayouts] = useState([]);
-  const [filter, setFilter] = useState('unique'); // 'all', 'unique', 'optimized', 'grid', 'split', 'composite'
+  const [filter, setFilter] = useState('unique'); // 'all', 'unique', 'optimized', 'grid', 'split', 'composite', 'guillotine', 'justified', 'custom'
   const [numColumns, setNumColumns] = useState(4);
   const [structureGroups, setStructureGroups] = useState({});
+  const [exportFormat, setExportFormat] = useState(RASTER_FORMATS.PNG);
+  const [exportQuality, setExportQuality] = useState(0.92);
+  const [exportingIndex, setExportingIndex] = useState(null);
+  const [isExportingPdf, setIsExportingPdf] = useState(false);
+  const [embedSvgImages, setEmbedSvgImages] = useState(true);
+  const [editingLayout, setEditingLayout] = useState(null);
+  const [exportError, setExportError] = useState(null);
   
   useEffect(() => {
     // 计算合适的列数
@@ -49,7 +78,7 @@ function LayoutGrid({ layouts, pageSize }) {
       structureGroupMap[layoutKey].structures.push(index);
       
       // 记录最高分的布局
-      const score = layout.score || 0;
+      const score = getRankScore(layout);
       if (score > structureGroupMap[layoutKey].bestScore) {
         structureGroupMap[layoutKey].bestScore = score;
         structureGroupMap[layoutKey].bestIndex = index;
@@ -112,15 +141,27 @@ function LayoutGrid({ layouts, pageSize }) {
       );
     } else if (filter === 'composite') {
       filtered = uniqueLayouts.filter(layout => layout.type === 'composite');
+    } else if (filter === 'guillotine') {
+      filtered = uniqueLayouts.filter(layout => 
+        layout.type === 'guillotine' || 
+        (layout.name && layout.name.startsWith('guillotine-'))
+      );
+    } else if (filter === 'justified') {
+      filtered = uniqueLayouts.filter(layout => layout.type === 'justified');
+    } else if (filter === 'custom') {
+      filtered = uniqueLayouts.filter(layout => 
+        layout.type === 'custom' || 
+        (layout.name && layout.name.startsWith('custom-'))
+      );
     }
     
     // 按分数排序，同时在相同结构中尽可能显示最佳布局
     filtered.sort((a, b) => {
       // 对于相同结构的布局，按分数排序
       if (a.structureGroup === b.structureGroup) {
-        return (b.score || 0) - (a.score || 0);
+        return getRankScore(b) - getRankScore(a);
       }
-      return (b.score || 0) - (a.score || 0);
+      return getRankScore(b) - getRankScore(a);
     });
     
     setDisplayLayouts(filtered);
@@ -130,7 +171,7 @@ function LayoutGrid({ layouts, pageSize }) {
   const generateLayoutKey = (layout) => {
     // 如果没有单元格，无法进行结构比较
     if (!layout || !layout.cells || layout.cells.length === 0) {
-      return `${layout.type || 'unknown'}_${layout.name || 'unnamed'}_${Date.now()}`;
+      return `${layout.type || 'unknown'}_${layout.name || 'unnamed'}_empty`;
     }
     
     // 按位置排序单元格
@@ -192,6 +233,26 @@ function LayoutGrid({ layouts, pageSize }) {
     return { variantCount, isBest };
   };
 
+  // 分割布局中某一部分的 flex 比例，没有比例信息时等分
+  // part 为 'first' 或 'second'，传入 index 时返回该部分内第 index 个单元格的比例
+  const getSplitFlex = (layout, part, index) => {
+    const ratios = layout.ratios;
+    if (!ratios) return 1;
+    
+    if (index === undefined) {
+      return part === 'first' ? ratios.split : 1 - ratios.split;
+    }
+    return ratios[part][index];
+  };
+
+  // 分割比例的文字描述，例如 " (42/58)"
+  const formatSplitRatio = (layout) => {
+    if (!layout.ratios) return '';
+    
+    const first = Math.round(layout.ratios.split * 100);
+    return ` (${first}/${100 - first})`;
+  };
+
   // Generate a visual representation of the layout structure
   const generateLayoutStructure = (layout) => {
     if (!layout || !layout.type) {
@@ -233,19 +294,19 @@ function LayoutGrid({ layouts, pageSize }) {
             <div className="layout-structure">
               <div className="structure-title">Structure:</div>
               <div className="structure-grid" style={{display: 'flex', flexDirection: 'column'}}>
-                <div style={{display: 'flex', flex: 1}}>
+                <div style={{display: 'flex', flex: getSplitFlex(layout, 'first')}}>
                   {Array.from({length: topCount}).map((_, i) => (
-                    <div key={i} className="grid-cell" style={{flex: 1}}>{i + 1}</div>
+                    <div key={i} className="grid-cell" style={{flex: getSplitFlex(layout, 'first', i)}}>{i + 1}</div>
                   ))}
                 </div>
-                <div style={{display: 'flex', flex: 1}}>
+                <div style={{display: 'flex', flex: getSplitFlex(layout, 'second')}}>
                   {Array.from({length: bottomCount}).map((_, i) => (
-                    <div key={i} className="grid-cell" style={{flex: 1}}>{i + topCount + 1}</div>
+                    <div key={i} className="grid-cell" style={{flex: getSplitFlex(layout, 'second', i)}}>{i + topCount + 1}</div>
                   ))}
                 </div>
               </div>
               <div className="structure-desc">
-                Horizontal Split: {topCount} top + {bottomCount} bottom
+                Horizontal Split: {topCount} top + {bottomCount} bottom{formatSplitRatio(layout)}
               </div>
             </div>
           );
@@ -260,19 +321,19 @@ function LayoutGrid({ layouts, pageSize }) {
             <div className="layout-structure">
               <div className="structure-title">Structure:</div>
               <div className="structure-grid" style={{display: 'flex'}}>
-                <div style={{display: 'flex', flexDirection: 'column', flex: 1}}>
+                <div style={{display: 'flex', flexDirection: 'column', flex: getSplitFlex(layout, 'first')}}>
                   {Array.from({length: leftCount}).map((_, i) => (
-                    <div key={i} className="grid-cell" style={{flex: 1}}>{i + 1}</div>
+                    <div key={i} className="grid-cell" style={{flex: getSplitFlex(layout, 'first', i)}}>{i + 1}</div>
                   ))}
                 </div>
-                <div style={{display: 'flex', flexDirection: 'column', flex: 1}}>
+                <div style={{display: 'flex', flexDirection: 'column', flex: getSplitFlex(layout, 'second')}}>
                   {Array.from({length: rightCount}).map((_, i) => (
-                    <div key={i} className="grid-cell" style={{flex: 1}}>{i + leftCount + 1}</div>
+                    <div key={i} className="grid-cell" style={{flex: getSplitFlex(layout, 'second', i)}}>{i + leftCount + 1}</div>
                   ))}
                 </div>
               </div>
               <div className="structure-desc">
-                Vertical Split: {leftCount} left + {rightCount} right
+                Vertical Split: {leftCount} left + {rightCount} right{formatSplitRatio(layout)}
               </div>
             </div>
           );
@@ -280,8 +341,9 @@ function LayoutGrid({ layouts, pageSize }) {
       }
     }
     
-    // 处理复合和优化布局
-    if (layout.type === 'composite' || layout.type === 'optimized') {
+    // 处理复合、断头台、两端对齐、自定义和优化布局
+    if (layout.type === 'composite' || layout.type === 'guillotine' || 
+        layout.type === 'justified' || layout.type === 'custom' || layout.type === 'optimized') {
       // 获取布局单元格
       const cells = layout.cells || [];
       if (cells.length === 0) {
@@ -319,8 +381,15 @@ function LayoutGrid({ layouts, pageSize }) {
           structureDesc = "2-3-2 Layout";
           break;
         default:
-          if (layout.type === 'optimized') {
-            structureDesc = "Optimized: " + layout.name.replace('-optimized', '');
+          if (layout.type === 'guillotine') {
+            structureDesc = "Guillotine: " + layout.name.replace('guillotine-', '');
+          } else if (layout.type === 'justified') {
+            const [, direction, count] = layout.name.split('-');
+            structureDesc = `Justified: ${count} ${direction}, no cropping`;
+          } else if (layout.type === 'custom') {
+            structureDesc = "Custom: " + layout.name.replace('custom-', '');
+          } else if (layout.type === 'optimized') {
+            structureDesc = "Optimized: " + layout.name.replace('-optimized', '') + formatSplitRatio(layout);
           } else {
             structureDesc = layout.name || "Custom layout";
           }
@@ -368,8 +437,18 @@ function LayoutGrid({ layouts, pageSize }) {
       return 'Split Layout';
     } else if (layout.type === 'composite') {
       return 'Composite Layout';
+    } else if (layout.type === 'guillotine') {
+      return 'Guillotine Layout';
+    } else if (layout.type === 'justified') {
+      return layout.name.startsWith('justified-columns') ? 'Justified Columns' : 'Justified Rows';
+    } else if (layout.type === 'custom') {
+      return 'Custom Layout';
     } else if (layout.type === 'optimized') {
-      if (layout.name.includes('grid')) {
+      if (layout.name.startsWith('custom-')) {
+        return 'Optimized Custom';
+      } else if (layout.name.includes('guillotine')) {
+        return 'Optimized Guillotine';
+      } else if (layout.name.includes('grid')) {
         return 'Optimized Grid';
       } else if (layout.name.includes('hsplit')) {
         return 'Optimized H-Split';
@@ -386,6 +465,72 @@ function LayoutGrid({ layouts, pageSize }) {
     return layout.type.charAt(0).toUpperCase() + layout.type.slice(1);
   };
 
+  // 以页面完整像素尺寸导出布局图片
+  const handleExport = async (layout) => {
+    setExportingIndex(layout.originalIndex);
+    setExportError(null);
+    try {
+      await exportLayoutImage(layout, pageSize, { format: exportFormat, quality: exportQuality });
+    } catch (error) {
+      setExportError(`Export failed: ${error.message}`);
+    } finally {
+      setExportingIndex(null);
+    }
+  };
+
+  // 导出 SVG，可选择嵌入图片或链接到原始文件名
+  const handleExportSvg = (layout) => {
+    setExportError(null);
+    try {
+      exportLayoutSvg(layout, pageSize, { embedImages: embedSvgImages, physicalSize });
+    } catch (error) {
+      setExportError(`SVG export failed: ${error.message}`);
+    }
+  };
+
+  // 把布局的几何结构保存为描述符文件，可在之后重新导入
+  const handleExportDescriptor = (layout) => {
+    const descriptor = layoutToDescriptor(layout, pageSize);
+    exportDescriptorFile([descriptor], descriptor.name);
+  };
+
+  // 保存编辑后的布局，App 会把它加入自定义布局并重新生成
+  const handleSaveEdited = (descriptor) => {
+    onSaveCustomLayout(descriptor);
+    setEditingLayout(null);
+  };
+
+  const togglePdfSelection = (layout) => {
+    onChosenLayoutsChange(chosenLayouts.includes(layout.name)
+      ? chosenLayouts.filter(name => name !== layout.name)
+      : [...chosenLayouts, layout.name]
+    );
+  };
+
+  // 当前布局中被选中的布局，按选择顺序；选中后又不再生成的布局被忽略
+  const getChosenLayouts = () => chosenLayouts
+    .map(name => uniqueLayouts.find(layout => layout.name === name))
+    .filter(Boolean);
+
+  // 按选择顺序把选中的布局导出为多页 PDF
+  const handleExportPdf = async () => {
+    const selectedLayouts = getChosenLayouts();
+    if (selectedLayouts.length === 0) return;
+    
+    setIsExportingPdf(true);
+    setExportError(null);
+    try {
+      await exportLayoutsPdf(selectedLayouts, pageSize, physicalSize, { 
+        quality: exportQuality, 
+        fileName: 'layouts' 
+      });
+    } catch (error) {
+      setExportError(`PDF export failed: ${error.message}`);
+    } finally {
+      setIsExportingPdf(false);
+    }
+  };
+
   // 获取唯一结构数
   const getUniqueStructureCount = () => {
     return Object.keys(structureGroups).length;
@@ -401,10 +546,52 @@ function LayoutGrid({ layouts, pageSize }) {
           <button className={filter === 'grid' ? 'active' : ''} onClick={() => setFilter('grid')}>Grid</button>
           <button className={filter === 'split' ? 'active' : ''} onClick={() => setFilter('split')}>Split</button>
           <button className={filter === 'composite' ? 'active' : ''} onClick={() => setFilter('composite')}>Composite</button>
+          <button className={filter === 'guillotine' ? 'active' : ''} onClick={() => setFilter('guillotine')}>Guillotine</button>
+          <button className={filter === 'justified' ? 'active' : ''} onClick={() => setFilter('justified')}>Justified</button>
+          <button className={filter === 'custom' ? 'active' : ''} onClick={() => setFilter('custom')}>Custom</button>
           <button className={filter === 'optimized' ? 'active' : ''} onClick={() => setFilter('optimized')}>Optimized</button>
         </div>
+        <div className="export-controls">
+          <label>
+            Export as
+            <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+              <option value={RASTER_FORMATS.PNG}>PNG</option>
+              <option value={RASTER_FORMATS.JPEG}>JPEG</option>
+            </select>
+          </label>
+          <button 
+            onClick={handleExportPdf} 
+            disabled={getChosenLayouts().length === 0 || isExportingPdf}
+            title="Select layouts with the PDF checkbox on each card"
+          >
+            {isExportingPdf ? 'Building PDF…' : `Export PDF (${getChosenLayouts().length})`}
+          </button>
+          <label title="Embed photos as data URIs, or link to the original file names">
+            <input 
+              type="checkbox" 
+              checked={embedSvgImages} 
+              onChange={(e) => setEmbedSvgImages(e.target.checked)}
+            />
+            Embed SVG images
+          </label>
+          {exportFormat === RASTER_FORMATS.JPEG && (
+            <label>
+              Quality {Math.round(exportQuality * 100)}%
+              <input 
+                type="range" 
+                min="0.5" 
+                max="1" 
+                step="0.01" 
+                value={exportQuality} 
+                onChange={(e) => setExportQuality(parseFloat(e.target.value))}
+              />
+            </label>
+          )}
+        </div>
       </div>
       
+      {exportError && <div className="export-error">{exportError}</div>}
+      
       <div className="layouts-container" style={{gridTemplateColumns: `repeat(${numColumns}, 1fr)`}}>
         {displayLayouts.map((layout) => {
           const groupInfo = getStructureGroupInfo(layout);
@@ -430,6 +617,11 @@ function LayoutGrid({ layouts, pageSize }) {
                       Best Variant
                     </div>
                   )}
+                  {layout.originalScore !== undefined && (
+                    <div className="rearranged-badge" title="Photos were swapped by hand">
+                      Rearranged
+                    </div>
+                  )}
                   {layout.isDuplicate && (
                     <div className="duplicate-badge">
                       Duplicate of #{layout.duplicateOf + 1}
@@ -437,7 +629,11 @@ function LayoutGrid({ layouts, pageSize }) {
                   )}
                 </div>
               </div>
-              <LayoutPreview layout={layout} pageSize={pageSize} />
+              <LayoutPreview 
+                layout={layout} 
+                pageSize={pageSize} 
+                onSwapPhotos={onSwapPhotos ? (fromIndex, toIndex) => onSwapPhotos(layout, fromIndex, toIndex) : undefined}
+              />
               <div className="layout-info">
                 <div className="layout-type">
                   {getLayoutTypeDisplay(layout)}
@@ -445,10 +641,48 @@ function LayoutGrid({ layouts, pageSize }) {
                 {generateLayoutStructure(layout)}
               </div>
               <ScoreDisplay layout={layout} />
+              <div className="layout-actions">
+                <label className="pdf-select">
+                  <input 
+                    type="checkbox" 
+                    checked={chosenLayouts.includes(layout.name)} 
+                    onChange={() => togglePdfSelection(layout)}
+                  />
+                  PDF
+                </label>
+                <button 
+                  onClick={() => handleExport(layout)} 
+                  disabled={exportingIndex === layout.originalIndex}
+                >
+                  {exportingIndex === layout.originalIndex ? 'Exporting…' : 'Export'}
+                </button>
+                <button onClick={() => handleExportSvg(layout)}>SVG</button>
+                {onSaveCustomLayout && (
+                  <button onClick={() => setEditingLayout(layout)} title="Drag cell edges to resize">Edit</button>
+                )}
+                {layout.originalScore !== undefined && onResetArrangement && (
+                  <button onClick={() => onResetArrangement(layout)} title="Restore the generated photo placement">
+                    Reset
+                  </button>
+                )}
+                <button onClick={() => handleExportDescriptor(layout)} title="Save this layout as a template file">
+                  Template
+                </button>
+              </div>
             </div>
           );
         })}
       </div>
+      
+      {editingLayout && (
+        <LayoutEditor 
+          layout={editingLayout} 
+          pageSize={pageSize} 
+          weights={scoreWeights}
+          onSave={handleSaveEdited} 
+          onClose={() => setEditingLayout(null)} 
+        />
+      )}
     </div>
   );
 }
@@ -1,22 +1,77 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { getCellImageStyle } from '../utils/cellCrop';
 import './LayoutPreview.css';
 
-function LayoutPreview({ layout, pageSize }) {
-  const scale = 0.25; // Scale down the preview for display
+// 预览最长边的像素上限，打印尺寸的页面像素很大，需要进一步缩小
+const PREVIEW_MAX_SIZE = 250;
+
+// 拖放照片时 dataTransfer 使用的类型，数据中带上布局名称，避免把照片拖到其他布局中
+const CELL_DRAG_TYPE = 'application/x-photo-grid-cell';
+
+// maxSize 为预览最长边的像素上限，编辑器使用更大的预览
+// renderOverlay(scale) 返回叠加在单元格之上的内容，例如编辑器的拖动手柄
+// 提供 onSwapPhotos(fromIndex, toIndex) 时可以把一个单元格的照片拖到另一个单元格上交换
+function LayoutPreview({ layout, pageSize, maxSize = PREVIEW_MAX_SIZE, renderOverlay, onSwapPhotos, className = '' }) {
+  const [dropTarget, setDropTarget] = useState(null);
+  // Scale down the preview for display
+  const scale = Math.min(0.25 * maxSize / PREVIEW_MAX_SIZE, maxSize / Math.max(pageSize.width, pageSize.height));
+  const margin = layout.spacing ? layout.spacing.margin : 0;
+  
+  const handleDragStart = (event, index) => {
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData(CELL_DRAG_TYPE, JSON.stringify({ layoutName: layout.name, index }));
+  };
+  
+  const handleDragOver = (event, index) => {
+    if (!event.dataTransfer.types.includes(CELL_DRAG_TYPE)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    setDropTarget(index);
+  };
+  
+  const handleDrop = (event, index) => {
+    event.preventDefault();
+    setDropTarget(null);
+    const data = event.dataTransfer.getData(CELL_DRAG_TYPE);
+    if (!data) return;
+    
+    const source = JSON.parse(data);
+    if (source.layoutName === layout.name && source.index !== index) {
+      onSwapPhotos(source.index, index);
+    }
+  };
   
   return (
     <div 
-      className="layout-preview"
+      className={`layout-preview ${className}`}
       style={{
         width: pageSize.width * scale,
         height: pageSize.height * scale,
         position: 'relative'
       }}
     >
+      {/* 页边距参考线，标出内容区域 */}
+      {margin > 0 && (
+        <div 
+          className="margin-guide"
+          style={{
+            position: 'absolute',
+            left: margin * scale,
+            top: margin * scale,
+            width: (pageSize.width - margin * 2) * scale,
+            height: (pageSize.height - margin * 2) * scale
+          }}
+        />
+      )}
       {layout.cells.map((cell, index) => (
         <div 
           key={index}
-          className="photo-cell"
+          className={`photo-cell ${dropTarget === index ? 'drop-target' : ''}`}
+          draggable={Boolean(onSwapPhotos && cell.photo)}
+          onDragStart={onSwapPhotos ? (event) => handleDragStart(event, index) : undefined}
+          onDragOver={onSwapPhotos ? (event) => handleDragOver(event, index) : undefined}
+          onDragLeave={onSwapPhotos ? () => setDropTarget(null) : undefined}
+          onDrop={onSwapPhotos ? (event) => handleDrop(event, index) : undefined}
           style={{
             position: 'absolute',
             left: cell.x * scale,
@@ -31,15 +86,12 @@ function LayoutPreview({ layout, pageSize }) {
             <img 
               src={cell.photo.src}
               alt={`Photo ${index}`}
-              style={{
-                width: '100%',
-                height: '100%',
-                objectFit: 'cover'
-              }}
+              style={getCellImageStyle(cell)}
             />
           )}
         </div>
       ))}
+      {renderOverlay && renderOverlay(scale)}
     </div>
   );
 }
@@ -1,9 +1,91 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { getPhotoFocalPoint } from '../utils/cellCrop';
+import { estimateImageSaliency } from '../utils/saliency';
+import { readImageMetadata, isOrientationApplied, createOrientedImageSource } from '../utils/imageMetadata';
+import { loadImage } from '../utils/rasterExport';
+import { MIN_PHOTO_WEIGHT, MAX_PHOTO_WEIGHT, getPhotoWeight } from '../utils/photoImportance';
+import { createContentId, assignUniquePhotoIds } from '../utils/photoIds';
 import './PhotoUploader.css';
 
+// 缩略图区域的宽高比（120×90），照片以 contain 方式完整显示，便于选择焦点
+const THUMBNAIL_ASPECT_RATIO = 4 / 3;
+
+// 照片在缩略图区域中实际显示的位置（百分比）
+function getThumbnailImageRect(photo) {
+  const aspectRatio = photo.width / photo.height;
+  if (aspectRatio > THUMBNAIL_ASPECT_RATIO) {
+    const height = THUMBNAIL_ASPECT_RATIO / aspectRatio * 100;
+    return { left: 0, top: (100 - height) / 2, width: 100, height };
+  }
+  const width = aspectRatio / THUMBNAIL_ASPECT_RATIO * 100;
+  return { left: (100 - width) / 2, top: 0, width, height: 100 };
+}
+
+function readFile(file, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](file);
+  });
+}
+
+// 读取照片及其 EXIF 元数据
+// 尺寸按 EXIF 方向换算；浏览器没有按方向显示时改用绘制好的正向图片，
+// 这样预览、评分和导出看到的都是同一个方向
+async function loadPhoto(file) {
+  const [buffer, dataUrl] = await Promise.all([
+    readFile(file, 'readAsArrayBuffer'),
+    readFile(file, 'readAsDataURL')
+  ]);
+  const metadata = readImageMetadata(buffer);
+  
+  let src = dataUrl;
+  let img = await loadImage(src);
+  if (!isOrientationApplied(img, metadata)) {
+    src = createOrientedImageSource(img, metadata.orientation, file.type === 'image/png' ? 'image/png' : 'image/jpeg');
+    img = await loadImage(src);
+  }
+  
+  return {
+    id: createContentId(buffer), // 由文件内容得到，重复的文件在 handleFileChange 中加后缀
+    file: file,
+    src,
+    width: img.width,
+    height: img.height,
+    aspectRatio: img.width / img.height,
+    name: file.name,
+    orientation: metadata.orientation,
+    capturedAt: metadata.capturedAt,
+    cameraMake: metadata.cameraMake,
+    cameraModel: metadata.cameraModel,
+    hasGps: metadata.hasGps,
+    // 在小画布上估计显著性，得到建议的裁剪锚点
+    saliency: estimateImageSaliency(img)
+  };
+}
+
+const WEIGHT_OPTIONS = Array.from(
+  { length: MAX_PHOTO_WEIGHT - MIN_PHOTO_WEIGHT + 1 }, 
+  (_, index) => MIN_PHOTO_WEIGHT + index
+);
+
+// 缩略图下方显示的拍摄信息
+function getPhotoDetails(photo) {
+  const details = [];
+  if (photo.capturedAt) details.push(`Captured ${photo.capturedAt.replace('T', ' ')}`);
+  if (photo.cameraModel) {
+    const make = photo.cameraMake && !photo.cameraModel.startsWith(photo.cameraMake) ? `${photo.cameraMake} ` : '';
+    details.push(`${make}${photo.cameraModel}`);
+  }
+  if (photo.hasGps) details.push('Has GPS location');
+  return details.join('\n');
+}
+
 function PhotoUploader({ onPhotosUploaded, existingPhotos = [] }) {
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [photos, setPhotos] = useState(existingPhotos);
+  const [uploadError, setUploadError] = useState(null);
   const fileInputRef = useRef(null);
 
   // When existingPhotos prop changes, update our internal state
@@ -11,34 +93,24 @@ function PhotoUploader({ onPhotosUploaded, existingPhotos = [] }) {
     setPhotos(existingPhotos);
   }, [existingPhotos]);
 
+  // 逐个读取照片，读取失败（文件损坏、浏览器不支持的格式）的文件被跳过，其余照片照常加入
   const handleFileChange = async (event) => {
     const files = Array.from(event.target.files);
-    setSelectedFiles(prev => [...prev, ...files]);
+    const results = await Promise.allSettled(files.map(loadPhoto));
+    const loadedFiles = files.filter((_, index) => results[index].status === 'fulfilled');
+    const failedFiles = files.filter((_, index) => results[index].status === 'rejected');
     
-    const photoPromises = files.map(file => {
-      return new Promise((resolve) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          const img = new Image();
-          img.onload = () => {
-            resolve({
-              id: Date.now() + Math.random().toString(36).substr(2, 9), // Generate unique ID
-              file: file,
-              src: e.target.result,
-              width: img.width,
-              height: img.height,
-              aspectRatio: img.width / img.height,
-              name: file.name
-            });
-          };
-          img.src = e.target.result;
-        };
-        reader.readAsDataURL(file);
-      });
-    });
-
-    const loadedPhotos = await Promise.all(photoPromises);
+    setUploadError(failedFiles.length > 0
+      ? `Could not load ${failedFiles.map(file => file.name).join(', ')}`
+      : null);
+    if (loadedFiles.length === 0) return;
+    
+    const loadedPhotos = assignUniquePhotoIds(
+      results.filter(result => result.status === 'fulfilled').map(result => result.value),
+      photos
+    );
     const updatedPhotos = [...photos, ...loadedPhotos];
+    setSelectedFiles(prev => [...prev, ...loadedFiles]);
     setPhotos(updatedPhotos);
     onPhotosUploaded(updatedPhotos);
   };
@@ -47,6 +119,28 @@ function PhotoUploader({ onPhotosUploaded, existingPhotos = [] }) {
     fileInputRef.current.click();
   };
 
+  // 修改单张照片的焦点、主图标记或权重
+  const updatePhoto = (photoIndex, changes) => {
+    const updatedPhotos = photos.map((photo, index) => 
+      index === photoIndex ? { ...photo, ...changes } : photo
+    );
+    setPhotos(updatedPhotos);
+    onPhotosUploaded(updatedPhotos);
+  };
+
+  // 点击缩略图设置焦点，双击恢复为照片中心
+  const setFocalPoint = (photoIndex, focalPoint) => updatePhoto(photoIndex, { focalPoint });
+
+  const handleFocalClick = (event, photoIndex) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const rect = getThumbnailImageRect(photos[photoIndex]);
+    const clamp = value => Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000;
+    setFocalPoint(photoIndex, {
+      x: clamp(((event.clientX - bounds.left) / bounds.width * 100 - rect.left) / rect.width),
+      y: clamp(((event.clientY - bounds.top) / bounds.height * 100 - rect.top) / rect.height)
+    });
+  };
+
   const removePhoto = (photoIndex) => {
     const updatedPhotos = photos.filter((_, index) => index !== photoIndex);
     const updatedFiles = selectedFiles.filter((_, index) => index !== photoIndex);
@@ -76,28 +170,68 @@ function PhotoUploader({ onPhotosUploaded, existingPhotos = [] }) {
         </div>
       </div>
 
+      {uploadError && <div className="upload-error">{uploadError}</div>}
+
       {photos.length > 0 && (
         <div className="selected-photos">
           <h3>Selected Photos</h3>
           <div className="photo-thumbnails">
-            {photos.map((photo, index) => (
-              <div key={photo.id || index} className="photo-thumbnail">
-                <img src={photo.src} alt={`Thumbnail ${index}`} />
-                <div className="photo-info">
-                  <span>{photo.name || `Photo ${index + 1}`}</span>
-                  <span>{photo.width}×{photo.height}px</span>
+            {photos.map((photo, index) => {
+              const rect = getThumbnailImageRect(photo);
+              const focalPoint = getPhotoFocalPoint(photo);
+              return (
+                <div key={photo.id || index} className="photo-thumbnail">
+                  <div 
+                    className="focal-picker"
+                    title={photo.focalPoint 
+                      ? 'Click to set the focal point, double-click to reset' 
+                      : 'Click to set the focal point (the marker shows the suggested anchor)'}
+                    onClick={(e) => handleFocalClick(e, index)}
+                    onDoubleClick={() => setFocalPoint(index, undefined)}
+                  >
+                    <img src={photo.src} alt={`Thumbnail ${index}`} />
+                    <div 
+                      className={`focal-marker ${photo.focalPoint ? 'custom' : ''}`}
+                      style={{
+                        left: `${rect.left + focalPoint.x * rect.width}%`,
+                        top: `${rect.top + focalPoint.y * rect.height}%`
+                      }}
+                    />
+                  </div>
+                  <div className="photo-info" title={getPhotoDetails(photo) || undefined}>
+                    <span>{photo.name || `Photo ${index + 1}`}</span>
+                    <span>{photo.width}×{photo.height}px</span>
+                  </div>
+                  <div className="photo-importance">
+                    <button 
+                      className={`hero-toggle ${photo.hero ? 'active' : ''}`}
+                      title={photo.hero ? 'Hero photo: always placed in one of the largest cells' : 'Mark as hero photo'}
+                      onClick={() => updatePhoto(index, { hero: !photo.hero })}
+                    >
+                      {photo.hero ? '★' : '☆'} Hero
+                    </button>
+                    <select 
+                      value={getPhotoWeight(photo)} 
+                      title="Importance weight: cell areas follow the weights"
+                      onChange={(e) => updatePhoto(index, { weight: parseInt(e.target.value) })}
+                    >
+                      {WEIGHT_OPTIONS.map(weight => (
+                        <option key={weight} value={weight}>Weight {weight}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <button 
+                    className="remove-photo" 
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      removePhoto(index);
+                    }}
+                  >
+                    ×
+                  </button>
                 </div>
-                <button 
-                  className="remove-photo" 
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    removePhoto(index);
-                  }}
-                >
-                  ×
-                </button>
-              </div>
-            ))}
+              );
+            })}
           </div>
         </div>
       )}
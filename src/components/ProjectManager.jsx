@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import './ProjectManager.css';
+
+function formatUpdatedAt(updatedAt) {
+  const date = new Date(updatedAt);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+// 本地保存的项目列表：打开、重命名、复制和删除；修改会自动保存到当前项目
+function ProjectManager({ projects, currentProject, error, onOpen, onNew, onRename, onDuplicate, onDelete }) {
+  const [renamingId, setRenamingId] = useState(null);
+  const [newName, setNewName] = useState('');
+  
+  const startRename = (project) => {
+    setRenamingId(project.id);
+    setNewName(project.name);
+  };
+  
+  const commitRename = () => {
+    const name = newName.trim();
+    const project = projects.find(item => item.id === renamingId);
+    if (name && project && name !== project.name) onRename(project.id, name);
+    setRenamingId(null);
+  };
+  
+  const handleDelete = (project) => {
+    if (window.confirm(`Delete "${project.name}" and its photos from this browser?`)) {
+      onDelete(project.id);
+    }
+  };
+  
+  return (
+    <div className="project-manager">
+      <h2>Projects</h2>
+      <div className="project-current">
+        <span>
+          {currentProject ? currentProject.name : 'Not saved yet — upload photos to start a project'}
+        </span>
+        <button onClick={onNew} disabled={!currentProject}>New project</button>
+      </div>
+      
+      {error && <div className="project-error">{error}</div>}
+      
+      {projects.length > 0 && (
+        <ul className="project-list">
+          {projects.map(project => {
+            const isCurrent = currentProject && currentProject.id === project.id;
+            return (
+              <li key={project.id} className={isCurrent ? 'active' : ''}>
+                {renamingId === project.id ? (
+                  <input
+                    type="text"
+                    value={newName}
+                    autoFocus
+                    onChange={(e) => setNewName(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setRenamingId(null);
+                    }}
+                  />
+                ) : (
+                  <span className="project-name" title={formatUpdatedAt(project.updatedAt)}>{project.name}</span>
+                )}
+                <span className="project-count">{project.photoCount} photos</span>
+                <button onClick={() => onOpen(project.id)} disabled={isCurrent}>Open</button>
+                <button onClick={() => startRename(project)}>Rename</button>
+                <button onClick={() => onDuplicate(project.id)}>Duplicate</button>
+                <button onClick={() => handleDelete(project)} title="Delete project">×</button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ProjectManager;
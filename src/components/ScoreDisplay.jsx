@@ -1,4 +1,5 @@
 import React from 'react';
+import { getRegisteredMetrics } from '../utils/metricRegistry';
 import './ScoreDisplay.css';
 
 function ScoreDisplay({ layout }) {
@@ -19,13 +20,21 @@ function ScoreDisplay({ layout }) {
 
   const { score = 0, metrics = {}, type = 'Unknown', name = '' } = layout;
   const { 
-    utilization = 0, 
-    croppingRate = 0, 
-    sizeBalance = 0 
+    heroesInLargestCells = null,
+    minEffectiveDpi = null,
+    lowResolutionCount = 0
   } = metrics || {};
+  const targetDpi = layout.targetDpi;
   
-  const croppingPercentage = Math.round((croppingRate || 0) * 100);
-  const isHighCropping = croppingPercentage > 30;
+  // 按注册顺序显示所有指标，不适用（null）的指标不显示
+  const metricRows = getRegisteredMetrics()
+    .map(metric => ({ metric, value: (metrics || {})[metric.id] }))
+    .filter(({ value }) => value !== null && value !== undefined);
+  
+  // 分割比例，例如 "42/58"；各部分内部的比例以 "30-70 | 50-50" 的形式显示
+  const formatFractions = (fractions) => 
+    fractions.map(fraction => Math.round(fraction * 100)).join('-');
+  const splitRatio = layout.ratios ? Math.round(layout.ratios.split * 100) : null;
   
   // 获取布局结构的人类可读描述
   const getLayoutStructure = () => {
@@ -58,6 +67,15 @@ function ScoreDisplay({ layout }) {
       } else if (name === 'two-three-two') {
         return '2-3-2 Layout';
       }
+    } else if (type === 'guillotine') {
+      return `Guillotine ${name.replace('guillotine-', '')}`;
+    } else if (type === 'justified') {
+      const parts = name.split('-');
+      if (parts.length === 3) {
+        return `Justified ${parts[2]} ${parts[1]}`;
+      }
+    } else if (type === 'custom') {
+      return `Custom: ${name.replace('custom-', '')}`;
     } else if (type === 'optimized') {
       const baseName = name.replace('-optimized', '');
       return `Optimized: ${getLayoutName(baseName)}`;
@@ -93,6 +111,10 @@ function ScoreDisplay({ layout }) {
       return '3-3-1 Layout';
     } else if (name === 'two-three-two') {
       return '2-3-2 Layout';
+    } else if (name.startsWith('guillotine-')) {
+      return `Guillotine ${name.replace('guillotine-', '')}`;
+    } else if (name.startsWith('custom-')) {
+      return `Custom: ${name.replace('custom-', '')}`;
     }
     
     return name;
@@ -107,16 +129,53 @@ function ScoreDisplay({ layout }) {
         Score: {Math.round((score || 0) * 100)}%
       </div>
       <div className="metrics">
-        <div className="metric">
-          <span>Utilization:</span> {Math.round((utilization || 0) * 100)}%
-        </div>
-        <div className={`metric ${isHighCropping ? 'high-cropping' : ''}`}>
-          <span>Cropping:</span> {croppingPercentage}%
+        {metricRows.map(({ metric, value }) => (
+          <div 
+            key={metric.id}
+            className={`metric ${metric.warn && metric.warn(value, metrics) ? metric.warningClass : ''}`}
+            title={metric.description}
+          >
+            <span>{metric.label}:</span> {Math.round(value * 100)}%
+          </div>
+        ))}
+        {layout.ratios && (
+          <div className="metric split-ratios">
+            <span>Split:</span> {splitRatio}/{100 - splitRatio}
+          </div>
+        )}
+        {layout.ratios && (
+          <div className="metric split-ratios">
+            <span>Inner:</span> {formatFractions(layout.ratios.first)} | {formatFractions(layout.ratios.second)}
+          </div>
+        )}
+        {layout.assignment && (
+          <div 
+            className="metric assignment-gain" 
+            title={`Greedy matching: ${Math.round(layout.assignment.greedyCroppingRate * 100)}% cropping`}
+          >
+            <span>vs Greedy:</span> -{(layout.assignment.improvement * 100).toFixed(1)}% cropping
+          </div>
+        )}
+        {layout.orderedOptimization && (
+          <div 
+            className="metric assignment-gain" 
+            title="Cells resized to fit the photos while keeping their order"
+          >
+            <span>Resized:</span> -{(layout.orderedOptimization.improvement * 100).toFixed(1)}% cropping
+          </div>
+        )}
+      </div>
+      {heroesInLargestCells === false && (
+        <div className="hero-warning">
+          ★ Hero photos are not in the largest cells
         </div>
-        <div className="metric">
-          <span>Balance:</span> {Math.round((sizeBalance || 0) * 100)}%
+      )}
+      {lowResolutionCount > 0 && (
+        <div className="resolution-warning" title="Effective DPI is based on the photo's pixel size and how much it is cropped">
+          ⚠ {lowResolutionCount} photo{lowResolutionCount !== 1 ? 's' : ''} below {targetDpi} DPI
+          {` (lowest ${Math.round(minEffectiveDpi)} DPI)`}
         </div>
-      </div>
+      )}
     </div>
   );
 }
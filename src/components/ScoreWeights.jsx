@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { getRegisteredMetrics } from '../utils/metricRegistry';
+import {
+  getBuiltInPresets,
+  areWeightsEqual,
+  loadWeightPresets,
+  saveWeightPresets
+} from '../utils/weightPresets';
+import './ScoreWeights.css';
+
+const CUSTOM_PRESET_VALUE = '';
+
+// 调整各评分指标的权重，布局列表随之重新排序；权重组合可以保存为预设
+function ScoreWeights({ weights, onWeightsChange }) {
+  const [savedPresets, setSavedPresets] = useState(loadWeightPresets);
+  const [presetName, setPresetName] = useState('');
+  
+  const builtInPresets = getBuiltInPresets();
+  const builtInNames = new Set(builtInPresets.map(preset => preset.name));
+  const presets = [...builtInPresets, ...savedPresets];
+  
+  // 当前权重与某个预设完全一致时选中该预设，否则显示为自定义
+  const activePreset = presets.find(preset => areWeightsEqual(preset.weights, weights));
+  const isSavedPresetActive = activePreset && !builtInNames.has(activePreset.name);
+  
+  const updateSavedPresets = (newPresets) => {
+    setSavedPresets(newPresets);
+    saveWeightPresets(newPresets);
+  };
+  
+  const handlePresetChange = (name) => {
+    const preset = presets.find(item => item.name === name);
+    if (preset) onWeightsChange(preset.weights);
+  };
+  
+  // 同名预设以新保存的为准；内置预设不能被覆盖
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name || builtInNames.has(name)) return;
+    updateSavedPresets([
+      ...savedPresets.filter(preset => preset.name !== name),
+      { name, weights }
+    ]);
+    setPresetName('');
+  };
+  
+  const handleDeletePreset = () => {
+    updateSavedPresets(savedPresets.filter(preset => preset.name !== activePreset.name));
+  };
+  
+  const trimmedName = presetName.trim();
+  
+  return (
+    <div className="score-weights">
+      <h2>Scoring</h2>
+      <div className="size-inputs">
+        <div>
+          <label>Preset:</label>
+          <select
+            value={activePreset ? activePreset.name : CUSTOM_PRESET_VALUE}
+            onChange={(e) => handlePresetChange(e.target.value)}
+          >
+            {!activePreset && <option value={CUSTOM_PRESET_VALUE}>Custom</option>}
+            {presets.map(preset => (
+              <option key={preset.name} value={preset.name}>{preset.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      
+      <div className="weight-sliders">
+        {getRegisteredMetrics().map(metric => (
+          <label key={metric.id} className="weight-slider" title={metric.description}>
+            <span className="weight-label">{metric.label}</span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={weights[metric.id] || 0}
+              onChange={(e) => onWeightsChange({ ...weights, [metric.id]: parseFloat(e.target.value) })}
+            />
+            <span className="weight-value">{Math.round((weights[metric.id] || 0) * 100)}</span>
+          </label>
+        ))}
+      </div>
+      
+      <div className="weight-preset-actions">
+        <input
+          type="text"
+          placeholder="Preset name"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+        />
+        <button
+          onClick={handleSavePreset}
+          disabled={!trimmedName || builtInNames.has(trimmedName)}
+          title={builtInNames.has(trimmedName) ? 'Built-in presets cannot be replaced' : 'Save the current weights'}
+        >
+          Save
+        </button>
+        {isSavedPresetActive && (
+          <button onClick={handleDeletePreset} title={`Delete "${activePreset.name}"`}>Delete</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ScoreWeights;
@@ -0,0 +1,120 @@
+// 相册分页：把照片按原始顺序拆分到多页，并为每页选择布局
+// 每页的照片是原顺序中连续的一段，用动态规划选择分段方式，使各页最佳布局的总分最高
+// 自动选择页数时比较每页的平均分：每多一页总分都会增加，比较总分总是得到最多的页数
+import { generateLayouts } from './layoutGenerator';
+
+export const DEFAULT_ALBUM_OPTIONS = {
+  pageCount: null,        // 固定页数；为 null 时在每页照片数限制内自动选择平均分最高的页数
+  minPhotosPerPage: 2,
+  maxPhotosPerPage: 6,
+  // 传给 generateLayouts 的选项（间距、DPI 等）
+  // 每一段照片都要生成一次布局，所以减少断头台布局数量以控制计算量
+  generatorOptions: { guillotineLimit: 24 }
+};
+
+// 返回 { pages, pageCount, totalScore, averageScore }
+// pages[i] 为 { pageNumber, startIndex, endIndex, photos, layout }
+export function paginateAlbum(photos, pageSize, options = {}) {
+  const {
+    pageCount,
+    minPhotosPerPage,
+    maxPhotosPerPage
+  } = { ...DEFAULT_ALBUM_OPTIONS, ...options };
+  const generatorOptions = { ...DEFAULT_ALBUM_OPTIONS.generatorOptions, ...options.generatorOptions };
+  
+  if (!photos || photos.length === 0) {
+    return { pages: [], pageCount: 0, totalScore: 0, averageScore: 0 };
+  }
+  
+  const photoCount = photos.length;
+  const minPerPage = Math.max(1, Math.min(minPhotosPerPage, photoCount));
+  const maxPerPage = Math.max(minPerPage, maxPhotosPerPage);
+  
+  const minPages = Math.ceil(photoCount / maxPerPage);
+  const maxPages = Math.floor(photoCount / minPerPage);
+  if (pageCount && (pageCount < minPages || pageCount > maxPages)) {
+    throw new Error(
+      `Cannot place ${photoCount} photos on ${pageCount} pages with ` +
+      `${minPerPage}-${maxPerPage} photos per page (possible: ${minPages}-${maxPages} pages)`
+    );
+  }
+  if (minPages > maxPages) {
+    throw new Error(
+      `Cannot split ${photoCount} photos into pages of ${minPerPage}-${maxPerPage} photos`
+    );
+  }
+  
+  // 缓存每一段照片的最佳布局
+  const segmentCache = new Map();
+  const getSegmentLayout = (start, end) => {
+    const key = `${start}-${end}`;
+    if (!segmentCache.has(key)) {
+      const layouts = generateLayouts(photos.slice(start, end), pageSize, generatorOptions);
+      segmentCache.set(key, layouts[0] || null);
+    }
+    return segmentCache.get(key);
+  };
+  
+  // best[k][j]：前 j 张照片排成 k 页时的最高总分，from[k][j] 记录最后一页的起点
+  const lastPages = pageCount || maxPages;
+  const best = Array.from({ length: lastPages + 1 }, () => new Array(photoCount + 1).fill(-Infinity));
+  const from = Array.from({ length: lastPages + 1 }, () => new Array(photoCount + 1).fill(-1));
+  best[0][0] = 0;
+  
+  for (let k = 1; k <= lastPages; k++) {
+    for (let end = k * minPerPage; end <= Math.min(photoCount, k * maxPerPage); end++) {
+      const firstStart = Math.max((k - 1) * minPerPage, end - maxPerPage);
+      for (let start = firstStart; start <= end - minPerPage; start++) {
+        if (best[k - 1][start] === -Infinity) continue;
+        
+        const layout = getSegmentLayout(start, end);
+        if (!layout) continue;
+        
+        const candidate = best[k - 1][start] + layout.score;
+        if (candidate > best[k][end]) {
+          best[k][end] = candidate;
+          from[k][end] = start;
+        }
+      }
+    }
+  }
+  
+  // 自动模式下选择平均分最高的页数，平均分相同时选择页数少的
+  let chosenPages = pageCount;
+  if (!chosenPages) {
+    let bestAverage = -Infinity;
+    for (let k = minPages; k <= maxPages; k++) {
+      const average = best[k][photoCount] / k;
+      if (average > bestAverage) {
+        bestAverage = average;
+        chosenPages = k;
+      }
+    }
+  }
+  
+  if (!chosenPages || best[chosenPages][photoCount] === -Infinity) {
+    throw new Error('No valid album pagination found');
+  }
+  
+  // 回溯得到每一页
+  const pages = [];
+  let end = photoCount;
+  for (let k = chosenPages; k > 0; k--) {
+    const start = from[k][end];
+    pages.unshift({
+      startIndex: start,
+      endIndex: end,
+      photos: photos.slice(start, end),
+      layout: getSegmentLayout(start, end)
+    });
+    end = start;
+  }
+  
+  const totalScore = best[chosenPages][photoCount];
+  return {
+    pages: pages.map((page, index) => ({ ...page, pageNumber: index + 1 })),
+    pageCount: chosenPages,
+    totalScore,
+    averageScore: totalScore / chosenPages
+  };
+}
@@ -0,0 +1,80 @@
+import { paginateAlbum } from './albumPaginator';
+import { generateLayouts } from './layoutGenerator';
+
+jest.mock('./layoutGenerator', () => ({ generateLayouts: jest.fn() }));
+
+const pageSize = { width: 1000, height: 1000 };
+
+// 照片 id 的第一个字母表示分组：同一组的照片放在一页得 1 分，混合的页得 0.2 分
+const photos = ['a1', 'a2', 'a3', 'b1', 'b2', 'b3'].map(id => ({ id, width: 1000, height: 1000, aspectRatio: 1 }));
+const segmentScore = segment => new Set(segment.map(photo => photo.id[0])).size === 1 ? 1 : 0.2;
+
+const pageIds = album => album.pages.map(page => page.photos.map(photo => photo.id));
+
+beforeEach(() => {
+  generateLayouts.mockImplementation(segment => [{ name: `grid-${segment.length}`, score: segmentScore(segment) }]);
+});
+
+describe('paginateAlbum', () => {
+  test('splits the photos into a fixed number of pages with the highest total score', () => {
+    const album = paginateAlbum(photos, pageSize, { pageCount: 2, minPhotosPerPage: 2, maxPhotosPerPage: 4 });
+    
+    expect(pageIds(album)).toEqual([['a1', 'a2', 'a3'], ['b1', 'b2', 'b3']]);
+    expect(album.pages.map(page => page.pageNumber)).toEqual([1, 2]);
+    expect(album.pages.map(page => [page.startIndex, page.endIndex])).toEqual([[0, 3], [3, 6]]);
+    expect(album.totalScore).toBeCloseTo(2);
+    expect(album.averageScore).toBeCloseTo(1);
+  });
+  
+  test('chooses the page count with the highest average page score in auto mode', () => {
+    // 2 页 (3 + 3) 平均 1，3 页 (2 + 2 + 2) 总分更高 (2.2) 但平均只有 0.73
+    const album = paginateAlbum(photos, pageSize, { minPhotosPerPage: 2, maxPhotosPerPage: 3 });
+    
+    expect(album.pageCount).toBe(2);
+    expect(pageIds(album)).toEqual([['a1', 'a2', 'a3'], ['b1', 'b2', 'b3']]);
+    expect(album.averageScore).toBeCloseTo(1);
+  });
+  
+  test('does not add pages in auto mode unless they score better', () => {
+    // 每页得分相同时，更多的页只会增加总分
+    generateLayouts.mockImplementation(() => [{ score: 0.5 }]);
+    expect(paginateAlbum(photos, pageSize, { minPhotosPerPage: 1, maxPhotosPerPage: 6 }).pageCount).toBe(1);
+    
+    // 两张一页的得分更高时选择更多的页
+    generateLayouts.mockImplementation(segment => [{ score: segment.length === 2 ? 0.9 : 0.6 }]);
+    expect(paginateAlbum(photos, pageSize, { minPhotosPerPage: 1, maxPhotosPerPage: 6 }).pageCount).toBe(3);
+  });
+  
+  test('keeps the original order and the photos-per-page limits', () => {
+    generateLayouts.mockImplementation(segment => [{ score: segment.length === 4 ? 1 : 0.1 }]);
+    const album = paginateAlbum(photos, pageSize, { pageCount: 2, minPhotosPerPage: 2, maxPhotosPerPage: 4 });
+    
+    expect(pageIds(album).flat()).toEqual(photos.map(photo => photo.id));
+    album.pages.forEach(page => {
+      expect(page.photos.length).toBeGreaterThanOrEqual(2);
+      expect(page.photos.length).toBeLessThanOrEqual(4);
+    });
+    expect(album.pages.some(page => page.photos.length === 4)).toBe(true);
+  });
+  
+  test('skips segments without a layout', () => {
+    generateLayouts.mockImplementation(segment => segment.length === 3 ? [] : [{ score: segmentScore(segment) }]);
+    const album = paginateAlbum(photos, pageSize, { minPhotosPerPage: 2, maxPhotosPerPage: 4 });
+    
+    expect(album.pages.every(page => page.photos.length !== 3)).toBe(true);
+  });
+  
+  test('rejects page counts and limits that cannot hold the photos', () => {
+    expect(() => paginateAlbum(photos, pageSize, { pageCount: 4, minPhotosPerPage: 2, maxPhotosPerPage: 4 }))
+      .toThrow('possible: 2-3 pages');
+    expect(() => paginateAlbum(photos.slice(0, 5), pageSize, { minPhotosPerPage: 3, maxPhotosPerPage: 4 }))
+      .toThrow('Cannot split 5 photos into pages of 3-4 photos');
+    
+    generateLayouts.mockReturnValue([]);
+    expect(() => paginateAlbum(photos, pageSize, { pageCount: 2 })).toThrow('No valid album pagination found');
+  });
+  
+  test('returns an empty album without photos', () => {
+    expect(paginateAlbum([], pageSize)).toEqual({ pages: [], pageCount: 0, totalScore: 0, averageScore: 0 });
+  });
+});
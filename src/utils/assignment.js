@@ -0,0 +1,69 @@
+// 指派问题求解（匈牙利算法）
+// costMatrix[i][j] 表示把第 j 个候选分配给第 i 行的代价，要求行数不超过列数
+// 返回数组 result，result[i] 为第 i 行分配到的列索引，使总代价最小
+export function findOptimalAssignment(costMatrix) {
+  const rowCount = costMatrix.length;
+  if (rowCount === 0) return [];
+  const colCount = costMatrix[0].length;
+  
+  // 使用 1-based 索引的势函数实现，复杂度 O(n^2 * m)
+  const u = new Array(rowCount + 1).fill(0);
+  const v = new Array(colCount + 1).fill(0);
+  const matchedRow = new Array(colCount + 1).fill(0); // matchedRow[j]：第 j 列匹配的行
+  const way = new Array(colCount + 1).fill(0);
+  
+  for (let i = 1; i <= rowCount; i++) {
+    matchedRow[0] = i;
+    let col = 0;
+    const minValues = new Array(colCount + 1).fill(Infinity);
+    const used = new Array(colCount + 1).fill(false);
+    
+    // 沿增广路寻找未匹配的列
+    do {
+      used[col] = true;
+      const row = matchedRow[col];
+      let delta = Infinity;
+      let nextCol = 0;
+      
+      for (let j = 1; j <= colCount; j++) {
+        if (used[j]) continue;
+        const reduced = costMatrix[row - 1][j - 1] - u[row] - v[j];
+        if (reduced < minValues[j]) {
+          minValues[j] = reduced;
+          way[j] = col;
+        }
+        if (minValues[j] < delta) {
+          delta = minValues[j];
+          nextCol = j;
+        }
+      }
+      
+      for (let j = 0; j <= colCount; j++) {
+        if (used[j]) {
+          u[matchedRow[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minValues[j] -= delta;
+        }
+      }
+      
+      col = nextCol;
+    } while (matchedRow[col] !== 0);
+    
+    // 沿记录的路径翻转匹配
+    do {
+      const prevCol = way[col];
+      matchedRow[col] = matchedRow[prevCol];
+      col = prevCol;
+    } while (col !== 0);
+  }
+  
+  const result = new Array(rowCount).fill(-1);
+  for (let j = 1; j <= colCount; j++) {
+    if (matchedRow[j] !== 0) {
+      result[matchedRow[j] - 1] = j - 1;
+    }
+  }
+  
+  return result;
+}
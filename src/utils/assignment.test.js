@@ -0,0 +1,72 @@
+import { findOptimalAssignment } from './assignment';
+
+// 固定种子的伪随机数，保证测试可重复
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function* permutations(items, size) {
+  if (size === 0) {
+    yield [];
+    return;
+  }
+  for (let i = 0; i < items.length; i++) {
+    const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+    for (const tail of permutations(rest, size - 1)) {
+      yield [items[i], ...tail];
+    }
+  }
+}
+
+const totalCost = (matrix, assignment) => assignment.reduce((sum, col, row) => sum + matrix[row][col], 0);
+
+// 枚举所有分配方式得到的最小总代价
+function bruteForceCost(matrix) {
+  const columns = matrix[0].map((_, index) => index);
+  let best = Infinity;
+  for (const assignment of permutations(columns, matrix.length)) {
+    best = Math.min(best, totalCost(matrix, assignment));
+  }
+  return best;
+}
+
+const randomMatrix = (random, rows, cols) =>
+  Array.from({ length: rows }, () => Array.from({ length: cols }, () => Math.round(random() * 100) / 10));
+
+describe('findOptimalAssignment', () => {
+  test('matches brute force on 4x4 matrices', () => {
+    const random = createRandom(7);
+    for (let trial = 0; trial < 50; trial++) {
+      const matrix = randomMatrix(random, 4, 4);
+      const assignment = findOptimalAssignment(matrix);
+      
+      expect([...assignment].sort()).toEqual([0, 1, 2, 3]);
+      expect(totalCost(matrix, assignment)).toBeCloseTo(bruteForceCost(matrix));
+    }
+  });
+  
+  test('matches brute force when there are more columns than rows', () => {
+    const random = createRandom(11);
+    for (let trial = 0; trial < 20; trial++) {
+      const matrix = randomMatrix(random, 3, 5);
+      const assignment = findOptimalAssignment(matrix);
+      
+      expect(new Set(assignment).size).toBe(3);
+      expect(totalCost(matrix, assignment)).toBeCloseTo(bruteForceCost(matrix));
+    }
+  });
+  
+  test('finds the assignment that a greedy choice misses', () => {
+    // 贪心地先给第 0 行选最便宜的列 0，总代价为 1 + 100
+    expect(findOptimalAssignment([[1, 2], [1, 100]])).toEqual([1, 0]);
+  });
+  
+  test('handles negative costs and an empty matrix', () => {
+    expect(findOptimalAssignment([[-5, 0], [0, -5]])).toEqual([0, 1]);
+    expect(findOptimalAssignment([])).toEqual([]);
+  });
+});
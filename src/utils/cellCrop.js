@@ -0,0 +1,99 @@
+// 单元格中照片的裁剪几何
+// 与预览中的 objectFit: 'cover' 一致：照片等比缩放到刚好铺满单元格，超出部分裁掉
+// 可见区域尽量以焦点为中心（默认为照片中心），zoom 大于 1 时再以焦点为中心放大
+
+// 焦点使用照片内的相对坐标 (0-1)
+export const DEFAULT_FOCAL_POINT = { x: 0.5, y: 0.5 };
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 4;
+
+// 焦点区域的边长占照片边长的比例，用于计算焦点感知的裁剪率
+export const FOCAL_REGION_SIZE = 0.3;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// 照片的焦点：手动设置的焦点优先，其次是显著性估计的建议锚点（见 saliency.js）
+export function getPhotoFocalPoint(photo) {
+  if (!photo) return DEFAULT_FOCAL_POINT;
+  return photo.focalPoint || (photo.saliency && photo.saliency.anchor) || DEFAULT_FOCAL_POINT;
+}
+
+// 单元格的裁剪设置：单元格自己的焦点（平移）优先于照片的焦点
+export function getCellCrop(cell) {
+  const focalPoint = cell.focalPoint || getPhotoFocalPoint(cell.photo);
+  return {
+    focalPoint,
+    zoom: clamp(cell.zoom || MIN_ZOOM, MIN_ZOOM, MAX_ZOOM)
+  };
+}
+
+// 返回照片中实际可见的区域（照片像素坐标）
+// crop 为 { focalPoint, zoom }，省略时居中且不放大
+export function getCoverSourceRect(cell, photo, crop = {}) {
+  const { focalPoint = DEFAULT_FOCAL_POINT, zoom = MIN_ZOOM } = crop;
+  const cellAspectRatio = cell.width / cell.height;
+  const photoAspectRatio = photo.width / photo.height;
+  
+  // 照片更宽时左右裁剪，更高时上下裁剪
+  const width = photoAspectRatio > cellAspectRatio ? photo.height * cellAspectRatio : photo.width;
+  const height = photoAspectRatio > cellAspectRatio ? photo.height : photo.width / cellAspectRatio;
+  
+  // 以焦点为中心，但不超出照片边界
+  const focalX = clamp(focalPoint.x, 0, 1) * photo.width;
+  const focalY = clamp(focalPoint.y, 0, 1) * photo.height;
+  const x = clamp(focalX - width / 2, 0, photo.width - width);
+  const y = clamp(focalY - height / 2, 0, photo.height - height);
+  
+  // 放大时焦点在单元格中的位置保持不变，可见区域向焦点收缩，因此不会超出照片
+  const scale = clamp(zoom, MIN_ZOOM, MAX_ZOOM);
+  return {
+    x: focalX - (focalX - x) / scale,
+    y: focalY - (focalY - y) / scale,
+    width: width / scale,
+    height: height / scale
+  };
+}
+
+// 预览中 <img> 的样式：objectFit cover + objectPosition 定位焦点，放大用 transform 实现
+// 结果与 getCoverSourceRect 得到的可见区域一致，导出与预览看到的裁剪相同
+export function getCellImageStyle(cell) {
+  const photo = cell.photo;
+  const { focalPoint, zoom } = getCellCrop(cell);
+  const base = getCoverSourceRect(cell, photo, { focalPoint });
+  
+  // 照片某一方向没有被裁剪时该方向的 objectPosition 不起作用
+  const positionX = photo.width - base.width > 1e-6 ? base.x / (photo.width - base.width) * 100 : 50;
+  const positionY = photo.height - base.height > 1e-6 ? base.y / (photo.height - base.height) * 100 : 50;
+  const style = {
+    width: '100%',
+    height: '100%',
+    objectFit: 'cover',
+    objectPosition: `${positionX}% ${positionY}%`
+  };
+  
+  if (zoom > MIN_ZOOM) {
+    const originX = (clamp(focalPoint.x, 0, 1) * photo.width - base.x) / base.width * 100;
+    const originY = (clamp(focalPoint.y, 0, 1) * photo.height - base.y) / base.height * 100;
+    style.transform = `scale(${zoom})`;
+    style.transformOrigin = `${originX}% ${originY}%`;
+  }
+  return style;
+}
+
+// 焦点区域（照片像素坐标），以焦点为中心，靠近边缘时移回照片内
+export function getFocalRegion(photo, focalPoint = DEFAULT_FOCAL_POINT) {
+  const width = photo.width * FOCAL_REGION_SIZE;
+  const height = photo.height * FOCAL_REGION_SIZE;
+  return {
+    x: clamp(focalPoint.x * photo.width - width / 2, 0, photo.width - width),
+    y: clamp(focalPoint.y * photo.height - height / 2, 0, photo.height - height),
+    width,
+    height
+  };
+}
+
+export function getIntersectionArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
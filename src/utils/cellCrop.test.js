@@ -0,0 +1,59 @@
+import { getCoverSourceRect, getCellCrop, getCellImageStyle } from './cellCrop';
+import { calculateCellFocalCroppingRate, calculateCellCroppingRate } from './layoutGenerator';
+
+// 3:2 横向照片放入正方形单元格，左右各裁掉 1/6
+const photo = { width: 300, height: 200 };
+const cell = { x: 0, y: 0, width: 100, height: 100 };
+
+describe('getCoverSourceRect', () => {
+  test('centres the crop by default', () => {
+    expect(getCoverSourceRect(cell, photo)).toEqual({ x: 50, y: 0, width: 200, height: 200 });
+  });
+  
+  test('moves the crop towards the focal point without leaving the photo', () => {
+    expect(getCoverSourceRect(cell, photo, { focalPoint: { x: 0.4, y: 0.5 } }).x).toBeCloseTo(20);
+    expect(getCoverSourceRect(cell, photo, { focalPoint: { x: 0, y: 0.5 } }).x).toBe(0);
+    expect(getCoverSourceRect(cell, photo, { focalPoint: { x: 1, y: 0.5 } }).x).toBe(100);
+  });
+  
+  test('zooms in around the focal point', () => {
+    const source = getCoverSourceRect(cell, photo, { focalPoint: { x: 0.5, y: 0.25 }, zoom: 2 });
+    expect(source.width).toBe(100);
+    expect(source.height).toBe(100);
+    expect(source.x).toBe(100);
+    // 焦点在单元格中的相对位置（纵向 25%）保持不变
+    expect((50 - source.y) / source.height).toBeCloseTo(0.25);
+  });
+});
+
+describe('getCellCrop', () => {
+  test('prefers the cell pan over the photo focal point', () => {
+    const focused = { ...photo, focalPoint: { x: 0.2, y: 0.5 } };
+    expect(getCellCrop({ ...cell, photo: focused }).focalPoint).toEqual({ x: 0.2, y: 0.5 });
+    expect(getCellCrop({ ...cell, photo: focused, focalPoint: { x: 0.9, y: 0.1 }, zoom: 9 }))
+      .toEqual({ focalPoint: { x: 0.9, y: 0.1 }, zoom: 4 });
+  });
+});
+
+describe('getCellImageStyle', () => {
+  test('maps the focal crop to object-position', () => {
+    const style = getCellImageStyle({ ...cell, photo: { ...photo, focalPoint: { x: 0.4, y: 0.5 } } });
+    // 可见区域 x = 20，可移动范围为 100
+    expect(style.objectPosition).toBe('20% 50%');
+    expect(style.transform).toBeUndefined();
+  });
+});
+
+describe('calculateCellFocalCroppingRate', () => {
+  test('penalises crops that cut through the focal region', () => {
+    const subjectAtLeft = { ...photo, focalPoint: { x: 0.05, y: 0.5 } };
+    const centred = calculateCellFocalCroppingRate(cell, photo);
+    const followsFocus = calculateCellFocalCroppingRate(cell, subjectAtLeft);
+    // 单元格被手动平移到右侧，焦点区域被裁掉
+    const pannedAway = calculateCellFocalCroppingRate({ ...cell, focalPoint: { x: 0.95, y: 0.5 } }, subjectAtLeft);
+    
+    expect(centred).toBeLessThan(calculateCellCroppingRate(cell, photo));
+    expect(followsFocus).toBeCloseTo(centred);
+    expect(pannedAway).toBeGreaterThan(centred);
+  });
+});
@@ -0,0 +1,5 @@
+// 创建布局生成 Worker；不支持 Worker 的环境返回 null，布局改为在主线程上生成
+export function createLayoutWorker() {
+  if (typeof Worker === 'undefined') return null;
+  return new Worker(new URL('./layoutGeneration.worker.js', import.meta.url));
+}
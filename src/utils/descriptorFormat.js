@@ -0,0 +1,259 @@
+// 布局描述符文件格式（JSON，带版本号）
+//
+// {
+//   "format": "photo-grid-optimizer/layout-descriptors",
+//   "version": 1,
+//   "descriptors": [
+//     {
+//       "name": "big-left",                // 必填，布局名称
+//       "requireFullCoverage": true,       // 可选，默认 true：单元格必须无缝铺满整个页面
+//       "cells": [                         // 必填，相对坐标 (0-1)
+//         { "photoIndex": 0, "x": 0, "y": 0, "width": 0.6, "height": 1 },
+//         { "photoIndex": 1, "x": 0.6, "y": 0, "width": 0.4, "height": 0.5 },
+//         { "photoIndex": 2, "x": 0.6, "y": 0.5, "width": 0.4, "height": 0.5,
+//           "focalPoint": { "x": 0.5, "y": 0.3 }, "zoom": 1.5 }
+//       ]
+//     }
+//   ]
+// }
+//
+// photoIndex 必须是 0 到 cells.length - 1 的整数，且每个值恰好出现一次
+// focalPoint（照片内的相对坐标 0-1）和 zoom（1-4）可选，用于固定单元格中照片的平移和缩放
+import { LAYOUT_TYPES } from './layoutDescriptors';
+import { unmapCellFromContentArea } from './spacing';
+import { downloadBlob, toFileName } from './download';
+import { MIN_ZOOM, MAX_ZOOM } from './cellCrop';
+
+export const DESCRIPTOR_FORMAT = 'photo-grid-optimizer/layout-descriptors';
+export const DESCRIPTOR_FORMAT_VERSION = 1;
+
+// 浮点误差容限
+const EPSILON = 1e-6;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function getOverlapArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+// 校验单个描述符，返回错误信息列表（为空表示有效）
+export function validateDescriptor(descriptor, options = {}) {
+  const errors = [];
+  if (!descriptor || typeof descriptor !== 'object') {
+    return ['Descriptor must be an object'];
+  }
+  
+  const requireFullCoverage = options.requireFullCoverage !== undefined
+    ? options.requireFullCoverage
+    : descriptor.requireFullCoverage !== false;
+  
+  if (typeof descriptor.name !== 'string' || descriptor.name.trim() === '') {
+    errors.push('Descriptor needs a non-empty "name"');
+  }
+  
+  const cells = descriptor.cells;
+  if (!Array.isArray(cells) || cells.length === 0) {
+    errors.push('Descriptor needs a non-empty "cells" array');
+    return errors;
+  }
+  
+  // 坐标和尺寸必须在 0-1 范围内
+  let geometryValid = true;
+  cells.forEach((cell, index) => {
+    const label = `Cell ${index + 1}`;
+    if (!cell || !['x', 'y', 'width', 'height'].every(key => isNumber(cell[key]))) {
+      errors.push(`${label}: x, y, width and height must be numbers`);
+      geometryValid = false;
+      return;
+    }
+    if (cell.width <= 0 || cell.height <= 0) {
+      errors.push(`${label}: width and height must be greater than 0`);
+      geometryValid = false;
+    }
+    if (cell.x < -EPSILON || cell.y < -EPSILON ||
+        cell.x + cell.width > 1 + EPSILON || cell.y + cell.height > 1 + EPSILON) {
+      errors.push(`${label}: lies outside the 0–1 page range`);
+      geometryValid = false;
+    }
+  });
+  
+  // 可选的焦点和缩放
+  cells.forEach((cell, index) => {
+    if (!cell) return;
+    const { focalPoint, zoom } = cell;
+    if (focalPoint !== undefined && !(
+      focalPoint && isNumber(focalPoint.x) && isNumber(focalPoint.y) &&
+      focalPoint.x >= 0 && focalPoint.x <= 1 && focalPoint.y >= 0 && focalPoint.y <= 1
+    )) {
+      errors.push(`Cell ${index + 1}: focalPoint needs x and y between 0 and 1`);
+    }
+    if (zoom !== undefined && !(isNumber(zoom) && zoom >= MIN_ZOOM && zoom <= MAX_ZOOM)) {
+      errors.push(`Cell ${index + 1}: zoom must be between ${MIN_ZOOM} and ${MAX_ZOOM}`);
+    }
+  });
+  
+  // photoIndex 必须是 0..n-1 的排列
+  const seen = new Set();
+  cells.forEach((cell, index) => {
+    if (!cell) return;
+    const photoIndex = cell.photoIndex;
+    if (!Number.isInteger(photoIndex) || photoIndex < 0 || photoIndex >= cells.length) {
+      errors.push(`Cell ${index + 1}: photoIndex must be an integer from 0 to ${cells.length - 1}`);
+    } else if (seen.has(photoIndex)) {
+      errors.push(`Cell ${index + 1}: duplicate photoIndex ${photoIndex}`);
+    } else {
+      seen.add(photoIndex);
+    }
+  });
+  for (let photoIndex = 0; photoIndex < cells.length; photoIndex++) {
+    if (!seen.has(photoIndex) && errors.every(error => !error.includes('photoIndex must be'))) {
+      errors.push(`Missing photoIndex ${photoIndex}`);
+    }
+  }
+  
+  if (!geometryValid) return errors;
+  
+  // 单元格不能重叠
+  let totalArea = 0;
+  cells.forEach((cell, i) => {
+    totalArea += cell.width * cell.height;
+    for (let j = i + 1; j < cells.length; j++) {
+      if (getOverlapArea(cell, cells[j]) > EPSILON) {
+        errors.push(`Cells ${i + 1} and ${j + 1} overlap`);
+      }
+    }
+  });
+  
+  // 没有重叠时，面积之和为 1 即表示铺满整个页面
+  if (requireFullCoverage && Math.abs(totalArea - 1) > 1e-4) {
+    errors.push(`Cells cover ${Math.round(totalArea * 1000) / 10}% of the page; full coverage is required`);
+  }
+  
+  return errors;
+}
+
+// 只保留格式中定义的单元格字段
+function copyCell(cell) {
+  const copy = {
+    photoIndex: cell.photoIndex,
+    x: cell.x,
+    y: cell.y,
+    width: cell.width,
+    height: cell.height
+  };
+  if (cell.focalPoint) copy.focalPoint = { x: cell.focalPoint.x, y: cell.focalPoint.y };
+  if (cell.zoom && cell.zoom !== MIN_ZOOM) copy.zoom = cell.zoom;
+  return copy;
+}
+
+// 规范化为生成器使用的描述符形式
+function normalizeDescriptor(descriptor) {
+  return {
+    type: LAYOUT_TYPES.CUSTOM,
+    name: descriptor.name.trim(),
+    requireFullCoverage: descriptor.requireFullCoverage !== false,
+    cells: descriptor.cells.map(copyCell)
+  };
+}
+
+// 解析描述符文件，返回 { descriptors, errors }
+// 文件级错误（无法解析、格式或版本不符）时 descriptors 为空；
+// 单个描述符无效时只跳过该描述符，并在 errors 中说明原因
+export function parseDescriptorFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { descriptors: [], errors: [`Invalid JSON: ${error.message}`] };
+  }
+  
+  if (!data || data.format !== DESCRIPTOR_FORMAT) {
+    return { descriptors: [], errors: [`Not a layout descriptor file (expected format "${DESCRIPTOR_FORMAT}")`] };
+  }
+  if (data.version !== DESCRIPTOR_FORMAT_VERSION) {
+    return { descriptors: [], errors: [`Unsupported descriptor file version ${data.version}`] };
+  }
+  if (!Array.isArray(data.descriptors)) {
+    return { descriptors: [], errors: ['"descriptors" must be an array'] };
+  }
+  
+  const descriptors = [];
+  const errors = [];
+  data.descriptors.forEach((descriptor, index) => {
+    const descriptorErrors = validateDescriptor(descriptor);
+    const label = descriptor && descriptor.name ? `"${descriptor.name}"` : `#${index + 1}`;
+    if (descriptorErrors.length > 0) {
+      descriptorErrors.forEach(error => errors.push(`Descriptor ${label}: ${error}`));
+    } else {
+      descriptors.push(normalizeDescriptor(descriptor));
+    }
+  });
+  
+  return { descriptors, errors };
+}
+
+// 序列化为描述符文件
+export function serializeDescriptors(descriptors) {
+  return JSON.stringify({
+    format: DESCRIPTOR_FORMAT,
+    version: DESCRIPTOR_FORMAT_VERSION,
+    descriptors: descriptors.map(descriptor => ({
+      name: descriptor.name,
+      requireFullCoverage: descriptor.requireFullCoverage !== false,
+      cells: descriptor.cells.map(copyCell)
+    }))
+  }, null, 2);
+}
+
+// 把生成的布局转换回相对坐标的描述符，去掉边距和间距的影响
+// photoIndex 按从上到下、从左到右的阅读顺序编号
+export function layoutToDescriptor(layout, pageSize) {
+  const roundValue = value => Math.round(value * 1e6) / 1e6;
+  const spacing = layout.spacing || { margin: 0, gutter: 0 };
+  
+  const cells = [...layout.cells]
+    .sort((a, b) => {
+      if (Math.abs(a.y - b.y) > EPSILON) return a.y - b.y;
+      return a.x - b.x;
+    })
+    .map((cell, index) => {
+      const relative = unmapCellFromContentArea(cell, pageSize, spacing);
+      return {
+        photoIndex: index,
+        x: roundValue(relative.x),
+        y: roundValue(relative.y),
+        width: roundValue(relative.width),
+        height: roundValue(relative.height)
+      };
+    });
+  
+  const descriptor = {
+    type: LAYOUT_TYPES.CUSTOM,
+    name: layout.name.replace(/^custom-/, ''),
+    cells
+  };
+  // 两端对齐等布局不一定铺满页面，此时不要求完全覆盖
+  descriptor.requireFullCoverage = validateDescriptor(descriptor, { requireFullCoverage: true }).length === 0;
+  return descriptor;
+}
+
+// 在已有描述符中生成不重复的名称，例如 "big-left-2"
+export function getUniqueDescriptorName(name, descriptors) {
+  const names = new Set(descriptors.map(descriptor => descriptor.name));
+  if (!names.has(name)) return name;
+  
+  let suffix = 2;
+  while (names.has(`${name}-${suffix}`)) suffix++;
+  return `${name}-${suffix}`;
+}
+
+// 下载描述符文件
+export function exportDescriptorFile(descriptors, fileName = 'layout-descriptors') {
+  const blob = new Blob([serializeDescriptors(descriptors)], { type: 'application/json' });
+  downloadBlob(blob, toFileName(fileName, 'json'));
+  return blob;
+}
@@ -0,0 +1,115 @@
+import { 
+  validateDescriptor, 
+  parseDescriptorFile, 
+  serializeDescriptors, 
+  layoutToDescriptor,
+  DESCRIPTOR_FORMAT,
+  DESCRIPTOR_FORMAT_VERSION
+} from './descriptorFormat';
+import { getLayoutDescriptorsForPhotoCount, createHorizontalSplitDescriptor } from './layoutDescriptors';
+import { generateLayouts } from './layoutGenerator';
+
+const bigLeft = {
+  name: 'big-left',
+  cells: [
+    { photoIndex: 0, x: 0, y: 0, width: 0.6, height: 1 },
+    { photoIndex: 1, x: 0.6, y: 0, width: 0.4, height: 0.5 },
+    { photoIndex: 2, x: 0.6, y: 0.5, width: 0.4, height: 0.5 }
+  ]
+};
+
+const withCells = (cells, extra = {}) => ({ ...bigLeft, ...extra, cells });
+
+describe('validateDescriptor', () => {
+  test('accepts a descriptor that tiles the page', () => {
+    expect(validateDescriptor(bigLeft)).toEqual([]);
+    expect(validateDescriptor(createHorizontalSplitDescriptor(2, 3, 0.4))).toEqual([]);
+  });
+  
+  test('rejects overlapping cells', () => {
+    const cells = bigLeft.cells.map(cell => ({ ...cell }));
+    cells[1].x = 0.5;
+    cells[1].width = 0.5;
+    const errors = validateDescriptor(withCells(cells), { requireFullCoverage: false });
+    expect(errors).toEqual(['Cells 1 and 2 overlap']);
+  });
+  
+  test('rejects values outside 0–1', () => {
+    const cells = bigLeft.cells.map(cell => ({ ...cell }));
+    cells[2].height = 0.6;
+    expect(validateDescriptor(withCells(cells))[0]).toMatch(/Cell 3: lies outside/);
+  });
+  
+  test('rejects gaps only when full coverage is required', () => {
+    const cells = bigLeft.cells.map(cell => ({ ...cell }));
+    cells[0].width = 0.5;
+    expect(validateDescriptor(withCells(cells))[0]).toMatch(/full coverage is required/);
+    expect(validateDescriptor(withCells(cells, { requireFullCoverage: false }))).toEqual([]);
+  });
+  
+  test('rejects duplicate and missing photoIndex values', () => {
+    const cells = bigLeft.cells.map(cell => ({ ...cell }));
+    cells[2].photoIndex = 1;
+    expect(validateDescriptor(withCells(cells))).toEqual([
+      'Cell 3: duplicate photoIndex 1',
+      'Missing photoIndex 2'
+    ]);
+  });
+});
+
+describe('parseDescriptorFile', () => {
+  test('round-trips through serializeDescriptors', () => {
+    const { descriptors, errors } = parseDescriptorFile(serializeDescriptors([bigLeft]));
+    expect(errors).toEqual([]);
+    expect(descriptors).toHaveLength(1);
+    expect(descriptors[0].type).toBe('custom');
+    expect(descriptors[0].cells).toEqual(bigLeft.cells);
+  });
+  
+  test('rejects unknown formats and versions', () => {
+    expect(parseDescriptorFile('not json').errors[0]).toMatch(/Invalid JSON/);
+    expect(parseDescriptorFile('{"format":"other"}').errors[0]).toMatch(/Not a layout descriptor file/);
+    const future = JSON.stringify({ format: DESCRIPTOR_FORMAT, version: DESCRIPTOR_FORMAT_VERSION + 1, descriptors: [] });
+    expect(parseDescriptorFile(future).errors[0]).toMatch(/Unsupported descriptor file version/);
+  });
+  
+  test('keeps valid descriptors and reports invalid ones', () => {
+    const broken = withCells(bigLeft.cells.slice(0, 2), { name: 'broken' });
+    const { descriptors, errors } = parseDescriptorFile(serializeDescriptors([bigLeft, broken]));
+    expect(descriptors.map(descriptor => descriptor.name)).toEqual(['big-left']);
+    expect(errors[0]).toMatch(/^Descriptor "broken": /);
+  });
+});
+
+describe('custom descriptors in generation', () => {
+  const { descriptors } = parseDescriptorFile(serializeDescriptors([bigLeft]));
+  
+  test('are offered only for a matching photo count', () => {
+    const names = count => getLayoutDescriptorsForPhotoCount(count, { customDescriptors: descriptors })
+      .map(descriptor => descriptor.name);
+    expect(names(3)).toContain('custom-big-left');
+    expect(names(4)).not.toContain('custom-big-left');
+  });
+  
+  test('survive a layout → descriptor round trip with spacing', () => {
+    const pageSize = { width: 800, height: 1000 };
+    const photos = [
+      { id: 'a', width: 400, height: 300 },
+      { id: 'b', width: 300, height: 400 },
+      { id: 'c', width: 400, height: 400 }
+    ];
+    const layout = generateLayouts(photos, pageSize, { 
+      customDescriptors: descriptors, 
+      spacing: { margin: 20, gutter: 10, unit: 'px' } 
+    }).find(candidate => candidate.name === 'custom-big-left');
+    
+    const descriptor = layoutToDescriptor(layout, pageSize);
+    expect(descriptor.name).toBe('big-left');
+    expect(descriptor.requireFullCoverage).toBe(true);
+    descriptor.cells.forEach((cell, index) => {
+      ['x', 'y', 'width', 'height'].forEach(key => {
+        expect(cell[key]).toBeCloseTo(bigLeft.cells[index][key], 5);
+      });
+    });
+  });
+});
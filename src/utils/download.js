@@ -0,0 +1,19 @@
+// 在浏览器中把 Blob 保存为文件
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  
+  // 等浏览器开始下载后再释放
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// 生成安全的文件名
+export function toFileName(name, extension) {
+  const base = (name || 'layout').replace(/[^a-z0-9._-]+/gi, '_');
+  return `${base}.${extension}`;
+}
@@ -0,0 +1,268 @@
+// 读取图片文件头中的尺寸和 EXIF 元数据，不依赖网络服务或第三方库
+// 支持 JPEG（APP1 Exif 段）、PNG（eXIf 块）和 WebP（EXIF 块）；其他格式返回默认值
+// 文件头中的尺寸是未旋转的编码尺寸，显示尺寸需要按方向（Orientation）换算，见 getOrientedSize
+
+// EXIF 方向：1 为正常，2-4 为翻转或旋转 180°，5-8 会交换宽高
+export const DEFAULT_ORIENTATION = 1;
+
+const TAG_MAKE = 0x010f;
+const TAG_MODEL = 0x0110;
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE = 0x0004;
+
+// TIFF 数据类型对应的字节数
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+function readAscii(view, offset, length) {
+  let text = '';
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+}
+
+// 读取一个 IFD，返回 tag -> 值；只解析需要的 ASCII、SHORT 和 LONG 类型
+function readIfd(view, tiffStart, ifdOffset, littleEndian) {
+  const entries = new Map();
+  const start = tiffStart + ifdOffset;
+  if (ifdOffset <= 0 || start + 2 > view.byteLength) return entries;
+  
+  const count = view.getUint16(start, littleEndian);
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const valueCount = view.getUint32(entry + 4, littleEndian);
+    const size = (TYPE_SIZES[type] || 0) * valueCount;
+    // 不超过 4 字节的值直接存放在条目中，否则条目中是偏移量
+    const valueOffset = size <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, littleEndian);
+    if (valueOffset + size > view.byteLength) continue;
+    
+    if (type === 2) {
+      entries.set(tag, readAscii(view, valueOffset, valueCount).replace(/\0[\s\S]*$/, '').trim());
+    } else if (type === 3) {
+      entries.set(tag, view.getUint16(valueOffset, littleEndian));
+    } else if (type === 4) {
+      entries.set(tag, view.getUint32(valueOffset, littleEndian));
+    } else {
+      entries.set(tag, null);
+    }
+  }
+  return entries;
+}
+
+// 把 EXIF 日期 "YYYY:MM:DD HH:MM:SS" 转为 ISO 8601 字符串（本地时间，有时区偏移时带上偏移）
+function parseExifDate(value, offset) {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match || match[1] === '0000') return null;
+  
+  const [, year, month, day, hour, minute, second] = match;
+  const zone = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '';
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+}
+
+// 解析 TIFF 结构的 EXIF 数据（JPEG、PNG 和 WebP 中的格式相同）
+function parseExif(view, tiffStart = 0) {
+  const metadata = {};
+  if (tiffStart + 8 > view.byteLength) return metadata;
+  
+  const byteOrder = readAscii(view, tiffStart, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return metadata;
+  const littleEndian = byteOrder === 'II';
+  if (view.getUint16(tiffStart + 2, littleEndian) !== 42) return metadata;
+  
+  const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+  const exifIfd = ifd0.has(TAG_EXIF_IFD)
+    ? readIfd(view, tiffStart, ifd0.get(TAG_EXIF_IFD), littleEndian)
+    : new Map();
+  const gpsIfd = ifd0.has(TAG_GPS_IFD)
+    ? readIfd(view, tiffStart, ifd0.get(TAG_GPS_IFD), littleEndian)
+    : new Map();
+  
+  const orientation = ifd0.get(TAG_ORIENTATION);
+  if (orientation >= 1 && orientation <= 8) metadata.orientation = orientation;
+  
+  // 优先使用拍摄时间，没有时使用文件修改时间
+  const capturedAt = parseExifDate(exifIfd.get(TAG_DATE_TIME_ORIGINAL), exifIfd.get(TAG_OFFSET_TIME_ORIGINAL)) ||
+    parseExifDate(ifd0.get(TAG_DATE_TIME));
+  if (capturedAt) metadata.capturedAt = capturedAt;
+  
+  if (ifd0.get(TAG_MAKE)) metadata.cameraMake = ifd0.get(TAG_MAKE);
+  if (ifd0.get(TAG_MODEL)) metadata.cameraModel = ifd0.get(TAG_MODEL);
+  metadata.hasGps = gpsIfd.has(TAG_GPS_LATITUDE) && gpsIfd.has(TAG_GPS_LONGITUDE);
+  
+  return metadata;
+}
+
+// 去掉部分编码器在 PNG/WebP 的 EXIF 块前写入的 "Exif\0\0" 前缀
+function getTiffStart(view, offset) {
+  return readAscii(view, offset, 6) === 'Exif\0\0' ? offset + 6 : offset;
+}
+
+function readJpeg(view, result) {
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) break;
+    const marker = view.getUint8(offset + 1);
+    // 填充字节
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // 没有长度字段的独立标记
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+    // 图像数据开始或结束，之后不会再有需要的段
+    if (marker === 0xda || marker === 0xd9) break;
+    
+    const length = view.getUint16(offset + 2);
+    const dataStart = offset + 4;
+    if (marker === 0xe1 && result.exif === undefined && readAscii(view, dataStart, 6) === 'Exif\0\0') {
+      result.exif = parseExif(view, dataStart + 6);
+    }
+    // SOF 段（不包括 DHT、JPG 和 DAC）包含图像尺寸
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc &&
+        dataStart + 5 <= view.byteLength) {
+      result.height = view.getUint16(dataStart + 1);
+      result.width = view.getUint16(dataStart + 3);
+    }
+    offset += 2 + length;
+  }
+}
+
+function readPng(view, result) {
+  let offset = 8;
+  while (offset + 8 <= view.byteLength) {
+    const length = view.getUint32(offset);
+    const type = readAscii(view, offset + 4, 4);
+    const dataStart = offset + 8;
+    if (type === 'IHDR' && dataStart + 8 <= view.byteLength) {
+      result.width = view.getUint32(dataStart);
+      result.height = view.getUint32(dataStart + 4);
+    } else if (type === 'eXIf') {
+      result.exif = parseExif(view, getTiffStart(view, dataStart));
+    } else if (type === 'IEND') {
+      break;
+    }
+    // 数据之后还有 4 字节 CRC
+    offset = dataStart + length + 4;
+  }
+}
+
+function readWebp(view, result) {
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const type = readAscii(view, offset, 4);
+    const length = view.getUint32(offset + 4, true);
+    const dataStart = offset + 8;
+    
+    if (type === 'VP8X' && dataStart + 10 <= view.byteLength) {
+      // 24 位的画布宽高减一
+      result.width = 1 + (view.getUint8(dataStart + 4) | (view.getUint8(dataStart + 5) << 8) | (view.getUint8(dataStart + 6) << 16));
+      result.height = 1 + (view.getUint8(dataStart + 7) | (view.getUint8(dataStart + 8) << 8) | (view.getUint8(dataStart + 9) << 16));
+    } else if (type === 'VP8 ' && result.width === undefined && dataStart + 10 <= view.byteLength) {
+      // 有损格式：3 字节帧标记和 3 字节起始码之后是 14 位宽高
+      result.width = view.getUint16(dataStart + 6, true) & 0x3fff;
+      result.height = view.getUint16(dataStart + 8, true) & 0x3fff;
+    } else if (type === 'VP8L' && result.width === undefined && dataStart + 5 <= view.byteLength) {
+      // 无损格式：1 字节签名之后是 14 位宽减一和 14 位高减一
+      const bits = view.getUint32(dataStart + 1, true);
+      result.width = (bits & 0x3fff) + 1;
+      result.height = ((bits >> 14) & 0x3fff) + 1;
+    } else if (type === 'EXIF') {
+      result.exif = parseExif(view, getTiffStart(view, dataStart));
+    }
+    // 块的长度为奇数时有一个填充字节
+    offset = dataStart + length + (length % 2);
+  }
+}
+
+// 读取图片文件的格式、编码尺寸和 EXIF 元数据
+// 返回 { format, width, height, orientation, capturedAt, cameraMake, cameraModel, hasGps }
+// 无法识别的格式 format 为 null，尺寸为 undefined；数据损坏时尽量返回已读到的部分
+export function readImageMetadata(buffer) {
+  const view = new DataView(buffer instanceof ArrayBuffer ? buffer : buffer.buffer, buffer.byteOffset || 0, buffer.byteLength);
+  const result = { format: null };
+  
+  // 各格式的读取函数直接写入 result，解析中途出错时已读到的字段仍然保留
+  try {
+    if (view.byteLength >= 4 && view.getUint16(0) === 0xffd8) {
+      result.format = 'jpeg';
+      readJpeg(view, result);
+    } else if (view.byteLength >= 8 && PNG_SIGNATURE.every((byte, i) => view.getUint8(i) === byte)) {
+      result.format = 'png';
+      readPng(view, result);
+    } else if (view.byteLength >= 12 && readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WEBP') {
+      result.format = 'webp';
+      readWebp(view, result);
+    }
+  } catch (error) {
+    // 截断的文件：保留已经读到的信息
+  }
+  
+  const { exif = {}, ...header } = result;
+  return {
+    ...header,
+    orientation: exif.orientation || DEFAULT_ORIENTATION,
+    capturedAt: exif.capturedAt || null,
+    cameraMake: exif.cameraMake || null,
+    cameraModel: exif.cameraModel || null,
+    hasGps: Boolean(exif.hasGps)
+  };
+}
+
+export function swapsDimensions(orientation) {
+  return orientation >= 5 && orientation <= 8;
+}
+
+// 按方向换算后的显示尺寸
+export function getOrientedSize(width, height, orientation = DEFAULT_ORIENTATION) {
+  return swapsDimensions(orientation) ? { width: height, height: width } : { width, height };
+}
+
+// 浏览器是否已经按 EXIF 方向显示图片（现代浏览器默认 image-orientation: from-image）
+// 交换宽高的方向可以直接比较解码后的尺寸，其他方向只能检测 CSS 支持
+export function isOrientationApplied(img, metadata) {
+  if (metadata.orientation === DEFAULT_ORIENTATION) return true;
+  if (swapsDimensions(metadata.orientation) && metadata.width && metadata.width !== metadata.height) {
+    return img.naturalWidth === metadata.height && img.naturalHeight === metadata.width;
+  }
+  return typeof CSS !== 'undefined' && typeof CSS.supports === 'function' &&
+    CSS.supports('image-orientation', 'from-image');
+}
+
+// 把未按方向显示的图片绘制为正向的 data URL，之后的预览、评分和导出都使用正向图片
+export function createOrientedImageSource(img, orientation, mimeType = 'image/jpeg', quality = 0.92) {
+  const width = img.naturalWidth;
+  const height = img.naturalHeight;
+  const size = getOrientedSize(width, height, orientation);
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  
+  const ctx = canvas.getContext('2d');
+  const transforms = {
+    2: [-1, 0, 0, 1, width, 0],
+    3: [-1, 0, 0, -1, width, height],
+    4: [1, 0, 0, -1, 0, height],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, height, 0],
+    7: [0, -1, -1, 0, height, width],
+    8: [0, -1, 1, 0, 0, width]
+  };
+  if (transforms[orientation]) ctx.transform(...transforms[orientation]);
+  ctx.drawImage(img, 0, 0);
+  return canvas.toDataURL(mimeType, quality);
+}
@@ -0,0 +1,193 @@
+import { readImageMetadata, getOrientedSize, isOrientationApplied } from './imageMetadata';
+
+// 构造 TIFF 结构的 EXIF 数据，entries 为 [tag, type, value]，ASCII 值超过 4 字节时放在 IFD 之后
+function buildTiff(ifds, littleEndian = true) {
+  const bytes = [];
+  const u16 = value => littleEndian ? [value & 0xff, value >> 8] : [value >> 8, value & 0xff];
+  const u32 = value => {
+    const big = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    return littleEndian ? big.reverse() : big;
+  };
+  
+  bytes.push(...(littleEndian ? [0x49, 0x49] : [0x4d, 0x4d]), ...u16(42), ...u32(8));
+  
+  // ifds 按顺序排列：IFD0 之后依次是指针引用的子 IFD
+  const offsets = [];
+  let offset = 8;
+  ifds.forEach(entries => {
+    offsets.push(offset);
+    const extra = entries.reduce((sum, [, type, value]) =>
+      type === 2 && value.length + 1 > 4 ? sum + value.length + 1 : sum, 0);
+    offset += 2 + entries.length * 12 + 4 + extra;
+  });
+  
+  ifds.forEach((entries, index) => {
+    const dataStart = offsets[index] + 2 + entries.length * 12 + 4;
+    const data = [];
+    bytes.push(...u16(entries.length));
+    entries.forEach(([tag, type, value]) => {
+      if (type === 2) {
+        const text = [...value].map(char => char.charCodeAt(0)).concat(0);
+        bytes.push(...u16(tag), ...u16(2), ...u32(text.length));
+        if (text.length <= 4) {
+          bytes.push(...text, ...new Array(4 - text.length).fill(0));
+        } else {
+          bytes.push(...u32(dataStart + data.length));
+          data.push(...text);
+        }
+      } else if (type === 3) {
+        bytes.push(...u16(tag), ...u16(3), ...u32(1), ...u16(value), 0, 0);
+      } else {
+        // LONG：值为 { ifd: n } 时指向第 n 个 IFD
+        bytes.push(...u16(tag), ...u16(4), ...u32(1), ...u32(value.ifd !== undefined ? offsets[value.ifd] : value));
+      }
+    });
+    bytes.push(...u32(0), ...data);
+  });
+  return bytes;
+}
+
+const SAMPLE_EXIF = [
+  [
+    [0x010f, 2, 'Canon'],
+    [0x0110, 2, 'Canon EOS R6'],
+    [0x0112, 3, 6],
+    [0x8769, 4, { ifd: 1 }],
+    [0x8825, 4, { ifd: 2 }]
+  ],
+  [
+    [0x9003, 2, '2023:07:14 18:30:05'],
+    [0x9011, 2, '+02:00']
+  ],
+  [
+    [0x0001, 2, 'N'],
+    [0x0002, 4, 0],
+    [0x0003, 2, 'E'],
+    [0x0004, 4, 0]
+  ]
+];
+
+const be16 = value => [value >> 8, value & 0xff];
+const be32 = value => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+const le32 = value => be32(value).reverse();
+const ascii = text => [...text].map(char => char.charCodeAt(0));
+
+function buildJpeg(tiff, width, height) {
+  const exif = [...ascii('Exif'), 0, 0, ...tiff];
+  return new Uint8Array([
+    0xff, 0xd8,
+    0xff, 0xe0, ...be16(16), ...ascii('JFIF'), 0, 1, 1, 0, 0, 1, 0, 1, 0, 0,
+    0xff, 0xe1, ...be16(exif.length + 2), ...exif,
+    0xff, 0xc0, ...be16(17), 8, ...be16(height), ...be16(width), 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1,
+    0xff, 0xda, ...be16(8), 1, 1, 0, 0, 0x3f, 0,
+    0xff, 0xd9
+  ]).buffer;
+}
+
+function pngChunk(type, data) {
+  return [...be32(data.length), ...ascii(type), ...data, 0, 0, 0, 0];
+}
+
+function buildPng(tiff, width, height) {
+  return new Uint8Array([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ...pngChunk('IHDR', [...be32(width), ...be32(height), 8, 6, 0, 0, 0]),
+    ...pngChunk('eXIf', tiff),
+    ...pngChunk('IEND', [])
+  ]).buffer;
+}
+
+function webpChunk(type, data) {
+  return [...ascii(type), ...le32(data.length), ...data, ...(data.length % 2 ? [0] : [])];
+}
+
+function buildWebp(chunks) {
+  const body = [...ascii('WEBP'), ...chunks.flat()];
+  return new Uint8Array([...ascii('RIFF'), ...le32(body.length), ...body]).buffer;
+}
+
+describe('readImageMetadata', () => {
+  test('reads JPEG dimensions and EXIF metadata', () => {
+    const metadata = readImageMetadata(buildJpeg(buildTiff(SAMPLE_EXIF), 4000, 3000));
+    expect(metadata).toEqual({
+      format: 'jpeg',
+      width: 4000,
+      height: 3000,
+      orientation: 6,
+      capturedAt: '2023-07-14T18:30:05+02:00',
+      cameraMake: 'Canon',
+      cameraModel: 'Canon EOS R6',
+      hasGps: true
+    });
+  });
+  
+  test('reads big-endian EXIF', () => {
+    const metadata = readImageMetadata(buildJpeg(buildTiff(SAMPLE_EXIF, false), 4000, 3000));
+    expect(metadata.orientation).toBe(6);
+    expect(metadata.cameraModel).toBe('Canon EOS R6');
+  });
+  
+  test('falls back to defaults without EXIF', () => {
+    const metadata = readImageMetadata(buildJpeg([], 640, 480));
+    expect(metadata).toMatchObject({
+      format: 'jpeg',
+      width: 640,
+      height: 480,
+      orientation: 1,
+      capturedAt: null,
+      cameraModel: null,
+      hasGps: false
+    });
+  });
+  
+  test('ignores GPS IFDs without coordinates', () => {
+    const tiff = buildTiff([[[0x8825, 4, { ifd: 1 }]], [[0x0000, 3, 2]]]);
+    expect(readImageMetadata(buildJpeg(tiff, 10, 10)).hasGps).toBe(false);
+  });
+  
+  test('reads the PNG eXIf chunk', () => {
+    const tiff = buildTiff([[[0x0112, 3, 3], [0x0132, 2, '2020:01:02 03:04:05']]]);
+    const metadata = readImageMetadata(buildPng(tiff, 800, 600));
+    expect(metadata).toMatchObject({
+      format: 'png',
+      width: 800,
+      height: 600,
+      orientation: 3,
+      capturedAt: '2020-01-02T03:04:05'
+    });
+  });
+  
+  test('reads WebP canvas size and EXIF chunk', () => {
+    const vp8x = [0x08, 0, 0, 0, ...le32(1919).slice(0, 3), ...le32(1079).slice(0, 3)];
+    const exif = [...ascii('Exif'), 0, 0, ...buildTiff([[[0x0112, 3, 8]]])];
+    const metadata = readImageMetadata(buildWebp([webpChunk('VP8X', vp8x), webpChunk('VP8 ', new Array(10).fill(0)), webpChunk('EXIF', exif)]));
+    expect(metadata).toMatchObject({ format: 'webp', width: 1920, height: 1080, orientation: 8 });
+  });
+  
+  test('reads lossless WebP dimensions', () => {
+    const bits = (320 - 1) | ((240 - 1) << 14);
+    const metadata = readImageMetadata(buildWebp([webpChunk('VP8L', [0x2f, ...le32(bits)])]));
+    expect(metadata).toMatchObject({ format: 'webp', width: 320, height: 240, orientation: 1 });
+  });
+  
+  test('keeps what was read from truncated files', () => {
+    const jpeg = new Uint8Array(buildJpeg(buildTiff(SAMPLE_EXIF), 4000, 3000));
+    const metadata = readImageMetadata(jpeg.slice(0, jpeg.length - 20).buffer);
+    expect(metadata.orientation).toBe(6);
+    expect(readImageMetadata(new Uint8Array([1, 2, 3]).buffer).format).toBeNull();
+  });
+});
+
+describe('orientation', () => {
+  test('swaps dimensions for orientations 5-8', () => {
+    expect(getOrientedSize(4000, 3000, 6)).toEqual({ width: 3000, height: 4000 });
+    expect(getOrientedSize(4000, 3000, 3)).toEqual({ width: 4000, height: 3000 });
+  });
+  
+  test('detects whether the browser already rotated the image', () => {
+    const metadata = { width: 4000, height: 3000, orientation: 6 };
+    expect(isOrientationApplied({ naturalWidth: 3000, naturalHeight: 4000 }, metadata)).toBe(true);
+    expect(isOrientationApplied({ naturalWidth: 4000, naturalHeight: 3000 }, metadata)).toBe(false);
+    expect(isOrientationApplied({ naturalWidth: 4000, naturalHeight: 3000 }, { ...metadata, orientation: 1 })).toBe(true);
+  });
+});
@@ -0,0 +1,149 @@
+// 两端对齐布局（类似 Flickr 的 justified rows）
+// 单元格尺寸由照片宽高比决定，因此照片不需要任何裁剪
+import { LAYOUT_TYPES } from './layoutDescriptors';
+import { resolveSpacing, getContentArea } from './spacing';
+
+// 为照片生成按行和按列两种两端对齐布局
+// spacing 为 resolveSpacing 换算后的像素边距和间距
+export function createJustifiedLayouts(photos, pageSize, spacing = resolveSpacing(null, pageSize)) {
+  if (!photos || photos.length === 0) return [];
+  
+  return [
+    createJustifiedRowsLayout(photos, pageSize, spacing),
+    createJustifiedColumnsLayout(photos, pageSize, spacing)
+  ];
+}
+
+// 按行排列：每行照片等高，并恰好填满内容区域宽度
+export function createJustifiedRowsLayout(photos, pageSize, spacing = resolveSpacing(null, pageSize)) {
+  const content = getContentArea(pageSize, spacing);
+  const aspectRatios = photos.map(photo => photo.width / photo.height);
+  const rows = findBestRowBreaks(aspectRatios, content.width, content.height, spacing.gutter);
+  const cells = placeRows(photos, aspectRatios, rows, content.width, content.height, spacing.gutter);
+  
+  return {
+    type: LAYOUT_TYPES.JUSTIFIED,
+    name: `justified-rows-${rows.length}`,
+    photos: [...photos],
+    cells: cells.map(cell => ({
+      ...cell,
+      x: content.x + cell.x,
+      y: content.y + cell.y
+    }))
+  };
+}
+
+// 按列排列：把内容区域和照片都转置后按行计算，再转置回来
+export function createJustifiedColumnsLayout(photos, pageSize, spacing = resolveSpacing(null, pageSize)) {
+  const content = getContentArea(pageSize, spacing);
+  const aspectRatios = photos.map(photo => photo.height / photo.width);
+  const columns = findBestRowBreaks(aspectRatios, content.height, content.width, spacing.gutter);
+  const transposedCells = placeRows(photos, aspectRatios, columns, content.height, content.width, spacing.gutter);
+  
+  return {
+    type: LAYOUT_TYPES.JUSTIFIED,
+    name: `justified-columns-${columns.length}`,
+    photos: [...photos],
+    cells: transposedCells.map(cell => ({
+      photo: cell.photo,
+      x: content.x + cell.y,
+      y: content.y + cell.x,
+      width: cell.height,
+      height: cell.width
+    }))
+  };
+}
+
+// 选择分行方式，使所有行的总高度最接近页面高度
+// 对每个行数 k，先用动态规划让每行高度尽量接近 pageHeight / k，
+// 再按总高度与页面高度之比比较各个 k（超出时需要缩小，不足时留白，两者都会降低利用率）
+// gutter 为照片之间的间距，行内和行间都要扣除
+// 返回每行的 [起始索引, 结束索引) 列表
+function findBestRowBreaks(aspectRatios, pageWidth, pageHeight, gutter = 0) {
+  const count = aspectRatios.length;
+  
+  // 前缀和，用于快速计算任意连续照片的宽高比之和
+  const prefix = [0];
+  aspectRatios.forEach((ratio, index) => {
+    prefix.push(prefix[index] + ratio);
+  });
+  const rowHeight = (start, end) => 
+    Math.max(0, pageWidth - gutter * (end - start - 1)) / (prefix[end] - prefix[start]);
+  
+  let bestRows = [[0, count]];
+  let bestDifference = Infinity;
+  
+  for (let rowCount = 1; rowCount <= count; rowCount++) {
+    const targetHeight = (pageHeight - gutter * (rowCount - 1)) / rowCount;
+    
+    // cost[r][j]：前 j 张照片分成 r 行的最小偏差，from[r][j] 记录最后一行的起点
+    const cost = Array.from({ length: rowCount + 1 }, () => new Array(count + 1).fill(Infinity));
+    const from = Array.from({ length: rowCount + 1 }, () => new Array(count + 1).fill(-1));
+    cost[0][0] = 0;
+    
+    for (let r = 1; r <= rowCount; r++) {
+      for (let j = r; j <= count; j++) {
+        for (let i = r - 1; i < j; i++) {
+          if (cost[r - 1][i] === Infinity) continue;
+          const deviation = rowHeight(i, j) - targetHeight;
+          const candidate = cost[r - 1][i] + deviation * deviation;
+          if (candidate < cost[r][j]) {
+            cost[r][j] = candidate;
+            from[r][j] = i;
+          }
+        }
+      }
+    }
+    
+    // 回溯得到分行结果
+    const rows = [];
+    let end = count;
+    for (let r = rowCount; r > 0; r--) {
+      const start = from[r][end];
+      rows.unshift([start, end]);
+      end = start;
+    }
+    
+    const totalHeight = rows.reduce((sum, [start, stop]) => sum + rowHeight(start, stop), 0) + 
+      gutter * (rowCount - 1);
+    const difference = Math.max(totalHeight / pageHeight, pageHeight / totalHeight);
+    if (difference < bestDifference) {
+      bestDifference = difference;
+      bestRows = rows;
+    }
+  }
+  
+  return bestRows;
+}
+
+// 根据分行结果放置单元格
+// 总高度超出页面时照片整体等比缩小（间距保持不变），每行水平居中，整体垂直居中，保证不裁剪照片
+function placeRows(photos, aspectRatios, rows, pageWidth, pageHeight, gutter = 0) {
+  const rowHeights = rows.map(([start, end]) => {
+    const ratioSum = aspectRatios.slice(start, end).reduce((sum, ratio) => sum + ratio, 0);
+    return Math.max(0, pageWidth - gutter * (end - start - 1)) / ratioSum;
+  });
+  const photoHeight = rowHeights.reduce((sum, height) => sum + height, 0);
+  const gutterHeight = gutter * (rows.length - 1);
+  
+  const scale = Math.max(0, Math.min(1, (pageHeight - gutterHeight) / photoHeight));
+  let y = (pageHeight - photoHeight * scale - gutterHeight) / 2;
+  
+  const cells = [];
+  rows.forEach(([start, end], rowIndex) => {
+    const height = rowHeights[rowIndex] * scale;
+    const rowWidth = aspectRatios.slice(start, end)
+      .reduce((sum, ratio) => sum + height * ratio, 0) + gutter * (end - start - 1);
+    let x = (pageWidth - rowWidth) / 2;
+    
+    for (let i = start; i < end; i++) {
+      const width = height * aspectRatios[i];
+      cells.push({ photo: photos[i], x, y, width, height });
+      x += width + gutter;
+    }
+    
+    y += height + gutter;
+  });
+  
+  return cells;
+}
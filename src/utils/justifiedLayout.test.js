@@ -0,0 +1,78 @@
+import { createJustifiedRowsLayout, createJustifiedColumnsLayout, createJustifiedLayouts } from './justifiedLayout';
+
+const photo = (id, width, height) => ({ id, width, height, aspectRatio: width / height });
+const page = { width: 1000, height: 1000 };
+
+const boxes = layout => layout.cells.map(({ x, y, width, height }) => [x, y, width, height].map(value => Math.round(value * 100) / 100));
+
+describe('createJustifiedRowsLayout', () => {
+  test('breaks rows so that their heights fill the page', () => {
+    const photos = [photo('wide', 2000, 1000), photo('a', 800, 800), photo('b', 800, 800)];
+    const layout = createJustifiedRowsLayout(photos, page);
+    
+    expect(layout.name).toBe('justified-rows-2');
+    expect(boxes(layout)).toEqual([
+      [0, 0, 1000, 500],
+      [0, 500, 500, 500],
+      [500, 500, 500, 500]
+    ]);
+  });
+  
+  test('picks the row count whose total height is closest to the page', () => {
+    const squares = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'].map(id => photo(id, 600, 600));
+    expect(createJustifiedRowsLayout(squares, page).name).toBe('justified-rows-3');
+    expect(createJustifiedRowsLayout(squares.slice(0, 4), page).name).toBe('justified-rows-2');
+  });
+  
+  test('keeps every photo uncropped and inside the page', () => {
+    const photos = [photo('a', 1200, 800), photo('b', 600, 900), photo('c', 1600, 900), photo('d', 800, 800), photo('e', 900, 1600)];
+    const layout = createJustifiedRowsLayout(photos, page);
+    
+    layout.cells.forEach(cell => {
+      expect(cell.width / cell.height).toBeCloseTo(cell.photo.aspectRatio);
+      expect(cell.x).toBeGreaterThanOrEqual(-1e-9);
+      expect(cell.y).toBeGreaterThanOrEqual(-1e-9);
+      expect(cell.x + cell.width).toBeLessThanOrEqual(page.width + 1e-9);
+      expect(cell.y + cell.height).toBeLessThanOrEqual(page.height + 1e-9);
+    });
+  });
+  
+  test('shrinks and centres rows that would be taller than the page', () => {
+    const layout = createJustifiedRowsLayout([photo('tall', 500, 1000)], page);
+    expect(boxes(layout)).toEqual([[250, 0, 500, 1000]]);
+  });
+  
+  test('leaves margins and gutters between the photos', () => {
+    const squares = ['a', 'b', 'c', 'd'].map(id => photo(id, 600, 600));
+    const layout = createJustifiedRowsLayout(squares, { width: 1060, height: 1060 }, { margin: 20, gutter: 20 });
+    
+    expect(boxes(layout)).toEqual([
+      [20, 20, 500, 500],
+      [540, 20, 500, 500],
+      [20, 540, 500, 500],
+      [540, 540, 500, 500]
+    ]);
+  });
+});
+
+describe('createJustifiedColumnsLayout', () => {
+  test('breaks columns so that their widths fill the page', () => {
+    const photos = [photo('tall', 1000, 2000), photo('a', 800, 800), photo('b', 800, 800)];
+    const layout = createJustifiedColumnsLayout(photos, page);
+    
+    expect(layout.name).toBe('justified-columns-2');
+    expect(boxes(layout)).toEqual([
+      [0, 0, 500, 1000],
+      [500, 0, 500, 500],
+      [500, 500, 500, 500]
+    ]);
+  });
+});
+
+describe('createJustifiedLayouts', () => {
+  test('returns a rows and a columns layout', () => {
+    const layouts = createJustifiedLayouts([photo('a', 800, 600), photo('b', 600, 800)], page);
+    expect(layouts.map(layout => layout.name.replace(/-\d+$/, ''))).toEqual(['justified-rows', 'justified-columns']);
+    expect(createJustifiedLayouts([], page)).toEqual([]);
+  });
+});
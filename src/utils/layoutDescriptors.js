@@ -5,9 +5,17 @@
 export const LAYOUT_TYPES = {
   GRID: 'grid',          // 网格布局（等大小的单元格）
   SPLIT: 'split',        // 分割布局（左右或上下分割）
-  COMPOSITE: 'composite' // 组合布局（混合单元格大小）
+  COMPOSITE: 'composite', // 组合布局（混合单元格大小）
+  GUILLOTINE: 'guillotine', // 断头台布局（递归水平/垂直切分）
+  JUSTIFIED: 'justified',  // 两端对齐布局（单元格按照片宽高比确定，不裁剪）
+  CUSTOM: 'custom'         // 从描述符文件导入的自定义布局，见 descriptorFormat.js
 };
 
+// 断头台布局的默认切分深度和数量上限
+// 不同结构的数量随照片数呈指数增长（6 张照片、3 层切分已有 210 种），超过上限的结构不会生成
+export const DEFAULT_GUILLOTINE_DEPTH = 3;
+export const DEFAULT_GUILLOTINE_LIMIT = 200;
+
 // 一些通用的布局生成函数
 export function createGridDescriptor(rows, cols) {
   const cells = [];
@@ -33,86 +41,260 @@ export function createGridDescriptor(rows, cols) {
   };
 }
 
-export function createHorizontalSplitDescriptor(topCount, bottomCount) {
+// 生成 count 个相等的比例
+function getEqualFractions(count) {
+  return Array.from({ length: count }, () => 1 / count);
+}
+
+// 按比例依次排列条带，返回每段的起点和长度
+function getSegments(fractions) {
+  let offset = 0;
+  return fractions.map(fraction => {
+    const segment = { start: offset, size: fraction };
+    offset += fraction;
+    return segment;
+  });
+}
+
+// splitRatio 为上半部分的高度，topWidths / bottomWidths 为各行内单元格的宽度比例（和为1）
+export function createHorizontalSplitDescriptor(
+  topCount, 
+  bottomCount, 
+  splitRatio = 0.5, 
+  topWidths = getEqualFractions(topCount), 
+  bottomWidths = getEqualFractions(bottomCount)
+) {
   const cells = [];
-  const topHeight = 0.5;
-  const bottomHeight = 0.5;
+  const topHeight = splitRatio;
+  const bottomHeight = 1 - splitRatio;
   
   // 顶部单元格
-  if (topCount > 0) {
-    const topCellWidth = 1 / topCount;
-    for (let i = 0; i < topCount; i++) {
-      cells.push({
-        x: i * topCellWidth,
-        y: 0,
-        width: topCellWidth,
-        height: topHeight,
-        photoIndex: i
-      });
-    }
-  }
+  getSegments(topWidths).forEach((segment, i) => {
+    cells.push({
+      x: segment.start,
+      y: 0,
+      width: segment.size,
+      height: topHeight,
+      photoIndex: i
+    });
+  });
   
   // 底部单元格
-  if (bottomCount > 0) {
-    const bottomCellWidth = 1 / bottomCount;
-    for (let i = 0; i < bottomCount; i++) {
-      cells.push({
-        x: i * bottomCellWidth,
-        y: topHeight,
-        width: bottomCellWidth,
-        height: bottomHeight,
-        photoIndex: topCount + i
-      });
-    }
-  }
+  getSegments(bottomWidths).forEach((segment, i) => {
+    cells.push({
+      x: segment.start,
+      y: topHeight,
+      width: segment.size,
+      height: bottomHeight,
+      photoIndex: topCount + i
+    });
+  });
   
   return {
     type: LAYOUT_TYPES.SPLIT,
     name: `hsplit-${topCount}-${bottomCount}`,
-    cells
+    cells,
+    ratios: { split: splitRatio, first: topWidths, second: bottomWidths }
   };
 }
 
-export function createVerticalSplitDescriptor(leftCount, rightCount, splitRatio = 0.5) {
+// splitRatio 为左侧的宽度，leftHeights / rightHeights 为各列内单元格的高度比例（和为1）
+export function createVerticalSplitDescriptor(
+  leftCount, 
+  rightCount, 
+  splitRatio = 0.5, 
+  leftHeights = getEqualFractions(leftCount), 
+  rightHeights = getEqualFractions(rightCount)
+) {
   const cells = [];
   const leftWidth = splitRatio;
   const rightWidth = 1 - splitRatio;
   
   // 左侧单元格
-  if (leftCount > 0) {
-    const leftCellHeight = 1 / leftCount;
-    for (let i = 0; i < leftCount; i++) {
-      cells.push({
-        x: 0,
-        y: i * leftCellHeight,
-        width: leftWidth,
-        height: leftCellHeight,
-        photoIndex: i
-      });
+  getSegments(leftHeights).forEach((segment, i) => {
+    cells.push({
+      x: 0,
+      y: segment.start,
+      width: leftWidth,
+      height: segment.size,
+      photoIndex: i
+    });
+  });
+  
+  // 右侧单元格
+  getSegments(rightHeights).forEach((segment, i) => {
+    cells.push({
+      x: leftWidth,
+      y: segment.start,
+      width: rightWidth,
+      height: segment.size,
+      photoIndex: leftCount + i
+    });
+  });
+  
+  return {
+    type: LAYOUT_TYPES.SPLIT,
+    name: `vsplit-${leftCount}-${rightCount}`,
+    cells,
+    ratios: { split: splitRatio, first: leftHeights, second: rightHeights }
+  };
+}
+
+// 将 total 拆分为 parts 个正整数之和的所有有序组合
+// 使用生成器按需产生，避免照片较多时一次性构造指数级数量的组合
+function* getCompositions(total, parts) {
+  if (parts === 1) {
+    yield [total];
+    return;
+  }
+  
+  for (let first = 1; first <= total - parts + 1; first++) {
+    for (const rest of getCompositions(total - first, parts - 1)) {
+      yield [first, ...rest];
     }
   }
+}
+
+// 枚举断头台切分树
+// direction 为 'h'（上下排列的条带）或 'v'（左右排列的条带）
+// 子节点只能沿另一方向继续切分，这样同一种切分结构只会出现一次
+function enumerateGuillotineTrees(photoCount, depth, direction, limit, memo) {
+  if (photoCount === 1) return [{ count: 1 }];
+  if (depth <= 0) return [];
   
-  // 右侧单元格
-  if (rightCount > 0) {
-    const rightCellHeight = 1 / rightCount;
-    for (let i = 0; i < rightCount; i++) {
-      cells.push({
-        x: leftWidth,
-        y: i * rightCellHeight,
-        width: rightWidth,
-        height: rightCellHeight,
-        photoIndex: leftCount + i
-      });
+  const key = `${photoCount}-${depth}-${direction}`;
+  if (memo.has(key)) return memo.get(key);
+  
+  const childDirection = direction === 'h' ? 'v' : 'h';
+  const trees = [];
+  
+  // 只剩一层切分时，每个条带只能放一张照片
+  if (depth === 1) {
+    const children = Array.from({ length: photoCount }, () => ({ count: 1 }));
+    trees.push({ count: photoCount, direction, children });
+    memo.set(key, trees);
+    return trees;
+  }
+  
+  for (let parts = 2; parts <= photoCount && trees.length < limit; parts++) {
+    for (const composition of getCompositions(photoCount, parts)) {
+      if (trees.length >= limit) break;
+      
+      const childOptions = composition.map(count =>
+        enumerateGuillotineTrees(count, depth - 1, childDirection, limit, memo)
+      );
+      
+      // 计算各条带可选子树的笛卡尔积
+      let combinations = [[]];
+      for (const options of childOptions) {
+        const next = [];
+        for (const combination of combinations) {
+          for (const option of options) {
+            next.push([...combination, option]);
+            if (next.length >= limit) break;
+          }
+          if (next.length >= limit) break;
+        }
+        combinations = next;
+      }
+      
+      for (const children of combinations) {
+        trees.push({ count: photoCount, direction, children });
+        if (trees.length >= limit) break;
+      }
     }
   }
   
+  memo.set(key, trees);
+  return trees;
+}
+
+// 切分树的文本表示，例如 h(v(1,1),1)
+function getGuillotineExpression(tree) {
+  if (!tree.children) return '1';
+  return `${tree.direction}(${tree.children.map(getGuillotineExpression).join(',')})`;
+}
+
+// 将切分树展开为相对坐标的单元格，条带大小与其中的照片数成正比
+function layoutGuillotineTree(tree, x, y, width, height, cells) {
+  if (!tree.children) {
+    cells.push({ x, y, width, height, photoIndex: cells.length });
+    return;
+  }
+  
+  let offset = 0;
+  tree.children.forEach(child => {
+    const share = child.count / tree.count;
+    if (tree.direction === 'h') {
+      layoutGuillotineTree(child, x, y + offset * height, width, share * height, cells);
+    } else {
+      layoutGuillotineTree(child, x + offset * width, y, share * width, height, cells);
+    }
+    offset += share;
+  });
+}
+
+export function createGuillotineDescriptor(tree) {
+  const cells = [];
+  layoutGuillotineTree(tree, 0, 0, 1, 1, cells);
+  
   return {
-    type: LAYOUT_TYPES.SPLIT,
-    name: `vsplit-${leftCount}-${rightCount}`,
+    type: LAYOUT_TYPES.GUILLOTINE,
+    name: `guillotine-${getGuillotineExpression(tree)}`,
     cells
   };
 }
 
+// 生成不超过 maxDepth 层切分的断头台布局描述符，最多 limit 个
+// 结构数量超过 limit 时结果被截断，只保留先枚举到的（切分较浅的）结构；
+// 需要全部结构时传入 limit: Infinity
+export function generateGuillotineDescriptors(photoCount, options = {}) {
+  const {
+    maxDepth = DEFAULT_GUILLOTINE_DEPTH,
+    limit = DEFAULT_GUILLOTINE_LIMIT
+  } = options;
+  
+  if (photoCount < 1) return [];
+  if (photoCount === 1) return [createGuillotineDescriptor({ count: 1 })];
+  
+  // 按深度由浅到深枚举，并交替取水平、垂直切分，
+  // 这样达到数量上限时保留的是较简单且方向均衡的结构
+  const memo = new Map();
+  const descriptors = [];
+  const signatures = new Set();
+  
+  for (let depth = 1; depth <= maxDepth && descriptors.length < limit; depth++) {
+    const hTrees = enumerateGuillotineTrees(photoCount, depth, 'h', limit, memo);
+    const vTrees = enumerateGuillotineTrees(photoCount, depth, 'v', limit, memo);
+    
+    for (let i = 0; i < Math.max(hTrees.length, vTrees.length); i++) {
+      for (const tree of [hTrees[i], vTrees[i]]) {
+        if (!tree || descriptors.length >= limit) continue;
+        
+        // 不同的切分树可能得到相同的几何结构（例如 2x2 网格），按几何签名去重
+        const descriptor = createGuillotineDescriptor(tree);
+        const signature = getDescriptorSignature(descriptor);
+        if (!signatures.has(signature)) {
+          signatures.add(signature);
+          descriptors.push(descriptor);
+        }
+      }
+    }
+  }
+  
+  return descriptors;
+}
+
+// 计算描述符的几何签名（与照片顺序无关）
+export function getDescriptorSignature(descriptor) {
+  return descriptor.cells
+    .map(cell => [cell.x, cell.y, cell.width, cell.height]
+      .map(value => Math.round(value * 1000) / 1000)
+      .join(','))
+    .sort()
+    .join('|');
+}
+
 // 预定义布局描述符集合
 export const layoutDescriptors = {
   // 基本网格布局
@@ -197,7 +379,9 @@ export const layoutDescriptors = {
 };
 
 // 根据照片数量获取适用的布局描述符
-export function getLayoutDescriptorsForPhotoCount(photoCount) {
+// options.guillotineDepth / options.guillotineLimit 控制断头台布局的枚举范围
+// options.customDescriptors 为导入的自定义描述符列表
+export function getLayoutDescriptorsForPhotoCount(photoCount, options = {}) {
   // 基本网格布局总是可用的
   const descriptors = [];
   
@@ -229,5 +413,28 @@ export function getLayoutDescriptorsForPhotoCount(photoCount) {
     descriptors.push(createHorizontalSplitDescriptor(topCount, bottomCount));
   }
   
+  // 添加断头台布局，跳过与上面已有布局几何结构相同的部分
+  // 数量受 guillotineLimit（默认 DEFAULT_GUILLOTINE_LIMIT）限制，照片较多时只包含切分较浅的结构
+  const existingSignatures = new Set(descriptors.map(getDescriptorSignature));
+  generateGuillotineDescriptors(photoCount, {
+    maxDepth: options.guillotineDepth,
+    limit: options.guillotineLimit
+  }).forEach(descriptor => {
+    if (!existingSignatures.has(getDescriptorSignature(descriptor))) {
+      descriptors.push(descriptor);
+    }
+  });
+  
+  // 添加单元格数量匹配的导入布局（options.customDescriptors）
+  (options.customDescriptors || [])
+    .filter(descriptor => descriptor.cells.length === photoCount)
+    .forEach(descriptor => {
+      descriptors.push({
+        ...descriptor,
+        type: LAYOUT_TYPES.CUSTOM,
+        name: `custom-${descriptor.name}`
+      });
+    });
+  
   return descriptors;
 } 
\ No newline at end of file
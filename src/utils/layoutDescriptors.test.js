@@ -0,0 +1,71 @@
+import {
+  generateGuillotineDescriptors,
+  getDescriptorSignature,
+  createGridDescriptor,
+  getLayoutDescriptorsForPhotoCount,
+  DEFAULT_GUILLOTINE_LIMIT,
+  LAYOUT_TYPES
+} from './layoutDescriptors';
+
+const area = descriptor => descriptor.cells.reduce((sum, cell) => sum + cell.width * cell.height, 0);
+
+describe('generateGuillotineDescriptors', () => {
+  test('enumerates every distinct structure for small photo counts', () => {
+    const counts = [1, 2, 3, 4, 5].map(count => generateGuillotineDescriptors(count).length);
+    expect(counts).toEqual([1, 2, 6, 21, 70]);
+  });
+  
+  test('limits the depth of the splits', () => {
+    expect(generateGuillotineDescriptors(4, { maxDepth: 1 }).map(descriptor => descriptor.name))
+      .toEqual(['guillotine-h(1,1,1,1)', 'guillotine-v(1,1,1,1)']);
+    expect(generateGuillotineDescriptors(4, { maxDepth: 2 })).toHaveLength(13);
+  });
+  
+  test('returns geometrically distinct layouts that fill the page', () => {
+    const descriptors = generateGuillotineDescriptors(5);
+    const signatures = descriptors.map(getDescriptorSignature);
+    
+    expect(new Set(signatures).size).toBe(descriptors.length);
+    descriptors.forEach(descriptor => {
+      expect(descriptor.cells).toHaveLength(5);
+      expect(area(descriptor)).toBeCloseTo(1);
+    });
+  });
+  
+  test('stops at the limit, keeping the shallower structures', () => {
+    expect(generateGuillotineDescriptors(6)).toHaveLength(DEFAULT_GUILLOTINE_LIMIT);
+    expect(generateGuillotineDescriptors(6, { limit: Infinity })).toHaveLength(210);
+    
+    const limited = generateGuillotineDescriptors(4, { limit: 5 });
+    expect(limited).toHaveLength(5);
+    expect(limited.slice(0, 2).map(descriptor => descriptor.name))
+      .toEqual(['guillotine-h(1,1,1,1)', 'guillotine-v(1,1,1,1)']);
+  });
+});
+
+describe('getDescriptorSignature', () => {
+  test('ignores the order of the cells', () => {
+    const grid = createGridDescriptor(2, 2);
+    const reversed = { ...grid, cells: [...grid.cells].reverse() };
+    expect(getDescriptorSignature(reversed)).toBe(getDescriptorSignature(grid));
+  });
+  
+  test('treats values that differ only by rounding as the same geometry', () => {
+    const grid = createGridDescriptor(1, 3);
+    const nudged = { ...grid, cells: grid.cells.map(cell => ({ ...cell, width: cell.width + 0.0001 })) };
+    expect(getDescriptorSignature(nudged)).toBe(getDescriptorSignature(grid));
+  });
+  
+  test('distinguishes different geometry', () => {
+    expect(getDescriptorSignature(createGridDescriptor(1, 2))).not.toBe(getDescriptorSignature(createGridDescriptor(2, 1)));
+  });
+  
+  test('removes guillotine layouts that repeat a grid or split layout', () => {
+    const descriptors = getLayoutDescriptorsForPhotoCount(4);
+    const guillotine = descriptors.filter(descriptor => descriptor.type === LAYOUT_TYPES.GUILLOTINE);
+    const others = new Set(descriptors.filter(descriptor => descriptor.type !== LAYOUT_TYPES.GUILLOTINE).map(getDescriptorSignature));
+    
+    expect(guillotine.length).toBeGreaterThan(0);
+    guillotine.forEach(descriptor => expect(others.has(getDescriptorSignature(descriptor))).toBe(false));
+  });
+});
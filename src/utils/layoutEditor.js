@@ -0,0 +1,199 @@
+// 布局编辑：拖动相邻单元格之间的共享边来调整单元格大小
+// 编辑在相对坐标 (0-1) 中进行，与描述符一致，边距和间距在生成像素布局时重新应用
+import { LAYOUT_TYPES } from './layoutDescriptors';
+import { mapCellToContentArea, unmapCellFromContentArea, getContentArea } from './spacing';
+import { scoreLayouts } from './layoutGenerator';
+import { validateDescriptor } from './descriptorFormat';
+import { getCellCrop, getCoverSourceRect, MIN_ZOOM, MAX_ZOOM } from './cellCrop';
+
+// 共享边的几何计算在 sharedEdges.js 中，这里一并导出供编辑器使用
+export { MIN_CELL_SIZE, findSharedEdges, getEdgeLimits, moveEdge } from './sharedEdges';
+
+// 单元格中照片的平移和缩放字段
+function getCropFields(cell) {
+  const fields = {};
+  if (cell.focalPoint) fields.focalPoint = cell.focalPoint;
+  if (cell.zoom) fields.zoom = cell.zoom;
+  return fields;
+}
+
+// 把布局的像素单元格换算为相对坐标，保留照片及其平移和缩放
+export function getRelativeCells(layout, pageSize) {
+  const spacing = layout.spacing || { margin: 0, gutter: 0 };
+  return layout.cells.map(cell => ({
+    ...unmapCellFromContentArea(cell, pageSize, spacing),
+    ...getCropFields(cell),
+    photo: cell.photo
+  }));
+}
+
+// 边在页面上的像素位置（位于两侧单元格之间的间距中央），供编辑器绘制拖动手柄
+export function getEdgeRect(edge, pageSize, spacing) {
+  const { gutter } = spacing;
+  const content = getContentArea(pageSize, spacing);
+  const spanWidth = content.width + gutter;
+  const spanHeight = content.height + gutter;
+  
+  if (edge.orientation === 'vertical') {
+    return {
+      x: content.x + edge.position * spanWidth - gutter / 2,
+      y: content.y + edge.start * spanHeight,
+      width: 0,
+      height: (edge.end - edge.start) * spanHeight - gutter
+    };
+  }
+  return {
+    x: content.x + edge.start * spanWidth,
+    y: content.y + edge.position * spanHeight - gutter / 2,
+    width: (edge.end - edge.start) * spanWidth - gutter,
+    height: 0
+  };
+}
+
+// 把页面上的像素坐标换算为边的相对位置，是 getEdgeRect 的逆变换
+export function getEdgePositionFromPoint(orientation, point, pageSize, spacing) {
+  const { gutter } = spacing;
+  const content = getContentArea(pageSize, spacing);
+  if (orientation === 'vertical') {
+    return (point.x + gutter / 2 - content.x) / (content.width + gutter);
+  }
+  return (point.y + gutter / 2 - content.y) / (content.height + gutter);
+}
+
+// 用编辑后的相对单元格生成像素布局，并按 scoreLayouts 的指标重新评分
+// weights 为当前的评分权重，与列表中布局的分数使用相同的权重才能比较
+export function createEditedLayout(layout, cells, pageSize, weights) {
+  const spacing = layout.spacing || { margin: 0, gutter: 0 };
+  const editedLayout = {
+    ...layout,
+    type: LAYOUT_TYPES.CUSTOM,
+    name: `${layout.name.replace(/^custom-/, '')}-edited`,
+    cells: cells.map(cell => ({
+      ...mapCellToContentArea(cell, pageSize, spacing),
+      ...getCropFields(cell),
+      photo: cell.photo
+    }))
+  };
+  editedLayout.duplicateOf = null;
+  delete editedLayout.ratios;
+  delete editedLayout.assignment;
+  delete editedLayout.orderedOptimization;
+  delete editedLayout.originalScore;
+  delete editedLayout.originalMetrics;
+  
+  return scoreLayouts([editedLayout], pageSize, { dpi: layout.targetDpi, weights })[0];
+}
+
+// 把编辑后的几何结构保存为自定义描述符
+// photoIndex 使用照片在布局照片列表中的位置，重新生成时每个单元格仍是同一张照片
+export function createEditedDescriptor(layout, cells, name) {
+  const photos = layout.photos || [];
+  const photoIndices = cells.map(cell => photos.indexOf(cell.photo));
+  const keepPhotos = photoIndices.every(index => index >= 0 && index < cells.length) &&
+    new Set(photoIndices).size === cells.length;
+  
+  const roundValue = value => Math.round(value * 1e6) / 1e6;
+  const descriptor = {
+    type: LAYOUT_TYPES.CUSTOM,
+    name,
+    cells: cells.map((cell, index) => ({
+      photoIndex: keepPhotos ? photoIndices[index] : index,
+      x: roundValue(cell.x),
+      y: roundValue(cell.y),
+      width: roundValue(cell.width),
+      height: roundValue(cell.height),
+      // 平移和缩放只对同一张照片有意义
+      ...(keepPhotos ? getCropFields(cell) : {})
+    }))
+  };
+  descriptor.requireFullCoverage = validateDescriptor(descriptor, { requireFullCoverage: true }).length === 0;
+  return descriptor;
+}
+
+// 交换两个单元格中的照片，单元格的几何不变，平移和缩放跟随照片一起移动
+// 像素单元格和编辑器中的相对单元格都适用
+export function swapPhotosInCells(cells, fromIndex, toIndex) {
+  return cells.map((cell, index) => {
+    if (index !== fromIndex && index !== toIndex) return cell;
+    const source = cells[index === fromIndex ? toIndex : fromIndex];
+    const { focalPoint, zoom, ...geometry } = cell;
+    return { ...geometry, ...getCropFields(source), photo: source.photo };
+  });
+}
+
+// 交换两个单元格中的照片，并按 weights（当前的评分权重）重新评分
+// originalScore 记录生成时的分数，列表按它排序，编辑后的布局不会跳到别的位置
+export function swapCellPhotos(layout, fromIndex, toIndex, pageSize, weights) {
+  if (fromIndex === toIndex) return layout;
+  return rescoreEditedLayout(layout, swapPhotosInCells(layout.cells, fromIndex, toIndex), pageSize, weights);
+}
+
+function rescoreEditedLayout(layout, cells, pageSize, weights) {
+  const editedLayout = {
+    ...layout,
+    cells,
+    originalScore: layout.originalScore !== undefined ? layout.originalScore : layout.score,
+    // 保留生成时的指标，调整评分权重时据此重新计算 originalScore
+    originalMetrics: layout.originalMetrics || layout.metrics
+  };
+  // 照片分配已被手动修改，与贪心分配或调整尺寸前的对比不再成立
+  delete editedLayout.assignment;
+  delete editedLayout.orderedOptimization;
+  
+  return scoreLayouts([editedLayout], pageSize, { dpi: layout.targetDpi, weights })[0];
+}
+
+// 记录布局中每个单元格的照片 id，重新生成布局后用 applyPhotoArrangements 恢复
+export function getPhotoArrangement(layout) {
+  return layout.cells.map(cell => (cell.photo ? cell.photo.id : null));
+}
+
+// 把保存的照片排列应用到重新生成的布局上
+// arrangements 以布局名称为键；单元格数量不同或照片已被删除时忽略该排列
+export function applyPhotoArrangements(layouts, arrangements, pageSize) {
+  return layouts.map(layout => {
+    const arrangement = arrangements[layout.name];
+    if (!arrangement || arrangement.length !== layout.cells.length) return layout;
+    
+    const photosById = new Map((layout.photos || []).map(photo => [photo.id, photo]));
+    if (!arrangement.every(id => id === null || photosById.has(id))) return layout;
+    
+    const current = getPhotoArrangement(layout);
+    if (arrangement.every((id, index) => id === current[index])) return layout;
+    
+    const cells = layout.cells.map((cell, index) => {
+      const photo = arrangement[index] === null ? undefined : photosById.get(arrangement[index]);
+      if (photo === cell.photo) return cell;
+      const { focalPoint, zoom, ...geometry } = cell;
+      return { ...geometry, photo };
+    });
+    return rescoreEditedLayout(layout, cells, pageSize);
+  });
+}
+
+// 平移单元格中的照片：dx、dy 为可见区域移动的距离，以单元格宽高为单位
+// 返回新的单元格焦点；可见区域已到照片边缘时继续拖动不再移动
+export function panCell(cell, dx, dy) {
+  const { focalPoint, zoom } = getCellCrop(cell);
+  const photo = cell.photo;
+  const source = getCoverSourceRect(cell, photo, { focalPoint, zoom });
+  const clamp = value => Math.min(1, Math.max(0, value));
+  return {
+    ...cell,
+    focalPoint: {
+      x: clamp(focalPoint.x + dx * source.width / photo.width),
+      y: clamp(focalPoint.y + dy * source.height / photo.height)
+    }
+  };
+}
+
+// 设置单元格中照片的缩放
+export function zoomCell(cell, zoom) {
+  return { ...cell, zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom)) };
+}
+
+// 清除单元格的平移和缩放，恢复使用照片自身的焦点
+export function resetCellCrop(cell) {
+  const { focalPoint, zoom, ...rest } = cell;
+  return rest;
+}
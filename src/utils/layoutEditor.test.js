@@ -0,0 +1,179 @@
+import { 
+  findSharedEdges, 
+  moveEdge, 
+  getRelativeCells, 
+  getEdgeRect,
+  getEdgePositionFromPoint,
+  createEditedLayout, 
+  createEditedDescriptor,
+  swapCellPhotos,
+  swapPhotosInCells,
+  getPhotoArrangement,
+  applyPhotoArrangements,
+  MIN_CELL_SIZE
+} from './layoutEditor';
+import { generateLayouts } from './layoutGenerator';
+import { validateDescriptor } from './descriptorFormat';
+import { getDefaultWeights, applyMetricWeights } from './metricRegistry';
+
+// 左侧一整列，右侧上下两格
+const cells = [
+  { x: 0, y: 0, width: 0.5, height: 1 },
+  { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+  { x: 0.5, y: 0.5, width: 0.5, height: 0.5 }
+];
+
+describe('findSharedEdges', () => {
+  test('finds the column edge and the edge inside the right column', () => {
+    const edges = findSharedEdges(cells);
+    expect(edges).toHaveLength(2);
+    expect(edges[0]).toMatchObject({ orientation: 'vertical', position: 0.5, start: 0, end: 1, before: [0], after: [1, 2] });
+    expect(edges[1]).toMatchObject({ orientation: 'horizontal', position: 0.5, start: 0.5, end: 1, before: [1], after: [2] });
+  });
+  
+  test('splits collinear edges that do not touch into separate edges', () => {
+    // h(v(1,1),v(1,1))：上下两半各有一条 x = 0.5 的竖边
+    const quadrants = [
+      { x: 0, y: 0, width: 0.5, height: 0.5 },
+      { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+      { x: 0, y: 0.5, width: 0.4, height: 0.5 },
+      { x: 0.4, y: 0.5, width: 0.6, height: 0.5 }
+    ];
+    const vertical = findSharedEdges(quadrants).filter(edge => edge.orientation === 'vertical');
+    expect(vertical.map(edge => [edge.position, edge.before, edge.after])).toEqual([
+      [0.4, [2], [3]],
+      [0.5, [0], [1]]
+    ]);
+  });
+});
+
+describe('moveEdge', () => {
+  test('resizes every cell touching the edge', () => {
+    const [columnEdge] = findSharedEdges(cells);
+    const moved = moveEdge(cells, columnEdge, 0.6);
+    expect(moved[0].width).toBeCloseTo(0.6);
+    expect(moved[1]).toMatchObject({ x: 0.6, height: 0.5 });
+    expect(moved[2].x).toBeCloseTo(0.6);
+    expect(moved[1].width).toBeCloseTo(0.4);
+    expect(moved[2].width).toBeCloseTo(0.4);
+  });
+  
+  test('keeps cells at least MIN_CELL_SIZE wide', () => {
+    const [columnEdge] = findSharedEdges(cells);
+    expect(moveEdge(cells, columnEdge, 1.2)[1].width).toBeCloseTo(MIN_CELL_SIZE);
+    expect(moveEdge(cells, columnEdge, -1)[0].width).toBeCloseTo(MIN_CELL_SIZE);
+  });
+});
+
+describe('editing a generated layout', () => {
+  const pageSize = { width: 800, height: 1000 };
+  const spacing = { margin: 40, gutter: 20, unit: 'px' };
+  const photos = [
+    { id: 'a', width: 600, height: 400 },
+    { id: 'b', width: 400, height: 600 },
+    { id: 'c', width: 500, height: 500 }
+  ];
+  const layout = generateLayouts(photos, pageSize, { spacing, dpi: 150 })
+    .find(candidate => candidate.type === 'guillotine');
+  
+  test('converts cells back to relative coordinates that tile the page', () => {
+    const relative = getRelativeCells(layout, pageSize);
+    const area = relative.reduce((sum, cell) => sum + cell.width * cell.height, 0);
+    expect(area).toBeCloseTo(1, 5);
+  });
+  
+  test('places handles in the middle of the gutter and maps points back', () => {
+    const relative = getRelativeCells(layout, pageSize);
+    const [edge] = findSharedEdges(relative);
+    const rect = getEdgeRect(edge, pageSize, layout.spacing);
+    const position = getEdgePositionFromPoint(edge.orientation, rect, pageSize, layout.spacing);
+    expect(position).toBeCloseTo(edge.position, 6);
+  });
+  
+  test('re-scores edited geometry and saves it with the same photos', () => {
+    const relative = getRelativeCells(layout, pageSize);
+    const [edge] = findSharedEdges(relative);
+    const edited = moveEdge(relative, edge, edge.position + 0.1);
+    
+    const editedLayout = createEditedLayout(layout, edited, pageSize);
+    expect(editedLayout.type).toBe('custom');
+    expect(editedLayout.targetDpi).toBe(150);
+    expect(editedLayout.score).not.toBeCloseTo(layout.score, 6);
+    expect(editedLayout.metrics.utilization).toBeCloseTo(layout.metrics.utilization, 2);
+    
+    const descriptor = createEditedDescriptor(layout, edited, 'tweaked');
+    expect(validateDescriptor(descriptor)).toEqual([]);
+    descriptor.cells.forEach((cell, index) => {
+      expect(layout.photos[cell.photoIndex]).toBe(edited[index].photo);
+    });
+  });
+  
+  test('scores with the same weights as the layout list', () => {
+    const weights = { ...getDefaultWeights(), utilization: 0, rowOrientation: 1 };
+    const [weighted] = applyMetricWeights([layout], weights);
+    const unchanged = createEditedLayout(weighted, getRelativeCells(weighted, pageSize), pageSize, weights);
+    
+    expect(unchanged.score).not.toBeCloseTo(layout.score, 3);
+    expect(unchanged.score).toBeCloseTo(weighted.score, 6);
+  });
+});
+
+describe('swapping photos', () => {
+  const pageSize = { width: 800, height: 1000 };
+  const photos = [
+    { id: 'wide', width: 900, height: 300 },
+    { id: 'tall', width: 300, height: 900 },
+    { id: 'square', width: 500, height: 500 }
+  ];
+  const generate = options => generateLayouts(photos, pageSize, options)
+    .find(candidate => candidate.name === 'vsplit-1-2-optimized');
+  
+  test('swaps two photos and re-scores the layout', () => {
+    const layout = generate();
+    const swapped = swapCellPhotos(layout, 0, 1, pageSize);
+    expect(swapped.cells[0].photo).toBe(layout.cells[1].photo);
+    expect(swapped.cells[1].photo).toBe(layout.cells[0].photo);
+    expect(swapped.metrics.croppingRate).toBeGreaterThan(layout.metrics.croppingRate);
+    expect(swapped.score).toBeLessThan(layout.score);
+    expect(swapped.originalScore).toBe(layout.score);
+    expect(swapped.assignment).toBeUndefined();
+  });
+  
+  test('re-scores swapped photos with the given weights', () => {
+    const weights = { ...getDefaultWeights(), croppingRate: 1 };
+    const swapped = swapCellPhotos(generate(), 0, 1, pageSize, weights);
+    expect(swapped.scoreWeights).toBe(weights);
+    expect(applyMetricWeights([swapped], weights)[0].score).toBeCloseTo(swapped.score, 6);
+  });
+  
+  test('moves the pan and zoom with the photo', () => {
+    const [a, b] = photos;
+    const relative = [
+      { ...cells[0], photo: a, focalPoint: { x: 0.2, y: 0.3 }, zoom: 1.5 },
+      { ...cells[1], photo: b },
+      { ...cells[2], photo: photos[2] }
+    ];
+    const swapped = swapPhotosInCells(relative, 0, 1);
+    
+    expect(swapped[0]).toEqual({ ...cells[0], photo: b });
+    expect(swapped[1]).toEqual({ ...cells[1], photo: a, focalPoint: { x: 0.2, y: 0.3 }, zoom: 1.5 });
+    expect(swapped[2]).toBe(relative[2]);
+  });
+  
+  test('re-applies a saved arrangement after regeneration', () => {
+    const arrangement = getPhotoArrangement(swapCellPhotos(generate(), 0, 2, pageSize));
+    const regenerated = generateLayouts(photos, pageSize, { spacing: { margin: 30, gutter: 10, unit: 'px' } });
+    const arranged = applyPhotoArrangements(regenerated, { 'vsplit-1-2-optimized': arrangement }, pageSize);
+    
+    const layout = arranged.find(candidate => candidate.name === 'vsplit-1-2-optimized');
+    expect(getPhotoArrangement(layout)).toEqual(arrangement);
+    expect(layout.originalScore).toBeDefined();
+    expect(arranged).toHaveLength(regenerated.length);
+  });
+  
+  test('ignores arrangements whose photos no longer exist', () => {
+    const layouts = generateLayouts(photos, pageSize);
+    const arranged = applyPhotoArrangements(layouts, { 'vsplit-1-2-optimized': ['gone', 'tall', 'square'] }, pageSize);
+    expect(arranged).toEqual(layouts);
+  });
+});
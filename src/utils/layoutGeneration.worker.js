@@ -0,0 +1,21 @@
+// 在 Web Worker 中分批生成布局或进行相册分页，消息格式见 layoutWorkerClient.js
+import { getLayoutBatches } from './layoutSearch';
+import { paginateAlbum } from './albumPaginator';
+
+const worker = globalThis;
+
+worker.onmessage = (event) => {
+  const { id, task, photos, pageSize, options } = event.data;
+  try {
+    if (task === 'album') {
+      worker.postMessage({ id, type: 'album', album: paginateAlbum(photos, pageSize, options) });
+      return;
+    }
+    for (const batch of getLayoutBatches(photos, pageSize, options)) {
+      worker.postMessage({ id, type: 'batch', ...batch });
+    }
+    worker.postMessage({ id, type: 'done' });
+  } catch (error) {
+    worker.postMessage({ id, type: 'error', message: error.message });
+  }
+};
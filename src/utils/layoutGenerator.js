@@ -1,50 +1,183 @@
 // Generate all possible layouts for the given photos and page size
 import { 
   getLayoutDescriptorsForPhotoCount, 
+  createHorizontalSplitDescriptor,
+  createVerticalSplitDescriptor,
   LAYOUT_TYPES
 } from './layoutDescriptors';
+import { createJustifiedLayouts } from './justifiedLayout';
+import { findOptimalAssignment } from './assignment';
+import { resolveSpacing, mapCellToContentArea } from './spacing';
+import { DEFAULT_DPI } from './pageSizes';
+import {
+  getCellCrop,
+  getCoverSourceRect,
+  getFocalRegion,
+  getIntersectionArea,
+  getPhotoFocalPoint
+} from './cellCrop';
+import { calculateSalientContentLost } from './saliency';
+import {
+  DEFAULT_PHOTO_ORDER,
+  isOrderPreserving,
+  sortPhotos,
+  getReadingOrder,
+  calculateSequenceFidelity
+} from './photoOrder';
+import { findSharedEdges, getEdgeLimits, moveEdge } from './sharedEdges';
+import {
+  getPhotoWeight,
+  calculateWeightedBalance,
+  areHeroesInLargestCells,
+  placeHeroesInLargestCells,
+  createImportanceCost,
+  calculateImportanceCost
+} from './photoImportance';
+import {
+  METRIC_DIRECTIONS,
+  registerMetric,
+  computeMetrics,
+  calculateWeightedScore
+} from './metricRegistry';
 
-export function generateLayouts(photos, pageSize) {
-  if (!photos || photos.length === 0) return [];
+// options 会传给 getLayoutDescriptorsForPhotoCount（例如断头台布局的切分深度）
+// options.spacing 为页面边距和照片间距设置，见 spacing.js
+// options.dpi 为目标打印分辨率，pageSize 应为该分辨率下的像素尺寸
+// options.photoOrder 为照片顺序（见 photoOrder.js）：保持上传或拍摄顺序时照片按阅读顺序放入单元格，
+// 布局记录该顺序并计算顺序保真度；options.strictOrder 为 true 时优化版本也不改变照片顺序
+export function generateLayouts(photos, pageSize, options = {}) {
+  const layouts = [];
+  for (const batch of generateLayoutBatches(photos, pageSize, options)) {
+    layouts.push(...batch.layouts);
+  }
   
-  // Sort photos by aspect ratio to optimize placement
-  const sortedPhotos = [...photos].sort((a, b) => {
-    // Sort by orientation (landscape vs portrait)
-    const aRatio = a.width / a.height;
-    const bRatio = b.width / b.height;
-    return bRatio - aRatio; // Descending: landscape (w>h) photos first, portrait (h>w) last
-  });
+  // 按分数降序排序
+  return layouts.sort((a, b) => b.score - a.score);
+}
+
+// 每批处理的描述符数量
+const GENERATION_BATCH_SIZE = 16;
+
+// 分批生成并评分布局，参数与 generateLayouts 相同
+// 每批产出 { layouts, completed, total }：layouts 为本批已评分的布局（批内按分数排序），
+// completed / total 为已完成和总共的步骤数，用于显示进度；所有批次合起来与 generateLayouts 的结果相同
+export function* generateLayoutBatches(photos, pageSize, options = {}) {
+  if (!photos || photos.length === 0) return;
+  
+  const spacing = resolveSpacing(options.spacing, pageSize, photos.length);
+  const photoOrder = options.photoOrder || DEFAULT_PHOTO_ORDER;
+  const preserveOrder = isOrderPreserving(photoOrder);
+  
+  // 默认按宽高比排序以便匹配单元格形状，保持顺序时按上传或拍摄顺序
+  const sortedPhotos = sortPhotos(photos, photoOrder);
+  
+  // 获取所有适用于当前照片数量的布局描述符，分割布局根据实际照片调整分割比例
+  const descriptors = getLayoutDescriptorsForPhotoCount(photos.length, options)
+    .map(descriptor => descriptor.type === LAYOUT_TYPES.SPLIT
+      ? optimizeSplitRatios(descriptor, sortedPhotos, pageSize, spacing, preserveOrder)
+      : descriptor
+    );
+  
+  // 每个描述符生成基本布局和优化版本各一步，两端对齐布局一步
+  const total = descriptors.length * 2 + 1;
+  let completed = 0;
   
-  // 获取所有适用于当前照片数量的布局描述符
-  const descriptors = getLayoutDescriptorsForPhotoCount(photos.length);
+  // 跨批次检查重复布局
+  const signatures = new Map();
+  let emittedCount = 0;
+  
+  const finishBatch = (layouts, steps) => {
+    const preparedLayouts = prepareLayoutsForScoring(layouts, spacing, preserveOrder ? sortedPhotos : null);
+    
+    // Remove exact duplicates before scoring
+    const uniqueLayouts = removeDuplicateLayouts(preparedLayouts, pageSize, signatures, emittedCount);
+    emittedCount += uniqueLayouts.length;
+    completed += steps;
+    
+    return {
+      layouts: scoreLayouts(uniqueLayouts, pageSize, { dpi: options.dpi, weights: options.weights }),
+      completed,
+      total
+    };
+  };
   
   // 根据描述符创建具体的布局
-  const layouts = descriptors.map(descriptor => 
-    createLayoutFromDescriptor(sortedPhotos, pageSize, descriptor)
-  );
+  for (let start = 0; start < descriptors.length; start += GENERATION_BATCH_SIZE) {
+    const batch = descriptors.slice(start, start + GENERATION_BATCH_SIZE);
+    yield finishBatch(
+      batch.map(descriptor => createLayoutFromDescriptor(sortedPhotos, pageSize, descriptor, spacing, preserveOrder)),
+      batch.length
+    );
+  }
   
   // 为每个基本布局创建一个优化版本
-  descriptors.forEach(descriptor => {
-    const layout = createLayoutFromDescriptor(sortedPhotos, pageSize, descriptor);
-    const optimizedLayout = createOptimizedLayout(
-      sortedPhotos, 
-      [...layout.cells], 
-      `${layout.name}-optimized`
+  // 顺序受约束时不能重新分配照片，改为调整单元格尺寸
+  for (let start = 0; start < descriptors.length; start += GENERATION_BATCH_SIZE) {
+    const batch = descriptors.slice(start, start + GENERATION_BATCH_SIZE);
+    yield finishBatch(
+      batch.map(descriptor => createOptimizedVariant(sortedPhotos, pageSize, descriptor, spacing, preserveOrder, options.strictOrder)),
+      batch.length
     );
-    layouts.push(optimizedLayout);
-  });
-  
-  // Remove exact duplicates before scoring
-  const uniqueLayouts = removeDuplicateLayouts(layouts, pageSize);
+  }
   
-  // Score and sort layouts
-  const scoredLayouts = scoreLayouts(uniqueLayouts, pageSize);
+  // 两端对齐布局直接根据照片宽高比生成，不需要优化版本
+  yield finishBatch(createJustifiedLayouts(sortedPhotos, pageSize, spacing), 1);
+}
+
+// 为单个描述符创建基本布局和优化版本并评分，供 layoutSearch.js 逐个评估搜索到的结构
+// 参数与 generateLayouts 相同，返回 (descriptor) => 按分数排序的布局数组；分割布局的比例不在这里调整
+export function createDescriptorEvaluator(photos, pageSize, options = {}) {
+  const spacing = resolveSpacing(options.spacing, pageSize, photos.length);
+  const photoOrder = options.photoOrder || DEFAULT_PHOTO_ORDER;
+  const preserveOrder = isOrderPreserving(photoOrder);
+  const sortedPhotos = sortPhotos(photos, photoOrder);
   
-  return scoredLayouts;
+  return descriptor => {
+    const layouts = [
+      createLayoutFromDescriptor(sortedPhotos, pageSize, descriptor, spacing, preserveOrder),
+      createOptimizedVariant(sortedPhotos, pageSize, descriptor, spacing, preserveOrder, options.strictOrder)
+    ];
+    const preparedLayouts = prepareLayoutsForScoring(layouts, spacing, preserveOrder ? sortedPhotos : null)
+      .map(layout => ({ ...layout, duplicateOf: null }));
+    return scoreLayouts(preparedLayouts, pageSize, { dpi: options.dpi, weights: options.weights });
+  };
+}
+
+// 评分前的共同处理
+// 间距使某个单元格没有面积的布局被丢弃（resolveSpacing 保证等分的单元格有面积，按宽高比划分的分割布局
+// 和导入的布局中较窄的单元格仍可能被间距占满）；
+// 主图（见 photoImportance.js）必须放在最大的单元格中，优化版本已经考虑，其他布局在这里交换照片；
+// 记录生成时使用的间距，供预览绘制页边距；保持顺序时记录照片顺序 sequence，编辑后重新评分时仍计算顺序保真度
+function prepareLayoutsForScoring(layouts, spacing, sequence) {
+  return layouts.filter(layout => !layout.cells.some(isEmptyCell)).map(layout => {
+    const cells = placeHeroesInLargestCells(layout.cells);
+    const prepared = { ...layout, cells, spacing };
+    if (sequence) prepared.sequence = sequence;
+    return prepared;
+  });
+}
+
+// 创建描述符的优化版本：重新分配照片；保持顺序且 strictOrder 为 true 时不改变照片顺序，改为调整单元格尺寸
+function createOptimizedVariant(photos, pageSize, descriptor, spacing, preserveOrder, strictOrder) {
+  const layout = createLayoutFromDescriptor(photos, pageSize, descriptor, spacing, preserveOrder);
+  if (preserveOrder && strictOrder) {
+    return createOrderedOptimizedLayout(photos, pageSize, descriptor, spacing, `${layout.name}-optimized`);
+  }
+  return createOptimizedLayout(photos, [...layout.cells], `${layout.name}-optimized`, layout.ratios);
 }
 
-// 从描述符创建布局
-function createLayoutFromDescriptor(photos, pageSize, descriptor) {
+// 从描述符创建布局，单元格被映射到去掉边距和间距后的区域
+// preserveOrder 为 true 时忽略 photoIndex，照片按单元格的阅读顺序依次放入
+function createLayoutFromDescriptor(
+  photos, 
+  pageSize, 
+  descriptor, 
+  spacing = resolveSpacing(null, pageSize), 
+  preserveOrder = false
+) {
+  const readingIndices = preserveOrder
+    ? new Map(getReadingOrder(descriptor.cells).map((cellDesc, index) => [cellDesc, index]))
+    : null;
   const layout = {
     type: descriptor.type,
     name: descriptor.name,
@@ -52,19 +185,27 @@ function createLayoutFromDescriptor(photos, pageSize, descriptor) {
     cells: []
   };
   
+  // 分割布局记录所用的分割比例
+  if (descriptor.ratios) {
+    layout.ratios = descriptor.ratios;
+  }
+  
   // 根据描述符创建单元格
   descriptor.cells.forEach(cellDesc => {
-    const photoIndex = cellDesc.photoIndex;
+    const photoIndex = readingIndices ? readingIndices.get(cellDesc) : cellDesc.photoIndex;
     
     // 确保photoIndex在有效范围内
     if (photoIndex < photos.length) {
-      layout.cells.push({
+      const cell = {
         photo: photos[photoIndex],
-        x: cellDesc.x * pageSize.width,
-        y: cellDesc.y * pageSize.height,
-        width: cellDesc.width * pageSize.width,
-        height: cellDesc.height * pageSize.height
-      });
+        ...mapCellToContentArea(cellDesc, pageSize, spacing)
+      };
+      // 自定义描述符可以为单元格指定平移后的焦点和缩放，只适用于描述符指定的那张照片
+      if (photoIndex === cellDesc.photoIndex) {
+        if (cellDesc.focalPoint) cell.focalPoint = cellDesc.focalPoint;
+        if (cellDesc.zoom) cell.zoom = cellDesc.zoom;
+      }
+      layout.cells.push(cell);
     }
   });
   
@@ -89,8 +230,45 @@ function findBestMatchingPhotoIndex(photos, targetAspectRatio) {
   return bestIndex;
 }
 
-// 创建优化布局 - 根据照片宽高比最佳匹配单元格
-function createOptimizedLayout(photos, cells, name) {
+// 贪心分配 - 按宽高比从大到小依次为单元格挑选最接近的照片
+// 返回每个单元格分配到的照片索引，仅用于和最优分配做对比
+function createGreedyAssignment(photos, cells) {
+  const assignment = new Array(cells.length).fill(-1);
+  const remainingIndices = photos.map((_, index) => index);
+  
+  const cellOrder = cells
+    .map((cell, index) => ({ index, aspectRatio: cell.width / cell.height }))
+    .sort((a, b) => b.aspectRatio - a.aspectRatio);
+  
+  cellOrder.forEach(({ index, aspectRatio }) => {
+    if (remainingIndices.length === 0) return;
+    const remainingPhotos = remainingIndices.map(photoIndex => photos[photoIndex]);
+    const bestIndex = findBestMatchingPhotoIndex(remainingPhotos, aspectRatio);
+    assignment[index] = remainingIndices[bestIndex];
+    remainingIndices.splice(bestIndex, 1);
+  });
+  
+  return assignment;
+}
+
+// 计算某种分配方式下的平均裁剪率
+function getAssignmentCroppingRate(photos, cells, assignment) {
+  let total = 0;
+  let count = 0;
+  
+  assignment.forEach((photoIndex, cellIndex) => {
+    if (photoIndex < 0) return;
+    total += calculateCellCroppingRate(cells[cellIndex], photos[photoIndex]);
+    count++;
+  });
+  
+  return count === 0 ? 0 : total / count;
+}
+
+// 创建优化布局 - 求照片与单元格的全局最优匹配
+// 单元格几何固定时，利用率与照片如何分配无关；照片权重相同时尺寸平衡也与分配无关，
+// 所以主要是最小化总裁剪率，再加上主图和权重的代价（见 photoImportance.js）
+function createOptimizedLayout(photos, cells, name, ratios) {
   const optimizedLayout = {
     type: 'optimized',
     name: name || 'optimized',
@@ -98,26 +276,48 @@ function createOptimizedLayout(photos, cells, name) {
     cells: []
   };
   
+  if (ratios) {
+    optimizedLayout.ratios = ratios;
+  }
+  
   // 计算每个单元格的宽高比，但不包含照片信息
   const cellsWithoutPhotos = cells.map(cell => ({
     ...cell,
     aspectRatio: cell.width / cell.height
   }));
   
-  // 按宽高比从大到小排序单元格（横向优先）
-  cellsWithoutPhotos.sort((a, b) => b.aspectRatio - a.aspectRatio);
-  
-  // 复制照片数组
-  const remainingPhotos = [...photos];
+  // 代价矩阵：每个单元格放入每张照片时的裁剪率，加上主图和权重的代价
+  const importanceCost = createImportanceCost(cellsWithoutPhotos, photos);
+  const costMatrix = cellsWithoutPhotos.map((cell, cellIndex) => 
+    photos.map((photo, photoIndex) => calculateCellCroppingRate(cell, photo) + importanceCost(cellIndex, photoIndex))
+  );
+  const assignment = cellsWithoutPhotos.length <= photos.length
+    ? findOptimalAssignment(costMatrix)
+    : createGreedyAssignment(photos, cellsWithoutPhotos);
   
-  // 为每个单元格分配最佳匹配的照片
-  cellsWithoutPhotos.forEach(cell => {
-    const bestPhotoIndex = findBestMatchingPhotoIndex(remainingPhotos, cell.aspectRatio);
-    cell.photo = remainingPhotos[bestPhotoIndex];
-    remainingPhotos.splice(bestPhotoIndex, 1);
+  cellsWithoutPhotos.forEach((cell, index) => {
+    const photo = assignment[index] >= 0 ? photos[assignment[index]] : undefined;
+    // 单元格的平移和缩放是针对原来那张照片设置的，换了照片就不再适用
+    if (photo !== cell.photo) {
+      delete cell.focalPoint;
+      delete cell.zoom;
+    }
+    cell.photo = photo;
     optimizedLayout.cells.push(cell);
   });
   
+  // 记录与贪心分配的对比，用于说明优化效果
+  const greedyCroppingRate = getAssignmentCroppingRate(
+    photos, cellsWithoutPhotos, createGreedyAssignment(photos, cellsWithoutPhotos)
+  );
+  const optimalCroppingRate = getAssignmentCroppingRate(photos, cellsWithoutPhotos, assignment);
+  optimizedLayout.assignment = {
+    method: 'optimal',
+    greedyCroppingRate,
+    optimalCroppingRate,
+    improvement: Math.max(0, greedyCroppingRate - optimalCroppingRate)
+  };
+  
   // 按位置排序单元格以确保一致的渲染
   optimizedLayout.cells.sort((a, b) => {
     if (a.y !== b.y) return a.y - b.y;
@@ -127,6 +327,178 @@ function createOptimizedLayout(photos, cells, name) {
   return optimizedLayout;
 }
 
+// 保持顺序的优化：每条共享边先在可移动范围内粗搜索再细化，重复若干轮
+const EDGE_SEARCH_STEPS = 16;
+const EDGE_SEARCH_PASSES = 2;
+
+// 在共享边的可移动范围内查找使 evaluate 最小的位置，返回 { cells, cost }
+// 没有更好的位置时返回原来的单元格
+function searchEdgePosition(cells, edge, evaluate, currentCost) {
+  const { min, max } = getEdgeLimits(cells, edge);
+  let best = { cells, cost: currentCost, position: null };
+  if (max - min < 1e-6) return best;
+  
+  const tryPosition = position => {
+    const candidate = moveEdge(cells, edge, position);
+    const cost = evaluate(candidate);
+    if (cost < best.cost - 1e-9) {
+      best = { cells: candidate, cost, position };
+    }
+  };
+  
+  // 粗搜索
+  const step = (max - min) / EDGE_SEARCH_STEPS;
+  for (let i = 0; i <= EDGE_SEARCH_STEPS; i++) {
+    tryPosition(min + step * i);
+  }
+  if (best.position === null) return best;
+  
+  // 在最佳位置附近细化
+  const coarsePosition = best.position;
+  for (let offset = -step; offset <= step + 1e-9; offset += step / 8) {
+    tryPosition(coarsePosition + offset);
+  }
+  return best;
+}
+
+// 创建保持照片顺序的优化布局
+// 照片按阅读顺序固定在单元格中，改为移动单元格之间的共享边，使每个单元格的形状更接近其中照片的宽高比，
+// 同时让主图所在的单元格尽量成为最大的单元格、面积尽量符合照片权重
+function createOrderedOptimizedLayout(photos, pageSize, descriptor, spacing, name) {
+  let cells = getReadingOrder(descriptor.cells).map((cellDesc, index) => ({
+    x: cellDesc.x,
+    y: cellDesc.y,
+    width: cellDesc.width,
+    height: cellDesc.height,
+    photo: photos[index]
+  }));
+  
+  const getCroppingRate = candidate => {
+    const total = candidate.reduce((sum, cell) => 
+      sum + calculateCellCroppingRate(mapCellToContentArea(cell, pageSize, spacing), cell.photo), 0);
+    return total / candidate.length;
+  };
+  const evaluate = candidate => getCroppingRate(candidate) + calculateImportanceCost(candidate);
+  const originalCroppingRate = getCroppingRate(cells);
+  let bestCost = evaluate(cells);
+  
+  for (let pass = 0; pass < EDGE_SEARCH_PASSES; pass++) {
+    for (const edge of findSharedEdges(cells)) {
+      ({ cells, cost: bestCost } = searchEdgePosition(cells, edge, evaluate, bestCost));
+    }
+  }
+  const optimizedCroppingRate = getCroppingRate(cells);
+  
+  const optimizedLayout = {
+    type: 'optimized',
+    name,
+    photos: [...photos],
+    cells: cells.map(cell => ({
+      photo: cell.photo,
+      ...mapCellToContentArea(cell, pageSize, spacing)
+    })),
+    // 记录调整单元格尺寸前后的裁剪率
+    orderedOptimization: {
+      originalCroppingRate,
+      optimizedCroppingRate,
+      improvement: Math.max(0, originalCroppingRate - optimizedCroppingRate)
+    }
+  };
+  
+  // 按位置排序单元格以确保一致的渲染
+  optimizedLayout.cells.sort((a, b) => {
+    if (a.y !== b.y) return a.y - b.y;
+    return a.x - b.x;
+  });
+  
+  return optimizedLayout;
+}
+
+// 分割比例的搜索范围，避免出现过窄的条带
+const SPLIT_RATIO_MIN = 0.2;
+const SPLIT_RATIO_MAX = 0.8;
+// 保持顺序时重新计算条带中照片的最大次数
+const SPLIT_ASSIGNMENT_PASSES = 3;
+
+// 优化分割布局的比例，使按顺序分配到各单元格的照片裁剪最少
+// 同一列（行）内的边界按照片宽高比成比例划分，使该列所有单元格的宽高比偏差一致；
+// 分割线位置则先粗搜索再细化，取两侧平均裁剪率最小的位置
+function optimizeSplitRatios(descriptor, photos, pageSize, spacing, preserveOrder = false) {
+  const { ratios } = descriptor;
+  if (!ratios) return descriptor;
+  
+  const isVertical = descriptor.name.startsWith('vsplit');
+  const firstCount = ratios.first.length;
+  const secondCount = ratios.second.length;
+  if (firstCount + secondCount !== photos.length) return descriptor;
+  
+  // 竖直分割时列内按 高/宽 分配高度，水平分割时行内按 宽/高 分配宽度
+  const getFractions = group => {
+    const weights = group.map(photo => 
+      isVertical ? photo.height / photo.width : photo.width / photo.height
+    );
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => weight / total);
+  };
+  
+  // 各条带实际分配到的照片：保持顺序时照片按阅读顺序放入，竖直分割的两列交错（vsplit-2-1 为 左1、右、左2），
+  // 不能直接按 photos 的前后两段计算
+  const getStripPhotos = candidate => {
+    const readingPhotos = preserveOrder
+      ? new Map(getReadingOrder(candidate.cells).map((cell, index) => [cell, photos[index]]))
+      : null;
+    const cellPhotos = [...candidate.cells]
+      .sort((a, b) => a.photoIndex - b.photoIndex)
+      .map(cell => readingPhotos ? readingPhotos.get(cell) : photos[cell.photoIndex]);
+    return [cellPhotos.slice(0, firstCount), cellPhotos.slice(firstCount)];
+  };
+  
+  const build = (splitRatio, [firstFractions, secondFractions]) => isVertical
+    ? createVerticalSplitDescriptor(firstCount, secondCount, splitRatio, firstFractions, secondFractions)
+    : createHorizontalSplitDescriptor(firstCount, secondCount, splitRatio, firstFractions, secondFractions);
+  
+  // 条带内的比例改变单元格的位置，阅读顺序可能随之改变，重新分配直到条带中的照片不再变化
+  const isSameFractions = (a, b) => a.every((group, i) => group.every((fraction, j) => fraction === b[i][j]));
+  let fractions = getStripPhotos(descriptor).map(getFractions);
+  for (let pass = 0; pass < SPLIT_ASSIGNMENT_PASSES; pass++) {
+    const nextFractions = getStripPhotos(build(descriptor.ratios.split, fractions)).map(getFractions);
+    if (isSameFractions(nextFractions, fractions)) break;
+    fractions = nextFractions;
+  }
+  
+  const buildDescriptor = splitRatio => build(splitRatio, fractions);
+  
+  const evaluate = candidate => 
+    calculateCroppingRate(createLayoutFromDescriptor(photos, pageSize, candidate, spacing, preserveOrder));
+  
+  // 粗搜索
+  let bestRatio = 0.5;
+  let bestCropping = evaluate(buildDescriptor(bestRatio));
+  for (let ratio = SPLIT_RATIO_MIN; ratio <= SPLIT_RATIO_MAX + 1e-9; ratio += 0.02) {
+    const cropping = evaluate(buildDescriptor(ratio));
+    if (cropping < bestCropping) {
+      bestCropping = cropping;
+      bestRatio = ratio;
+    }
+  }
+  
+  // 在最佳位置附近细化
+  const coarseRatio = bestRatio;
+  for (let ratio = coarseRatio - 0.02; ratio <= coarseRatio + 0.02 + 1e-9; ratio += 0.002) {
+    if (ratio < SPLIT_RATIO_MIN || ratio > SPLIT_RATIO_MAX) continue;
+    const cropping = evaluate(buildDescriptor(ratio));
+    if (cropping < bestCropping) {
+      bestCropping = cropping;
+      bestRatio = ratio;
+    }
+  }
+  
+  // 如果调整后不如原始的等分布局，则保留原始布局
+  if (evaluate(descriptor) <= bestCropping) return descriptor;
+  
+  return buildDescriptor(Math.round(bestRatio * 1000) / 1000);
+}
+
 // 计算布局签名，用于去重
 function getLayoutSignature(layout, pageSize) {
   // 对单元格按位置排序
@@ -151,16 +523,31 @@ function getLayoutSignature(layout, pageSize) {
   return signature;
 }
 
+// 照片摆放的签名：单元格的像素几何、其中的照片以及平移和缩放，与布局名称和单元格顺序无关
+// 照片分配已经最优时，基本布局和优化版本的签名相同，搜索和 optimize() 的结果据此去掉重复
+export function getPlacementSignature(layout) {
+  const round = value => Math.round(value * 100) / 100;
+  return layout.cells
+    .map(cell => {
+      const crop = cell.focalPoint || cell.zoom
+        ? `@${cell.focalPoint ? `${cell.focalPoint.x},${cell.focalPoint.y}` : ''}x${cell.zoom || 1}`
+        : '';
+      return `${[cell.x, cell.y, cell.width, cell.height].map(round).join(',')}:${cell.photo ? cell.photo.id : ''}${crop}`;
+    })
+    .sort()
+    .join('|');
+}
+
 // 删除重复布局
-function removeDuplicateLayouts(layouts, pageSize) {
+// 分批生成时传入共享的 signatures（签名到索引的映射）和此前已产出的布局数 offset
+function removeDuplicateLayouts(layouts, pageSize, signatures = new Map(), offset = 0) {
   const uniqueLayouts = [];
-  const signatures = new Map(); // 使用Map而不是Set，存储签名到索引的映射
   
   layouts.forEach((layout, index) => {
     const signature = getLayoutSignature(layout, pageSize);
     
     if (!signatures.has(signature)) {
-      signatures.set(signature, uniqueLayouts.length);
+      signatures.set(signature, offset + uniqueLayouts.length);
       uniqueLayouts.push({
         ...layout,
         duplicateOf: null
@@ -178,29 +565,141 @@ function removeDuplicateLayouts(layouts, pageSize) {
   return uniqueLayouts;
 }
 
-// 对布局进行评分，考虑利用率、裁剪率和大小平衡
-function scoreLayouts(layouts, pageSize) {
+// 内置评分指标，默认权重与原来的固定公式一致：
+// 利用率 0.35、焦点感知裁剪 0.35、尺寸平衡 0.15、打印分辨率 0.15；
+// 整体观感指标（重心、左右和上下对称、行内方向一致）默认权重为 0，只显示数值，需要时在评分权重中调高；
+// 保持顺序时顺序保真度占 0.25，归一化后相当于总分的 20%，打乱顺序可以换来更少的裁剪，但要付出代价
+registerMetric({
+  id: 'utilization',
+  label: 'Utilization',
+  description: 'Share of the page covered by photos',
+  direction: METRIC_DIRECTIONS.HIGHER,
+  defaultWeight: 0.35,
+  compute: (layout, { pageSize }) => calculateUtilization(layout, pageSize)
+});
+registerMetric({
+  id: 'croppingRate',
+  label: 'Cropping',
+  description: 'Average share of each photo cropped away',
+  direction: METRIC_DIRECTIONS.LOWER,
+  compute: layout => calculateCroppingRate(layout),
+  warn: value => value > 0.3,
+  warningClass: 'high-cropping'
+});
+registerMetric({
+  id: 'salientContentLost',
+  label: 'Salient lost',
+  description: "Share of each photo's estimated salient content that falls outside its cell",
+  direction: METRIC_DIRECTIONS.LOWER,
+  compute: layout => calculateAverageSalientLoss(layout),
+  warn: value => value > 0.2,
+  warningClass: 'high-cropping'
+});
+registerMetric({
+  id: 'focalCroppingRate',
+  label: 'Focal crop',
+  description: 'Cropping with the focal region of each photo weighted more heavily',
+  direction: METRIC_DIRECTIONS.LOWER,
+  defaultWeight: 0.35,
+  compute: layout => calculateFocalCroppingRate(layout),
+  warn: value => value > 0.3,
+  warningClass: 'high-cropping'
+});
+registerMetric({
+  id: 'sizeBalance',
+  label: 'Balance',
+  description: 'How closely cell areas follow the photo weights',
+  direction: METRIC_DIRECTIONS.HIGHER,
+  defaultWeight: 0.15,
+  compute: layout => calculateWeightedBalance(layout.cells)
+});
+registerMetric({
+  id: 'resolution',
+  label: 'Resolution',
+  description: 'How close each photo comes to the target print DPI',
+  direction: METRIC_DIRECTIONS.HIGHER,
+  defaultWeight: 0.15,
+  compute: (layout, { targetDpi }) => calculateResolution(layout, targetDpi).score,
+  warn: (value, metrics) => metrics.lowResolutionCount > 0,
+  warningClass: 'low-resolution'
+});
+registerMetric({
+  id: 'centreOfMass',
+  label: 'Centre',
+  description: 'How close the visual centre of mass is to the page centre; larger and heavier-weighted photos count more',
+  direction: METRIC_DIRECTIONS.HIGHER,
+  defaultWeight: 0,
+  compute: (layout, { pageSize }) => calculateCentreOfMass(layout.cells, pageSize)
+});
+registerMetric({
+  id: 'leftRightSymmetry',
+  label: 'L/R symmetry',
+  description: 'How closely the cells mirror each other across the vertical centre line',
+  direction: METRIC_DIRECTIONS.HIGHER,
+  defaultWeight: 0,
+  compute: (layout, { pageSize }) => calculateSymmetry(layout.cells, pageSize, 'x')
+});
+registerMetric({
+  id: 'topBottomSymmetry',
+  label: 'T/B symmetry',
+  description: 'How closely the cells mirror each other across the horizontal centre line',
+  direction: METRIC_DIRECTIONS.HIGHER,
+  defaultWeight: 0,
+  compute: (layout, { pageSize }) => calculateSymmetry(layout.cells, pageSize, 'y')
+});
+registerMetric({
+  id: 'rowOrientation',
+  label: 'Row orientation',
+  description: 'Share of cells that match the most common orientation (landscape, portrait or square) of their row',
+  direction: METRIC_DIRECTIONS.HIGHER,
+  defaultWeight: 0,
+  compute: layout => calculateRowOrientationConsistency(layout.cells)
+});
+registerMetric({
+  id: 'sequenceFidelity',
+  label: 'Sequence',
+  description: 'Share of photo pairs shown in the chosen order, reading left to right and top to bottom',
+  direction: METRIC_DIRECTIONS.HIGHER,
+  defaultWeight: 0.25,
+  compute: (layout, { sequence }) => sequence ? calculateSequenceFidelity(layout.cells, sequence) : null,
+  warn: value => value < 1,
+  warningClass: 'out-of-order'
+});
+
+// 对布局进行评分，总分为已注册指标（见 metricRegistry.js）的加权平均
+// options.dpi 为目标打印分辨率；布局编辑器也用它对修改后的布局重新评分
+// options.sequence（或布局自身的 sequence）为需要保持的照片顺序，提供时计算顺序保真度
+// options.weights（或布局自身的 scoreWeights）为各指标的权重，省略时使用默认权重
+export function scoreLayouts(layouts, pageSize, options = {}) {
+  const targetDpi = options.dpi || DEFAULT_DPI;
+  
   const scoredLayouts = layouts.map(layout => {
-    const utilizationScore = calculateUtilization(layout, pageSize);
-    const croppingScore = calculateCroppingRate(layout);
-    const balanceScore = calculateSizeBalance(layout);
+    // 为每个单元格记录有效打印分辨率和裁掉的显著内容
+    const cells = layout.cells.map(cell => ({
+      ...cell,
+      effectiveDpi: cell.photo ? calculateEffectiveDpi(cell, cell.photo, targetDpi) : null,
+      salientLoss: cell.photo ? calculateSalientContentLost(cell, cell.photo) : null
+    }));
+    const layoutWithDpi = { ...layout, cells };
     
-    // 权重可以根据需要调整
-    // 注意：croppingScore现在是越高越差，所以我们用(1-croppingScore)
-    const totalScore = 
-      utilizationScore * 0.4 + 
-      (1 - croppingScore) * 0.4 + 
-      balanceScore * 0.2;
+    const sequence = options.sequence || layout.sequence;
+    const weights = options.weights || layout.scoreWeights;
+    const resolution = calculateResolution(layoutWithDpi, targetDpi);
+    const metrics = {
+      ...computeMetrics(layoutWithDpi, { pageSize, targetDpi, sequence }),
+      heroesInLargestCells: areHeroesInLargestCells(cells),
+      minEffectiveDpi: resolution.minEffectiveDpi,
+      lowResolutionCount: resolution.lowResolutionCount
+    };
     
-    return {
-      ...layout,
-      score: totalScore,
-      metrics: {
-        utilization: utilizationScore,
-        croppingRate: croppingScore,
-        sizeBalance: balanceScore
-      }
+    const scoredLayout = {
+      ...layoutWithDpi,
+      score: calculateWeightedScore(metrics, weights),
+      targetDpi,
+      metrics
     };
+    if (weights) scoredLayout.scoreWeights = weights;
+    return scoredLayout;
   });
   
   // 按分数降序排序
@@ -230,33 +729,7 @@ function calculateCroppingRate(layout) {
     
     validCells++;
     
-    // 计算单元格和照片的宽高比
-    const cellAspectRatio = cell.width / cell.height;
-    const photoAspectRatio = photo.width / photo.height;
-    
-    // 确定哪个宽高比更大，计算真实的裁剪比例
-    let croppingRate;
-    
-    if (cellAspectRatio > photoAspectRatio) {
-      // 单元格更宽 - 照片会被上下裁剪
-      // 计算照片将被裁剪的高度百分比
-      const scaledPhotoWidth = cell.width;
-      const scaledPhotoHeight = scaledPhotoWidth / photoAspectRatio;
-      const heightDifference = scaledPhotoHeight - cell.height;
-      
-      croppingRate = heightDifference / scaledPhotoHeight;
-    } else {
-      // 单元格更高 - 照片会被左右裁剪
-      // 计算照片将被裁剪的宽度百分比
-      const scaledPhotoHeight = cell.height;
-      const scaledPhotoWidth = scaledPhotoHeight * photoAspectRatio;
-      const widthDifference = scaledPhotoWidth - cell.width;
-      
-      croppingRate = widthDifference / scaledPhotoWidth;
-    }
-    
-    // 确保裁剪率在0-1范围内，并累加
-    croppingRate = Math.max(0, Math.min(croppingRate, 1));
+    const croppingRate = calculateCellCroppingRate(cell, photo);
     totalCroppingRate += croppingRate;
   });
   
@@ -266,20 +739,201 @@ function calculateCroppingRate(layout) {
   return totalCroppingRate / validCells;
 }
 
-// 计算照片尺寸平衡度
-function calculateSizeBalance(layout) {
-  // 计算所有单元格的面积
-  const areas = layout.cells.map(cell => cell.width * cell.height);
-  const totalArea = areas.reduce((sum, area) => sum + area, 0);
-  const avgArea = totalArea / areas.length;
+// 计算各单元格裁掉的显著内容的平均值；没有照片带显著性数据时为 null
+function calculateAverageSalientLoss(layout) {
+  const losses = layout.cells
+    .map(cell => cell.salientLoss)
+    .filter(loss => loss !== null && loss !== undefined);
   
-  // 计算标准差
-  const variance = areas.reduce((sum, area) => sum + Math.pow(area - avgArea, 2), 0) / areas.length;
-  const stdDev = Math.sqrt(variance);
+  if (losses.length === 0) return null;
+  return losses.reduce((sum, loss) => sum + loss, 0) / losses.length;
+}
+
+// 焦点区域中被裁掉的面积按此倍数计入裁剪率
+const FOCAL_CROP_WEIGHT = 3;
+
+// 计算焦点感知的裁剪率（越低越好）
+function calculateFocalCroppingRate(layout) {
+  const rates = layout.cells
+    .filter(cell => cell.photo)
+    .map(cell => calculateCellFocalCroppingRate(cell, cell.photo));
+  
+  if (rates.length === 0) return 0;
+  return rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+}
+
+// 计算单个单元格焦点感知的裁剪率
+// 与 calculateCellCroppingRate 一样按被裁掉的照片面积计算，但考虑焦点、平移和缩放，
+// 并且焦点区域（见 cellCrop.js 的 getFocalRegion）中被裁掉的面积按 FOCAL_CROP_WEIGHT 倍计入
+export function calculateCellFocalCroppingRate(cell, photo) {
+  if (isEmptyCell(cell)) return 1;
+  const visible = getCoverSourceRect(cell, photo, getCellCrop({ ...cell, photo }));
+  // 焦点区域始终围绕照片自身的焦点，单元格的平移可能把它移出可见区域
+  const region = getFocalRegion(photo, getPhotoFocalPoint(photo));
+  
+  const photoArea = photo.width * photo.height;
+  const regionArea = region.width * region.height;
+  const visibleRegionArea = getIntersectionArea(visible, region);
   
-  // 计算变异系数（标准差/平均值）
-  const cv = stdDev / avgArea;
+  const lostInside = regionArea - visibleRegionArea;
+  const lostOutside = (photoArea - regionArea) - (visible.width * visible.height - visibleRegionArea);
+  const weightedArea = (photoArea - regionArea) + regionArea * FOCAL_CROP_WEIGHT;
   
-  // 转换为0-1分数，0表示极不平衡，1表示完全平衡
-  return 1 - Math.min(cv, 1);
-} 
\ No newline at end of file
+  return Math.max(0, Math.min(1, (lostOutside + lostInside * FOCAL_CROP_WEIGHT) / weightedArea));
+}
+
+// 间距较大时，搜索分割比例和共享边位置过程中的单元格可能没有面积，照片完全不可见，裁剪率按 1 计算
+// （否则 0/0 得到 NaN）
+function isEmptyCell(cell) {
+  return !(cell.width > 0 && cell.height > 0);
+}
+
+// 计算单张照片放入单元格时的裁剪率（0表示没有裁剪，1表示全部裁剪）
+export function calculateCellCroppingRate(cell, photo) {
+  if (isEmptyCell(cell)) return 1;
+  
+  // 计算单元格和照片的宽高比
+  const cellAspectRatio = cell.width / cell.height;
+  const photoAspectRatio = photo.width / photo.height;
+  
+  // 确定哪个宽高比更大，计算真实的裁剪比例
+  let croppingRate;
+  
+  if (cellAspectRatio > photoAspectRatio) {
+    // 单元格更宽 - 照片会被上下裁剪
+    // 计算照片将被裁剪的高度百分比
+    const scaledPhotoWidth = cell.width;
+    const scaledPhotoHeight = scaledPhotoWidth / photoAspectRatio;
+    const heightDifference = scaledPhotoHeight - cell.height;
+    
+    croppingRate = heightDifference / scaledPhotoHeight;
+  } else {
+    // 单元格更高 - 照片会被左右裁剪
+    // 计算照片将被裁剪的宽度百分比
+    const scaledPhotoHeight = cell.height;
+    const scaledPhotoWidth = scaledPhotoHeight * photoAspectRatio;
+    const widthDifference = scaledPhotoWidth - cell.width;
+    
+    croppingRate = widthDifference / scaledPhotoWidth;
+  }
+  
+  return Math.max(0, Math.min(croppingRate, 1));
+}
+
+// 计算照片在单元格中的有效打印分辨率
+// 照片按 cover 方式缩放填满单元格，页面上每像素对应 1/dpi 英寸，
+// 所以有效 DPI = 页面 DPI × min(照片宽 / 单元格宽, 照片高 / 单元格高)
+export function calculateEffectiveDpi(cell, photo, dpi) {
+  if (!cell.width || !cell.height) return Infinity;
+  return dpi * Math.min(photo.width / cell.width, photo.height / cell.height);
+}
+
+// 视觉重量随面积超线性增长：一张大照片比面积相同的几张小照片更抢眼
+const VISUAL_MASS_EXPONENT = 1.5;
+
+// 重心得分：以单元格面积（按 VISUAL_MASS_EXPONENT 放大）乘以照片权重为视觉重量，
+// 计算所有单元格的重心与页面中心的距离（按页面半宽、半高归一化），1 表示重心正好在页面中心
+function calculateCentreOfMass(cells, pageSize) {
+  let totalMass = 0;
+  let sumX = 0;
+  let sumY = 0;
+  cells.forEach(cell => {
+    const mass = Math.pow(cell.width * cell.height, VISUAL_MASS_EXPONENT) * getPhotoWeight(cell.photo);
+    totalMass += mass;
+    sumX += mass * (cell.x + cell.width / 2);
+    sumY += mass * (cell.y + cell.height / 2);
+  });
+  if (totalMass <= 0) return 1;
+  
+  const offsetX = (sumX / totalMass - pageSize.width / 2) / (pageSize.width / 2);
+  const offsetY = (sumY / totalMass - pageSize.height / 2) / (pageSize.height / 2);
+  return 1 - Math.min(1, Math.hypot(offsetX, offsetY));
+}
+
+// 两个矩形的交并比
+function getOverlapRatio(a, b) {
+  const intersection = getIntersectionArea(a, b);
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+// 对称度：把每个单元格沿页面中线镜像（axis 为 'x' 时左右镜像，'y' 时上下镜像），
+// 取与之重合最多的单元格的交并比，按面积加权平均；1 表示布局完全对称
+function calculateSymmetry(cells, pageSize, axis) {
+  const size = axis === 'x' ? pageSize.width : pageSize.height;
+  const length = axis === 'x' ? 'width' : 'height';
+  let totalArea = 0;
+  let total = 0;
+  cells.forEach(cell => {
+    const mirrored = { ...cell, [axis]: size - cell[axis] - cell[length] };
+    const area = cell.width * cell.height;
+    totalArea += area;
+    total += area * Math.max(...cells.map(other => getOverlapRatio(mirrored, other)));
+  });
+  return totalArea > 0 ? total / totalArea : 1;
+}
+
+// 宽高比相差在此范围内的单元格视为正方形
+const SQUARE_TOLERANCE = 0.1;
+
+function getCellOrientation(cell) {
+  const aspectRatio = cell.width / cell.height;
+  if (Math.abs(aspectRatio - 1) <= SQUARE_TOLERANCE) return 'square';
+  return aspectRatio > 1 ? 'landscape' : 'portrait';
+}
+
+// 把单元格分成行：按垂直中心排序，中心落在当前行第一个单元格高度范围内的单元格属于同一行
+function groupCellsIntoRows(cells) {
+  const sorted = [...cells].sort((a, b) => (a.y + a.height / 2) - (b.y + b.height / 2));
+  const rows = [];
+  sorted.forEach(cell => {
+    const centre = cell.y + cell.height / 2;
+    const row = rows[rows.length - 1];
+    if (row && centre >= row[0].y && centre <= row[0].y + row[0].height) {
+      row.push(cell);
+    } else {
+      rows.push([cell]);
+    }
+  });
+  return rows;
+}
+
+// 行内方向一致性：每行中与该行最常见方向（横向、纵向或正方形）相同的单元格占比，按单元格数加权
+// 只有一个单元格的行总是一致的
+function calculateRowOrientationConsistency(cells) {
+  if (cells.length === 0) return 1;
+  
+  const matching = groupCellsIntoRows(cells).reduce((sum, row) => {
+    const counts = {};
+    row.forEach(cell => {
+      const orientation = getCellOrientation(cell);
+      counts[orientation] = (counts[orientation] || 0) + 1;
+    });
+    return sum + Math.max(...Object.values(counts));
+  }, 0);
+  return matching / cells.length;
+}
+
+// 计算打印分辨率得分：每张照片的有效 DPI 达到目标时得满分，低于目标时按比例扣分
+function calculateResolution(layout, targetDpi) {
+  let total = 0;
+  let count = 0;
+  let lowResolutionCount = 0;
+  let minEffectiveDpi = Infinity;
+  
+  layout.cells.forEach(cell => {
+    if (cell.effectiveDpi === null || cell.effectiveDpi === undefined) return;
+    
+    count++;
+    total += Math.min(1, cell.effectiveDpi / targetDpi);
+    minEffectiveDpi = Math.min(minEffectiveDpi, cell.effectiveDpi);
+    if (cell.effectiveDpi < targetDpi) {
+      lowResolutionCount++;
+    }
+  });
+  
+  return {
+    score: count === 0 ? 1 : total / count,
+    minEffectiveDpi: count === 0 ? null : minEffectiveDpi,
+    lowResolutionCount
+  };
+}
\ No newline at end of file
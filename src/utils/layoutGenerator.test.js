@@ -0,0 +1,112 @@
+import { scoreLayouts, generateLayouts, generateLayoutBatches } from './layoutGenerator';
+
+const pageSize = { width: 1000, height: 1000 };
+const photo = (id, extra = {}) => ({ id, width: 1000, height: 1000, aspectRatio: 1, ...extra });
+
+const createLayout = (name, cells) => ({
+  name,
+  type: 'custom',
+  cells: cells.map((cell, i) => ({ ...cell, photo: cell.photo || photo(`${i}`) }))
+});
+
+// 左侧一整列，右侧上下两格
+const leftHeavy = createLayout('left-heavy', [
+  { x: 0, y: 0, width: 500, height: 1000 },
+  { x: 500, y: 0, width: 500, height: 500 },
+  { x: 500, y: 500, width: 500, height: 500 }
+]);
+const grid = createLayout('grid', [
+  { x: 0, y: 0, width: 500, height: 500 },
+  { x: 500, y: 0, width: 500, height: 500 },
+  { x: 0, y: 500, width: 500, height: 500 },
+  { x: 500, y: 500, width: 500, height: 500 }
+]);
+
+const getMetrics = layout => scoreLayouts([layout], pageSize)[0].metrics;
+
+describe('visual balance metrics', () => {
+  test('a large photo on one side pulls the centre of mass away from the page centre', () => {
+    expect(getMetrics(grid).centreOfMass).toBeCloseTo(1);
+    expect(getMetrics(leftHeavy).centreOfMass).toBeLessThan(0.95);
+    
+    // 右侧照片权重更高时重心回到中间附近
+    const weightedRight = createLayout('weighted', leftHeavy.cells.map((cell, i) => ({
+      ...cell,
+      photo: photo(`${i}`, { weight: i === 0 ? 2 : 3 })
+    })));
+    expect(getMetrics(weightedRight).centreOfMass).toBeGreaterThan(getMetrics(leftHeavy).centreOfMass);
+  });
+  
+  test('measures left/right and top/bottom symmetry separately', () => {
+    expect(getMetrics(grid)).toMatchObject({ leftRightSymmetry: 1, topBottomSymmetry: 1 });
+    const metrics = getMetrics(leftHeavy);
+    expect(metrics.topBottomSymmetry).toBeCloseTo(1);
+    expect(metrics.leftRightSymmetry).toBeLessThan(0.6);
+  });
+  
+  test('rewards rows whose cells share an orientation', () => {
+    const mixedRow = createLayout('mixed', [
+      { x: 0, y: 0, width: 600, height: 300 },
+      { x: 600, y: 0, width: 200, height: 300 },
+      { x: 800, y: 0, width: 200, height: 300 },
+      { x: 0, y: 300, width: 1000, height: 700 }
+    ]);
+    expect(getMetrics(grid).rowOrientation).toBe(1);
+    expect(getMetrics(mixedRow).rowOrientation).toBeCloseTo(0.75);
+  });
+  
+  test('mirror images score the same', () => {
+    const mirrored = createLayout('mirrored', leftHeavy.cells.map(cell => ({ ...cell, x: 1000 - cell.x - cell.width })));
+    expect(scoreLayouts([mirrored], pageSize)[0].score).toBeCloseTo(scoreLayouts([leftHeavy], pageSize)[0].score);
+  });
+});
+
+describe('generateLayoutBatches', () => {
+  const photos = [
+    { id: 'a', width: 1200, height: 800, aspectRatio: 1.5 },
+    { id: 'b', width: 800, height: 1200, aspectRatio: 2 / 3 },
+    { id: 'c', width: 1000, height: 1000, aspectRatio: 1 },
+    { id: 'd', width: 900, height: 1200, aspectRatio: 0.75 }
+  ];
+  
+  test('yields scored batches that add up to generateLayouts', () => {
+    const batches = [...generateLayoutBatches(photos, pageSize)];
+    const last = batches[batches.length - 1];
+    expect(batches.length).toBeGreaterThan(1);
+    expect(last.completed).toBe(last.total);
+    expect(batches.every((batch, i) => i === 0 || batch.completed > batches[i - 1].completed)).toBe(true);
+    
+    const streamed = batches.flatMap(batch => batch.layouts).sort((a, b) => b.score - a.score);
+    expect(streamed.map(layout => [layout.name, layout.score])).toEqual(
+      generateLayouts(photos, pageSize).map(layout => [layout.name, layout.score])
+    );
+  });
+});
+
+describe('generateLayouts', () => {
+  test('keeps every cell visible when the gutter is larger than the page', () => {
+    const photos = [photo('a'), photo('b', { width: 1200, aspectRatio: 1.2 }), photo('c', { height: 1500, aspectRatio: 2 / 3 })];
+    const layouts = generateLayouts(photos, pageSize, { spacing: { margin: 0, gutter: 300, unit: '%' } });
+    expect(layouts.some(layout => layout.name === 'grid-1x3')).toBe(true);
+    layouts.forEach(layout => {
+      expect(layout.cells.every(cell => cell.width > 0 && cell.height > 0)).toBe(true);
+      expect(Number.isFinite(layout.score)).toBe(true);
+    });
+  });
+  
+  test('sizes split strips from the photos placed in them when keeping the order', () => {
+    // 按阅读顺序 vsplit-2-1 放入 左上、右、左下：两张横向照片在左列，竖向照片在右列
+    const photos = [
+      photo('l1', { width: 1500, aspectRatio: 1.5 }),
+      photo('p', { width: 643, aspectRatio: 0.643 }),
+      photo('l2', { width: 2000, aspectRatio: 2 })
+    ];
+    const layout = generateLayouts(photos, { width: 1500, height: 1000 }, { photoOrder: 'upload' })
+      .find(item => item.name === 'vsplit-2-1');
+    const cellOf = id => layout.cells.find(cell => cell.photo.id === id);
+    
+    expect(cellOf('l1').x).toBe(cellOf('l2').x);
+    expect(cellOf('l1').height / cellOf('l2').height).toBeCloseTo(2 / 1.5);
+    expect(layout.metrics.croppingRate).toBeLessThan(0.01);
+  });
+});
@@ -0,0 +1,275 @@
+// 大量照片时的布局搜索：只保留分数最高的 K 个布局
+// generateLayouts 枚举固定数量的断头台结构并全部评分，照片多时结构数量呈指数增长；
+// 这里按深度优先逐条带构造断头台切分树，每确定一个单元格就计算该部分结构能达到的分数上限，
+// 上限不超过当前第 K 名的分数时整个分支被剪掉
+//
+// 分数上限：单元格一旦确定，任何照片放进去的裁剪率都不会低于所有照片中最小的那个，
+// 据此得到裁剪率和焦点感知裁剪率的下限；其他指标按最好的情况（1 或 0）计算。
+// 保持顺序且 strictOrder 为 true 时优化版本会调整单元格尺寸，裁剪下限不再成立，只能依靠搜索预算
+import {
+  createDescriptorEvaluator,
+  generateLayoutBatches,
+  calculateCellCroppingRate,
+  calculateCellFocalCroppingRate,
+  getPlacementSignature
+} from './layoutGenerator';
+import { createGuillotineDescriptor, getDescriptorSignature, LAYOUT_TYPES } from './layoutDescriptors';
+import { getRegisteredMetrics, getDefaultWeights } from './metricRegistry';
+import { resolveSpacing, mapCellToContentArea } from './spacing';
+import { DEFAULT_PHOTO_ORDER, isOrderPreserving } from './photoOrder';
+
+export const DEFAULT_TOP_K = 20;
+export const DEFAULT_SEARCH_DEPTH = 3;
+
+// 搜索预算：访问的部分结构数和完整评分的结构数，达到任一上限时停止并返回已找到的最好结果
+export const DEFAULT_MAX_NODES = 200000;
+export const DEFAULT_MAX_EVALUATIONS = 1000;
+
+// 照片数达到此值时应用改用搜索（见 getLayoutBatches）
+export const SEARCH_PHOTO_THRESHOLD = 12;
+
+// 浮点误差容差，分数上限与第 K 名相等时也剪掉
+const EPSILON = 1e-9;
+
+// 按分数保留最好的 K 个布局
+function createTopK(k) {
+  const items = [];
+  return {
+    items,
+    add(layout) {
+      if (items.length >= k && layout.score <= items[items.length - 1].score) return;
+      const index = items.findIndex(item => item.score < layout.score);
+      items.splice(index === -1 ? items.length : index, 0, layout);
+      if (items.length > k) items.pop();
+    },
+    // 新结构必须超过此分数才能进入前 K 名
+    threshold() {
+      return items.length >= k ? items[items.length - 1].score : -Infinity;
+    }
+  };
+}
+
+// 分数上限的计算：总分是加权平均，裁剪类指标取下限，其他指标取最好的值
+// 返回 (croppingLowerBound, focalCroppingLowerBound) => 分数上限
+function createScoreBound(photos, options) {
+  const weights = options.weights || getDefaultWeights();
+  const preserveOrder = isOrderPreserving(options.photoOrder || DEFAULT_PHOTO_ORDER);
+  const hasSaliency = photos.some(photo => photo.saliency);
+  
+  // 一定为 null 的指标不计入总权重；其余指标即使为 null，多算权重只会让上限更宽松
+  const metrics = getRegisteredMetrics().filter(metric => {
+    if ((weights[metric.id] || 0) <= 0) return false;
+    if (metric.id === 'sequenceFidelity') return preserveOrder;
+    if (metric.id === 'salientContentLost') return hasSaliency;
+    return true;
+  });
+  const totalWeight = metrics.reduce((sum, metric) => sum + weights[metric.id], 0);
+  const croppingWeight = metrics.some(metric => metric.id === 'croppingRate') ? weights.croppingRate : 0;
+  const focalWeight = metrics.some(metric => metric.id === 'focalCroppingRate') ? weights.focalCroppingRate : 0;
+  
+  return (cropping, focalCropping) => {
+    if (totalWeight <= 0) return 1;
+    return 1 - (croppingWeight * cropping + focalWeight * focalCropping) / totalWeight;
+  };
+}
+
+// 单元格的裁剪率下限：任何照片放进去都不会比其中最小的裁剪率更低
+// 结构中相同尺寸的单元格很多，按尺寸缓存
+function createCellCroppingBound(photos) {
+  const cache = new Map();
+  return cell => {
+    const key = `${Math.round(cell.width * 100)}x${Math.round(cell.height * 100)}`;
+    if (!cache.has(key)) {
+      cache.set(key, {
+        cropping: Math.min(...photos.map(photo => calculateCellCroppingRate(cell, photo))),
+        focalCropping: Math.min(...photos.map(photo => calculateCellFocalCroppingRate(cell, photo)))
+      });
+    }
+    return cache.get(key);
+  };
+}
+
+// 条带中照片的目标宽高比：所有照片宽高比的几何平均
+function getTargetAspectRatio(photos) {
+  const logSum = photos.reduce((sum, photo) => sum + Math.log(photo.width / photo.height), 0);
+  return Math.exp(logSum / photos.length);
+}
+
+// 搜索分数最高的 K 个布局，参数与 generateLayouts 相同，另外支持：
+// options.topK 保留的布局数，options.searchDepth 断头台切分的最大深度，
+// options.maxNodes / options.maxEvaluations 搜索预算，options.prune 为 false 时不剪枝（用于与穷举比较）
+// 返回 { layouts, stats }，stats 记录访问的结构数、剪掉的分支数、评分的结构数以及搜索是否完整
+export function searchLayouts(photos, pageSize, options = {}) {
+  const stats = { nodes: 0, pruned: 0, evaluated: 0, complete: true };
+  if (!photos || photos.length === 0) return { layouts: [], stats };
+  
+  const topK = createTopK(options.topK || DEFAULT_TOP_K);
+  const maxDepth = options.searchDepth || DEFAULT_SEARCH_DEPTH;
+  const maxNodes = options.maxNodes || DEFAULT_MAX_NODES;
+  const maxEvaluations = options.maxEvaluations || DEFAULT_MAX_EVALUATIONS;
+  const prune = options.prune !== false;
+  const strictOrder = isOrderPreserving(options.photoOrder || DEFAULT_PHOTO_ORDER) && options.strictOrder;
+  
+  const evaluate = createDescriptorEvaluator(photos, pageSize, options);
+  const spacing = resolveSpacing(options.spacing, pageSize, photos.length);
+  const getScoreBound = createScoreBound(photos, options);
+  const getCellBound = createCellCroppingBound(photos);
+  const targetAspectRatio = getTargetAspectRatio(photos);
+  const photoCount = photos.length;
+  const signatures = new Set();
+  const placements = new Set();
+  
+  // 照片摆放与已评分的布局相同的布局（例如与基本布局相同的优化版本）不重复加入
+  const addLayout = (layout) => {
+    const placement = getPlacementSignature(layout);
+    if (placements.has(placement)) return;
+    placements.add(placement);
+    topK.add(layout);
+  };
+  
+  // 当前部分结构已确定单元格的裁剪率下限之和
+  let croppingSum = 0;
+  let focalCroppingSum = 0;
+  
+  const canBeatTopK = () => {
+    if (!prune || strictOrder) return true;
+    const bound = getScoreBound(croppingSum / photoCount, focalCroppingSum / photoCount);
+    return bound > topK.threshold() + EPSILON;
+  };
+  
+  // 评分完整的切分树；返回 false 表示预算用完
+  const evaluateTree = (tree) => {
+    const descriptor = createGuillotineDescriptor(tree);
+    const signature = getDescriptorSignature(descriptor);
+    // 不同的切分树可能得到相同的几何结构
+    if (signatures.has(signature)) return true;
+    if (stats.evaluated >= maxEvaluations) {
+      stats.complete = false;
+      return false;
+    }
+    signatures.add(signature);
+    
+    stats.evaluated++;
+    evaluate(descriptor).forEach(addLayout);
+    return true;
+  };
+  
+  // 加入一个单元格（相对坐标），继续搜索 next；返回 false 表示预算用完
+  const withLeaf = (rect, next) => {
+    const bound = getCellBound(mapCellToContentArea(rect, pageSize, spacing));
+    croppingSum += bound.cropping;
+    focalCroppingSum += bound.focalCropping;
+    
+    let result = true;
+    if (canBeatTopK()) {
+      result = next();
+    } else {
+      stats.pruned++;
+    }
+    
+    croppingSum -= bound.cropping;
+    focalCroppingSum -= bound.focalCropping;
+    return result;
+  };
+  
+  // 把区域平均分成 count 个单元格（只剩一层切分时）
+  const withEqualLeaves = (region, index, next) => {
+    if (index === region.count) return next();
+    const share = 1 / region.count;
+    const rect = region.direction === 'h'
+      ? { x: region.x, y: region.y + index * share * region.height, width: region.width, height: share * region.height }
+      : { x: region.x + index * share * region.width, y: region.y, width: share * region.width, height: region.height };
+    return withLeaf(rect, () => withEqualLeaves(region, index + 1, next));
+  };
+  
+  // 搜索区域 region 的所有切分方式，node 为区域在切分树中的节点，每种方式完成后调用 next
+  const searchRegion = (region, node, next) => {
+    if (region.count === 1) return withLeaf(region, next);
+    
+    node.direction = region.direction;
+    node.children = [];
+    if (region.depth === 1) {
+      node.children = Array.from({ length: region.count }, () => ({ count: 1 }));
+      return withEqualLeaves(region, 0, next);
+    }
+    return searchStrips(region, node, 0, next);
+  };
+  
+  // 逐条带确定区域的切分：placed 为已放入条带的照片数
+  const searchStrips = (region, node, placed, next) => {
+    if (placed === region.count) return next();
+    if (stats.nodes >= maxNodes) {
+      stats.complete = false;
+      return false;
+    }
+    stats.nodes++;
+    
+    const remaining = region.count - placed;
+    // 至少切成两条
+    const maxStrip = placed === 0 ? remaining - 1 : remaining;
+    for (const count of getStripCountOrder(region, maxStrip)) {
+      const share = count / region.count;
+      const offset = placed / region.count;
+      const strip = region.direction === 'h'
+        ? { x: region.x, y: region.y + offset * region.height, width: region.width, height: share * region.height }
+        : { x: region.x + offset * region.width, y: region.y, width: share * region.width, height: region.height };
+      const child = { count };
+      
+      node.children.push(child);
+      const result = searchRegion(
+        { ...strip, count, direction: region.direction === 'h' ? 'v' : 'h', depth: region.depth - 1 },
+        child,
+        () => searchStrips(region, node, placed + count, next)
+      );
+      node.children.pop();
+      if (result === false) return false;
+    }
+    return true;
+  };
+  
+  // 条带的照片数按启发式排序，先尝试单元格宽高比接近照片的条带，尽早找到好的结构以便剪枝
+  const getStripCountOrder = (region, maxStrip) => {
+    const counts = Array.from({ length: maxStrip }, (_, i) => i + 1);
+    const pageAspectRatio = pageSize.width / pageSize.height;
+    const getMismatch = count => {
+      // 条带平均分成 count 个单元格时的宽高比
+      const aspectRatio = region.direction === 'h'
+        ? (region.width / count) / (region.height * count / region.count) * pageAspectRatio
+        : (region.width * count / region.count) / (region.height / count) * pageAspectRatio;
+      return Math.abs(Math.log(aspectRatio / targetAspectRatio));
+    };
+    return counts.sort((a, b) => getMismatch(a) - getMismatch(b));
+  };
+  
+  // 导入的自定义布局直接评分
+  (options.customDescriptors || [])
+    .filter(descriptor => descriptor.cells.length === photoCount)
+    .forEach(descriptor => {
+      stats.evaluated++;
+      evaluate({ ...descriptor, type: LAYOUT_TYPES.CUSTOM, name: `custom-${descriptor.name}` })
+        .forEach(addLayout);
+    });
+  
+  // 从上下排列和左右排列的条带分别开始搜索
+  for (const direction of ['h', 'v']) {
+    const tree = { count: photoCount };
+    const root = { x: 0, y: 0, width: 1, height: 1, count: photoCount, direction, depth: maxDepth };
+    const result = searchRegion(root, tree, () => evaluateTree(JSON.parse(JSON.stringify(tree))));
+    if (result === false) break;
+  }
+  
+  return { layouts: topK.items, stats };
+}
+
+// 搜索结果作为一批返回，格式与 generateLayoutBatches 相同
+export function* searchLayoutBatches(photos, pageSize, options = {}) {
+  const { layouts, stats } = searchLayouts(photos, pageSize, options);
+  yield { layouts, completed: 1, total: 1, stats };
+}
+
+// 设置了 options.topK 时只搜索最好的 K 个布局，否则分批生成全部布局
+export function getLayoutBatches(photos, pageSize, options = {}) {
+  return options.topK
+    ? searchLayoutBatches(photos, pageSize, options)
+    : generateLayoutBatches(photos, pageSize, options);
+}
@@ -0,0 +1,68 @@
+import { searchLayouts, getLayoutBatches } from './layoutSearch';
+import { getPlacementSignature } from './layoutGenerator';
+import { getDefaultWeights } from './metricRegistry';
+
+const pageSize = { width: 1000, height: 1400 };
+const createPhotos = count => Array.from({ length: count }, (_, i) => {
+  const width = 800 + (i * 373) % 900;
+  const height = 700 + (i * 577) % 800;
+  return { id: `p${i}`, width, height, aspectRatio: width / height };
+});
+const exhaustive = { prune: false, maxNodes: Infinity, maxEvaluations: Infinity };
+
+describe('searchLayouts', () => {
+  test('finds the same top layouts as exhaustive search while evaluating fewer structures', () => {
+    const photos = createPhotos(6);
+    const pruned = searchLayouts(photos, pageSize, { topK: 10 });
+    const full = searchLayouts(photos, pageSize, { topK: 10, ...exhaustive });
+    
+    expect(pruned.stats.complete).toBe(true);
+    expect(pruned.stats.pruned).toBeGreaterThan(0);
+    expect(pruned.stats.evaluated).toBeLessThan(full.stats.evaluated);
+    expect(pruned.layouts.map(layout => layout.score)).toEqual(full.layouts.map(layout => layout.score));
+  });
+  
+  test('keeps at most K layouts sorted by score', () => {
+    const { layouts } = searchLayouts(createPhotos(5), pageSize, { topK: 4 });
+    expect(layouts).toHaveLength(4);
+    expect(layouts.every((layout, i) => i === 0 || layouts[i - 1].score >= layout.score)).toBe(true);
+    expect(layouts.every(layout => layout.cells.length === 5 && layout.duplicateOf === null)).toBe(true);
+  });
+  
+  test('returns distinct layouts', () => {
+    // 照片相同时优化版本不会改变照片分配，与基本布局完全相同
+    const squares = Array.from({ length: 6 }, (_, i) => ({ id: `s${i}`, width: 1000, height: 1000, aspectRatio: 1 }));
+    const { layouts } = searchLayouts(squares, pageSize, { topK: 10 });
+    expect(layouts).toHaveLength(10);
+    expect(new Set(layouts.map(getPlacementSignature)).size).toBe(10);
+  });
+  
+  test('ranks and prunes with the given weights', () => {
+    const photos = createPhotos(6);
+    const weights = { ...getDefaultWeights(), rowOrientation: 1 };
+    const names = result => result.layouts.map(layout => layout.name);
+    const defaults = searchLayouts(photos, pageSize, { topK: 5 });
+    const weighted = searchLayouts(photos, pageSize, { topK: 5, weights });
+    const full = searchLayouts(photos, pageSize, { topK: 5, weights, ...exhaustive });
+    
+    // 按默认权重会被剪掉的布局出现在结果中
+    expect(names(weighted).some(name => !names(defaults).includes(name))).toBe(true);
+    expect(weighted.layouts.every(layout => layout.scoreWeights === weights)).toBe(true);
+    expect(weighted.layouts.map(layout => layout.score)).toEqual(full.layouts.map(layout => layout.score));
+  });
+  
+  test('stops when the budget runs out', () => {
+    const { layouts, stats } = searchLayouts(createPhotos(14), pageSize, { topK: 5, maxEvaluations: 10 });
+    expect(stats.complete).toBe(false);
+    expect(stats.evaluated).toBe(10);
+    expect(layouts).toHaveLength(5);
+  });
+  
+  test('is used by getLayoutBatches when topK is set', () => {
+    const photos = createPhotos(4);
+    const [batch] = [...getLayoutBatches(photos, pageSize, { topK: 3 })];
+    expect(batch.layouts).toHaveLength(3);
+    expect(batch.stats.complete).toBe(true);
+    expect([...getLayoutBatches(photos, pageSize)].length).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,151 @@
+// 在 Web Worker 中生成布局和相册分页，避免大量照片时界面卡顿
+// 布局按批次评分后立即返回；新的请求会终止仍在进行的请求
+//
+// 发送给 Worker：{ id, task, photos, pageSize, options }，task 为 'layouts' 或 'album'
+// Worker 返回：{ id, type: 'batch', layouts, completed, total }、{ id, type: 'done' }、
+// { id, type: 'album', album }（相册分页的结果）或 { id, type: 'error', message }
+import { getLayoutBatches } from './layoutSearch';
+import { paginateAlbum } from './albumPaginator';
+
+// Worker 不需要图片数据，去掉 src 以减少复制的数据量
+function toWorkerPhoto(photo) {
+  const { src, ...rest } = photo;
+  return rest;
+}
+
+// Worker 返回的布局中照片是复制出来的对象，换回原来的照片对象，
+// 顺序保真度和照片交换等依赖对象相同的功能才能正常工作
+function relinkLayouts(layouts, photosById) {
+  const relink = photo => (photo && photosById.get(photo.id)) || photo;
+  return layouts.map(layout => {
+    const relinked = {
+      ...layout,
+      cells: layout.cells.map(cell => ({ ...cell, photo: relink(cell.photo) }))
+    };
+    if (layout.photos) relinked.photos = layout.photos.map(relink);
+    if (layout.sequence) relinked.sequence = layout.sequence.map(relink);
+    return relinked;
+  });
+}
+
+function relinkAlbum(album, photosById) {
+  return {
+    ...album,
+    pages: album.pages.map(page => ({
+      ...page,
+      photos: page.photos.map(photo => photosById.get(photo.id) || photo),
+      layout: relinkLayouts([page.layout], photosById)[0]
+    }))
+  };
+}
+
+function getPhotosById(photos) {
+  return new Map(photos.filter(photo => photo.id !== undefined).map(photo => [photo.id, photo]));
+}
+
+// createWorker 返回新的 Worker，返回 null（或不提供）时在主线程上同步生成
+// 同一个客户端同时只进行一个请求；布局生成和相册分页需要同时进行时使用两个客户端
+// 返回 { generate, paginate, cancel, dispose }
+export function createLayoutWorkerClient(createWorker) {
+  let worker = null;
+  let busy = false;
+  let runId = 0;
+  
+  // 取消正在进行的请求：Worker 中的生成是同步的，无法中途停止，只能终止 Worker
+  const cancel = () => {
+    runId++;
+    if (worker && busy) {
+      worker.terminate();
+      worker = null;
+    }
+    busy = false;
+  };
+  
+  const dispose = () => {
+    cancel();
+    if (worker) worker.terminate();
+    worker = null;
+  };
+  
+  // 把请求发送给 Worker，handleMessage 处理 id 相同的消息，返回 true 表示请求已经结束
+  const post = (id, request, handleMessage, onError) => {
+    busy = true;
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.id !== id) return;
+      
+      if (message.type === 'error') {
+        busy = false;
+        onError(message.message);
+      } else if (handleMessage(message)) {
+        busy = false;
+      }
+    };
+    // Worker 脚本加载失败或未捕获的错误
+    worker.onerror = (event) => {
+      if (id !== runId) return;
+      busy = false;
+      onError(event.message || 'Layout generation failed');
+    };
+    worker.postMessage({ id, ...request, photos: request.photos.map(toWorkerPhoto) });
+  };
+  
+  // callbacks.onBatch(layouts, { completed, total }) 在每批布局生成后调用，
+  // callbacks.onDone() 在全部完成后调用，callbacks.onError(message) 在出错时调用；被取消的请求不再回调
+  const generate = (photos, pageSize, options, callbacks) => {
+    cancel();
+    const id = runId;
+    const { onBatch = () => {}, onDone = () => {}, onError = () => {} } = callbacks;
+    const photosById = getPhotosById(photos);
+    
+    if (!worker && createWorker) worker = createWorker();
+    if (!worker) {
+      try {
+        for (const batch of getLayoutBatches(photos, pageSize, options)) {
+          onBatch(batch.layouts, { completed: batch.completed, total: batch.total });
+        }
+        onDone();
+      } catch (error) {
+        onError(error.message);
+      }
+      return;
+    }
+    
+    post(id, { task: 'layouts', photos, pageSize, options }, (message) => {
+      if (message.type === 'batch') {
+        onBatch(relinkLayouts(message.layouts, photosById), { completed: message.completed, total: message.total });
+        return false;
+      }
+      onDone();
+      return true;
+    }, onError);
+  };
+  
+  // 相册分页（见 albumPaginator.js），callbacks.onDone(album) 返回分页结果，callbacks.onError(message) 在出错时调用
+  const paginate = (photos, pageSize, options, callbacks) => {
+    cancel();
+    const id = runId;
+    const { onDone = () => {}, onError = () => {} } = callbacks;
+    
+    if (!worker && createWorker) worker = createWorker();
+    if (!worker) {
+      let album;
+      try {
+        album = paginateAlbum(photos, pageSize, options);
+      } catch (error) {
+        onError(error.message);
+        return;
+      }
+      onDone(album);
+      return;
+    }
+    
+    const photosById = getPhotosById(photos);
+    post(id, { task: 'album', photos, pageSize, options }, (message) => {
+      onDone(relinkAlbum(message.album, photosById));
+      return true;
+    }, onError);
+  };
+  
+  return { generate, paginate, cancel, dispose };
+}
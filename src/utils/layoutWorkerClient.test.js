@@ -0,0 +1,127 @@
+import { createLayoutWorkerClient } from './layoutWorkerClient';
+import { generateLayouts, generateLayoutBatches } from './layoutGenerator';
+import { paginateAlbum } from './albumPaginator';
+
+const photos = [
+  { id: 'a', src: 'data:a', width: 1200, height: 800, aspectRatio: 1.5 },
+  { id: 'b', src: 'data:b', width: 800, height: 1200, aspectRatio: 2 / 3 },
+  { id: 'c', src: 'data:c', width: 1000, height: 1000, aspectRatio: 1 }
+];
+const pageSize = { width: 1000, height: 1000 };
+
+// 模拟 Worker：记录收到的消息，由测试决定何时回复
+function createFakeWorker() {
+  const worker = {
+    messages: [],
+    terminated: false,
+    postMessage: message => worker.messages.push(message),
+    terminate: () => { worker.terminated = true; },
+    // 像真正的 Worker 一样复制数据后运行生成器
+    respond: (index = worker.messages.length - 1) => {
+      const { id, task, photos: workerPhotos, pageSize: size, options } = JSON.parse(JSON.stringify(worker.messages[index]));
+      if (task === 'album') {
+        try {
+          worker.onmessage({ data: { id, type: 'album', album: paginateAlbum(workerPhotos, size, options) } });
+        } catch (error) {
+          worker.onmessage({ data: { id, type: 'error', message: error.message } });
+        }
+        return;
+      }
+      for (const batch of generateLayoutBatches(workerPhotos, size, options)) {
+        worker.onmessage({ data: { id, type: 'batch', ...batch } });
+      }
+      worker.onmessage({ data: { id, type: 'done' } });
+    }
+  };
+  return worker;
+}
+
+describe('createLayoutWorkerClient', () => {
+  test('streams batches on the main thread when workers are unavailable', () => {
+    const client = createLayoutWorkerClient(() => null);
+    const received = [];
+    const progress = [];
+    const onDone = jest.fn();
+    client.generate(photos, pageSize, {}, {
+      onBatch: (layouts, batchProgress) => {
+        received.push(...layouts);
+        progress.push(batchProgress);
+      },
+      onDone
+    });
+    
+    expect(onDone).toHaveBeenCalledTimes(1);
+    expect(received).toHaveLength(generateLayouts(photos, pageSize).length);
+    expect(progress[progress.length - 1].completed).toBe(progress[0].total);
+  });
+  
+  test('sends photos without image data and relinks the results', () => {
+    const worker = createFakeWorker();
+    const client = createLayoutWorkerClient(() => worker);
+    const received = [];
+    client.generate(photos, pageSize, { photoOrder: 'upload' }, { onBatch: layouts => received.push(...layouts) });
+    
+    expect(worker.messages[0].photos.every(photo => photo.src === undefined)).toBe(true);
+    worker.respond();
+    expect(received.length).toBeGreaterThan(0);
+    received.forEach(layout => {
+      layout.cells.forEach(cell => expect(photos).toContain(cell.photo));
+      expect(layout.sequence).toEqual(photos);
+      expect(layout.sequence[0]).toBe(photos[0]);
+    });
+  });
+  
+  test('a new request cancels the run in flight', () => {
+    const workers = [];
+    const client = createLayoutWorkerClient(() => {
+      workers.push(createFakeWorker());
+      return workers[workers.length - 1];
+    });
+    const first = jest.fn();
+    const second = jest.fn();
+    client.generate(photos, pageSize, {}, { onBatch: first });
+    client.generate(photos.slice(0, 2), pageSize, {}, { onBatch: second });
+    
+    expect(workers).toHaveLength(2);
+    expect(workers[0].terminated).toBe(true);
+    workers[1].respond();
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalled();
+    
+    // 空闲的 Worker 会被下一个请求复用
+    client.generate(photos, pageSize, {}, { onBatch: second });
+    expect(workers).toHaveLength(2);
+    expect(workers[1].terminated).toBe(false);
+  });
+  
+  test('paginates albums in the worker and relinks the pages', () => {
+    const worker = createFakeWorker();
+    const client = createLayoutWorkerClient(() => worker);
+    const onDone = jest.fn();
+    const options = { minPhotosPerPage: 1, maxPhotosPerPage: 2 };
+    client.paginate(photos, pageSize, options, { onDone });
+    
+    expect(worker.messages[0]).toMatchObject({ task: 'album', options });
+    expect(onDone).not.toHaveBeenCalled();
+    worker.respond();
+    
+    const album = onDone.mock.calls[0][0];
+    expect(album.pageCount).toBe(paginateAlbum(photos, pageSize, options).pageCount);
+    album.pages.forEach(page => {
+      page.photos.forEach(photo => expect(photos).toContain(photo));
+      page.layout.cells.forEach(cell => expect(page.photos).toContain(cell.photo));
+    });
+  });
+  
+  test('reports pagination errors', () => {
+    const onError = jest.fn();
+    createLayoutWorkerClient(() => null).paginate(photos, pageSize, { pageCount: 5 }, { onError });
+    expect(onError).toHaveBeenCalledWith(expect.stringContaining('Cannot place 3 photos on 5 pages'));
+    
+    const worker = createFakeWorker();
+    const client = createLayoutWorkerClient(() => worker);
+    client.paginate(photos, pageSize, { pageCount: 5 }, { onError });
+    worker.respond();
+    expect(onError).toHaveBeenCalledTimes(2);
+  });
+});
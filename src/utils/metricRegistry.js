@@ -0,0 +1,128 @@
+// 评分指标注册表
+// 每个指标包含 id、显示名称 label、计算函数 compute 和方向 direction；总分是各指标按权重的加权平均
+// 内置指标在 layoutGenerator.js 中注册，其他模块也可以用 registerMetric 添加自己的指标
+//
+// {
+//   id: 'utilization',                 // 唯一标识，也是 layout.metrics 中的键
+//   label: 'Utilization',              // ScoreDisplay 和权重滑块中显示的名称
+//   description: '...',                // 可选，鼠标悬停时的说明
+//   direction: 'higher',               // 'higher' 表示越大越好，'lower' 表示越小越好
+//   defaultWeight: 0.35,               // 可选，默认权重，默认为 0（只显示，不计入总分）
+//   compute: (layout, context) => 0.8, // 返回 0-1 的值；不适用时返回 null，该指标不计入总分
+//   warn: (value, metrics) => false,   // 可选，返回 true 时 ScoreDisplay 以警告样式显示
+//   warningClass: 'high-cropping'      // 可选，警告时使用的 CSS 类名，默认为 'metric-warning'
+// }
+//
+// context 为 { pageSize, targetDpi, sequence }，layout.cells 中已包含 effectiveDpi 和 salientLoss
+
+export const METRIC_DIRECTIONS = {
+  HIGHER: 'higher',
+  LOWER: 'lower'
+};
+
+const registry = new Map();
+
+// 注册指标，id 相同时替换已有的指标；定义无效时抛出错误
+export function registerMetric(metric) {
+  if (!metric || typeof metric.id !== 'string' || metric.id === '') {
+    throw new Error('Metric needs a non-empty string "id"');
+  }
+  if (typeof metric.label !== 'string' || metric.label === '') {
+    throw new Error(`Metric "${metric.id}" needs a non-empty "label"`);
+  }
+  if (typeof metric.compute !== 'function') {
+    throw new Error(`Metric "${metric.id}" needs a "compute" function`);
+  }
+  if (!Object.values(METRIC_DIRECTIONS).includes(metric.direction)) {
+    throw new Error(`Metric "${metric.id}" direction must be "higher" or "lower"`);
+  }
+  
+  registry.set(metric.id, { defaultWeight: 0, warningClass: 'metric-warning', ...metric });
+}
+
+export function unregisterMetric(id) {
+  registry.delete(id);
+}
+
+// 按注册顺序返回所有指标
+export function getRegisteredMetrics() {
+  return [...registry.values()];
+}
+
+export function getDefaultWeights() {
+  const weights = {};
+  registry.forEach(metric => {
+    weights[metric.id] = metric.defaultWeight;
+  });
+  return weights;
+}
+
+// 计算所有已注册指标的值，返回 { [id]: value }
+export function computeMetrics(layout, context) {
+  const values = {};
+  registry.forEach(metric => {
+    const value = metric.compute(layout, context);
+    values[metric.id] = Number.isFinite(value) ? value : null;
+  });
+  return values;
+}
+
+// 按权重计算总分（0-1）：越小越好的指标取 1 - 值；值为 null 的指标不参与，其余权重重新归一化
+// weights 中没有的指标权重为 0
+export function calculateWeightedScore(metrics, weights = getDefaultWeights()) {
+  let total = 0;
+  let totalWeight = 0;
+  registry.forEach(metric => {
+    const weight = weights[metric.id] || 0;
+    const value = metrics[metric.id];
+    if (weight <= 0 || value === null || value === undefined) return;
+    
+    total += weight * (metric.direction === METRIC_DIRECTIONS.LOWER ? 1 - value : value);
+    totalWeight += weight;
+  });
+  return totalWeight > 0 ? total / totalWeight : 0;
+}
+
+// 总分的组成：按注册顺序返回每个指标的 { metric, label, direction, value, weight, contribution }
+// contribution 为该指标在总分中所占的部分，所有 contribution 之和等于 calculateWeightedScore 的结果；
+// 值为 null 或权重为 0 的指标 contribution 为 0
+export function getScoreBreakdown(metrics, weights = getDefaultWeights()) {
+  const items = getRegisteredMetrics().map(metric => {
+    const weight = weights[metric.id] || 0;
+    const value = metrics[metric.id] === undefined ? null : metrics[metric.id];
+    const counted = weight > 0 && value !== null;
+    return {
+      metric: metric.id,
+      label: metric.label,
+      direction: metric.direction,
+      value,
+      weight,
+      normalized: counted ? (metric.direction === METRIC_DIRECTIONS.LOWER ? 1 - value : value) : null
+    };
+  });
+  
+  const totalWeight = items.reduce((sum, item) => sum + (item.normalized === null ? 0 : item.weight), 0);
+  return items.map(({ normalized, ...item }) => ({
+    ...item,
+    contribution: normalized === null || totalWeight <= 0 ? 0 : item.weight * normalized / totalWeight
+  }));
+}
+
+// 用新的权重重新计算已评分布局的总分并按分数降序排列，不需要重新生成布局
+// 交换过照片的布局同时重新计算生成时的分数（originalScore），保持在列表中的位置
+export function applyMetricWeights(layouts, weights) {
+  return layouts
+    .map(layout => {
+      if (!layout.metrics) return layout;
+      const weighted = {
+        ...layout,
+        score: calculateWeightedScore(layout.metrics, weights),
+        scoreWeights: weights
+      };
+      if (layout.originalMetrics) {
+        weighted.originalScore = calculateWeightedScore(layout.originalMetrics, weights);
+      }
+      return weighted;
+    })
+    .sort((a, b) => (b.score || 0) - (a.score || 0));
+}
@@ -0,0 +1,96 @@
+import {
+  METRIC_DIRECTIONS,
+  registerMetric,
+  unregisterMetric,
+  getRegisteredMetrics,
+  getDefaultWeights,
+  calculateWeightedScore,
+  getScoreBreakdown,
+  applyMetricWeights
+} from './metricRegistry';
+import { generateLayouts } from './layoutGenerator';
+
+const photos = [
+  { id: 'a', width: 1200, height: 800, aspectRatio: 1.5 },
+  { id: 'b', width: 800, height: 1200, aspectRatio: 2 / 3 },
+  { id: 'c', width: 1000, height: 1000, aspectRatio: 1 }
+];
+const pageSize = { width: 1000, height: 1000 };
+
+describe('registerMetric', () => {
+  afterEach(() => unregisterMetric('test'));
+  
+  test('registers the built-in metrics in display order', () => {
+    const ids = getRegisteredMetrics().map(metric => metric.id);
+    expect(ids.slice(0, 3)).toEqual(['utilization', 'croppingRate', 'salientContentLost']);
+    expect(getDefaultWeights()).toMatchObject({ utilization: 0.35, focalCroppingRate: 0.35, croppingRate: 0 });
+  });
+  
+  test('rejects invalid definitions', () => {
+    expect(() => registerMetric({ label: 'Test', direction: 'higher', compute: () => 1 })).toThrow('id');
+    expect(() => registerMetric({ id: 'test', label: 'Test', direction: 'sideways', compute: () => 1 })).toThrow('direction');
+    expect(() => registerMetric({ id: 'test', label: 'Test', direction: 'higher' })).toThrow('compute');
+    expect(getRegisteredMetrics().some(metric => metric.id === 'test')).toBe(false);
+  });
+  
+  test('adds custom metrics to generated layouts', () => {
+    registerMetric({ id: 'test', label: 'Test', direction: METRIC_DIRECTIONS.HIGHER, compute: layout => layout.cells.length / 10 });
+    const [layout] = generateLayouts(photos, pageSize);
+    expect(layout.metrics.test).toBeCloseTo(0.3);
+    expect(getDefaultWeights().test).toBe(0);
+  });
+});
+
+describe('calculateWeightedScore', () => {
+  test('inverts lower-is-better metrics and skips missing ones', () => {
+    const metrics = { utilization: 0.8, croppingRate: 0.2, sequenceFidelity: null };
+    expect(calculateWeightedScore(metrics, { utilization: 1, croppingRate: 1, sequenceFidelity: 1 })).toBeCloseTo(0.8);
+    expect(calculateWeightedScore(metrics, { croppingRate: 1 })).toBeCloseTo(0.8);
+    expect(calculateWeightedScore(metrics, {})).toBe(0);
+  });
+  
+  test('reproduces the original scoring formula with default weights', () => {
+    generateLayouts(photos, pageSize).forEach(layout => {
+      const { utilization, focalCroppingRate, sizeBalance, resolution } = layout.metrics;
+      const expected = utilization * 0.35 + (1 - focalCroppingRate) * 0.35 + sizeBalance * 0.15 + resolution * 0.15;
+      expect(layout.score).toBeCloseTo(expected, 10);
+    });
+  });
+});
+
+describe('getScoreBreakdown', () => {
+  test('splits the score into per-metric contributions', () => {
+    const metrics = { utilization: 0.8, croppingRate: 0.2, sequenceFidelity: null };
+    const weights = { utilization: 1, croppingRate: 3, sequenceFidelity: 1 };
+    const breakdown = getScoreBreakdown(metrics, weights);
+    const byId = Object.fromEntries(breakdown.map(item => [item.metric, item]));
+    
+    expect(breakdown.map(item => item.metric)).toEqual(getRegisteredMetrics().map(metric => metric.id));
+    expect(byId.utilization).toMatchObject({ value: 0.8, weight: 1, direction: 'higher' });
+    expect(byId.utilization.contribution).toBeCloseTo(0.2);
+    expect(byId.croppingRate.contribution).toBeCloseTo(0.6);
+    expect(byId.sequenceFidelity).toMatchObject({ value: null, contribution: 0 });
+    expect(breakdown.reduce((sum, item) => sum + item.contribution, 0))
+      .toBeCloseTo(calculateWeightedScore(metrics, weights), 10);
+  });
+});
+
+describe('applyMetricWeights', () => {
+  test('re-ranks layouts without regenerating them', () => {
+    const layouts = generateLayouts(photos, pageSize);
+    const weights = { utilization: 1 };
+    const ranked = applyMetricWeights(layouts, weights);
+    
+    expect(ranked).toHaveLength(layouts.length);
+    expect(ranked[0].score).toBeCloseTo(Math.max(...layouts.map(layout => layout.metrics.utilization)));
+    expect(ranked.every((layout, i) => i === 0 || ranked[i - 1].score >= layout.score)).toBe(true);
+    expect(ranked[0].scoreWeights).toBe(weights);
+  });
+  
+  test('matches scores from generating with the same weights', () => {
+    const weights = { ...getDefaultWeights(), resolution: 0.6, sizeBalance: 0 };
+    const reweighted = applyMetricWeights(generateLayouts(photos, pageSize), weights);
+    const generated = generateLayouts(photos, pageSize, { weights });
+    expect(reweighted.map(layout => layout.score)).toEqual(generated.map(layout => layout.score));
+  });
+});
@@ -0,0 +1,149 @@
+// 物理页面尺寸、打印分辨率和方向
+// 布局引擎始终使用像素坐标，页面像素尺寸 = 物理尺寸（英寸）× 目标 DPI
+export const LENGTH_UNITS = {
+  PX: 'px',
+  MM: 'mm',
+  IN: 'in'
+};
+
+export const ORIENTATIONS = {
+  PORTRAIT: 'portrait',
+  LANDSCAPE: 'landscape'
+};
+
+export const MM_PER_INCH = 25.4;
+export const DEFAULT_DPI = 300;
+export const CUSTOM_PRESET = 'custom';
+
+// 常用打印尺寸（按纵向给出）
+export const PAGE_PRESETS = [
+  { id: 'a4', label: 'A4 (210×297 mm)', width: 210, height: 297, unit: LENGTH_UNITS.MM },
+  { id: 'a3', label: 'A3 (297×420 mm)', width: 297, height: 420, unit: LENGTH_UNITS.MM },
+  { id: 'letter', label: 'Letter (8.5×11")', width: 8.5, height: 11, unit: LENGTH_UNITS.IN },
+  { id: 'photo-4x6', label: '4×6"', width: 4, height: 6, unit: LENGTH_UNITS.IN },
+  { id: 'photo-8x10', label: '8×10"', width: 8, height: 10, unit: LENGTH_UNITS.IN },
+  { id: 'square-8', label: 'Square album 8×8"', width: 8, height: 8, unit: LENGTH_UNITS.IN },
+  { id: 'square-12', label: 'Square album 12×12"', width: 12, height: 12, unit: LENGTH_UNITS.IN },
+  { id: 'square-30', label: 'Square album 30×30 cm', width: 300, height: 300, unit: LENGTH_UNITS.MM }
+];
+
+export const DEFAULT_PAGE_CONFIG = {
+  preset: CUSTOM_PRESET,
+  width: 800,
+  height: 1000,
+  unit: LENGTH_UNITS.PX,
+  dpi: DEFAULT_DPI,
+  orientation: ORIENTATIONS.PORTRAIT
+};
+
+export function getPagePreset(presetId) {
+  return PAGE_PRESETS.find(preset => preset.id === presetId) || null;
+}
+
+// 将长度换算为英寸，像素按 dpi 换算
+export function toInches(value, unit, dpi = DEFAULT_DPI) {
+  if (unit === LENGTH_UNITS.MM) return value / MM_PER_INCH;
+  if (unit === LENGTH_UNITS.PX) return value / dpi;
+  return value;
+}
+
+// 将英寸换算为指定单位
+export function fromInches(inches, unit, dpi = DEFAULT_DPI) {
+  if (unit === LENGTH_UNITS.MM) return inches * MM_PER_INCH;
+  if (unit === LENGTH_UNITS.PX) return inches * dpi;
+  return inches;
+}
+
+// 根据方向调整宽高，正方形页面不受影响
+function applyOrientation(width, height, orientation) {
+  const isLandscape = orientation === ORIENTATIONS.LANDSCAPE;
+  if (isLandscape === (width > height) || width === height) {
+    return { width, height };
+  }
+  return { width: height, height: width };
+}
+
+// 页面的物理尺寸（英寸）
+export function getPhysicalPageSize(config) {
+  const { dpi = DEFAULT_DPI, orientation } = config;
+  const preset = getPagePreset(config.preset);
+  const source = preset || config;
+  
+  return applyOrientation(
+    toInches(source.width, source.unit, dpi),
+    toInches(source.height, source.unit, dpi),
+    orientation
+  );
+}
+
+// 页面在目标 DPI 下的像素尺寸，供布局引擎使用
+export function getPagePixelSize(config) {
+  const { dpi = DEFAULT_DPI } = config;
+  const physical = getPhysicalPageSize(config);
+  
+  return {
+    width: Math.max(1, Math.round(physical.width * dpi)),
+    height: Math.max(1, Math.round(physical.height * dpi))
+  };
+}
+
+// 切换预设时保留 DPI 和方向；切回自定义时以当前物理尺寸作为起点
+export function applyPagePreset(config, presetId) {
+  if (presetId === CUSTOM_PRESET) {
+    const physical = getPhysicalPageSize(config);
+    const unit = config.unit || LENGTH_UNITS.MM;
+    return {
+      ...config,
+      preset: CUSTOM_PRESET,
+      unit,
+      width: roundLength(fromInches(physical.width, unit, config.dpi), unit),
+      height: roundLength(fromInches(physical.height, unit, config.dpi), unit)
+    };
+  }
+  
+  const preset = getPagePreset(presetId);
+  if (!preset) return config;
+  
+  return {
+    ...config,
+    preset: preset.id,
+    unit: preset.unit
+  };
+}
+
+// 切换自定义尺寸的单位，保持物理尺寸不变
+export function convertPageUnit(config, unit) {
+  const physical = getPhysicalPageSize(config);
+  return {
+    ...config,
+    unit,
+    width: roundLength(fromInches(physical.width, unit, config.dpi), unit),
+    height: roundLength(fromInches(physical.height, unit, config.dpi), unit)
+  };
+}
+
+// 切换方向；自定义尺寸直接交换宽高，保证输入框中的数值与实际页面一致
+export function setPageOrientation(config, orientation) {
+  if (config.preset !== CUSTOM_PRESET) {
+    return { ...config, orientation };
+  }
+  
+  const isLandscape = orientation === ORIENTATIONS.LANDSCAPE;
+  const needsSwap = config.width !== config.height && isLandscape !== (config.width > config.height);
+  return {
+    ...config,
+    orientation,
+    width: needsSwap ? config.height : config.width,
+    height: needsSwap ? config.width : config.height
+  };
+}
+
+// 根据自定义宽高推断方向
+export function getOrientationForSize(width, height) {
+  return width > height ? ORIENTATIONS.LANDSCAPE : ORIENTATIONS.PORTRAIT;
+}
+
+function roundLength(value, unit) {
+  if (unit === LENGTH_UNITS.IN) return Math.round(value * 100) / 100;
+  return Math.round(value);
+}
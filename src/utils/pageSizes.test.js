@@ -0,0 +1,82 @@
+import {
+  LENGTH_UNITS,
+  ORIENTATIONS,
+  CUSTOM_PRESET,
+  DEFAULT_PAGE_CONFIG,
+  toInches,
+  fromInches,
+  getPhysicalPageSize,
+  getPagePixelSize,
+  applyPagePreset,
+  convertPageUnit,
+  setPageOrientation,
+  getOrientationForSize
+} from './pageSizes';
+
+describe('unit conversion', () => {
+  test('converts millimetres, inches and pixels to inches', () => {
+    expect(toInches(25.4, LENGTH_UNITS.MM)).toBeCloseTo(1);
+    expect(toInches(3, LENGTH_UNITS.IN)).toBe(3);
+    expect(toInches(600, LENGTH_UNITS.PX, 300)).toBe(2);
+    expect(toInches(600, LENGTH_UNITS.PX, 150)).toBe(4);
+  });
+  
+  test('converts inches back to each unit', () => {
+    expect(fromInches(2, LENGTH_UNITS.MM)).toBeCloseTo(50.8);
+    expect(fromInches(2, LENGTH_UNITS.IN)).toBe(2);
+    expect(fromInches(2, LENGTH_UNITS.PX, 72)).toBe(144);
+  });
+});
+
+describe('getPagePixelSize', () => {
+  test('converts a preset at the target DPI', () => {
+    expect(getPagePixelSize({ preset: 'a4', dpi: 300, orientation: ORIENTATIONS.PORTRAIT }))
+      .toEqual({ width: 2480, height: 3508 });
+    expect(getPagePixelSize({ preset: 'letter', dpi: 150, orientation: ORIENTATIONS.PORTRAIT }))
+      .toEqual({ width: 1275, height: 1650 });
+  });
+  
+  test('swaps the sides for landscape pages', () => {
+    expect(getPagePixelSize({ preset: 'photo-4x6', dpi: 300, orientation: ORIENTATIONS.LANDSCAPE }))
+      .toEqual({ width: 1800, height: 1200 });
+    expect(getPagePixelSize({ preset: 'square-8', dpi: 300, orientation: ORIENTATIONS.LANDSCAPE }))
+      .toEqual({ width: 2400, height: 2400 });
+  });
+  
+  test('keeps custom pixel sizes regardless of DPI', () => {
+    expect(getPagePixelSize(DEFAULT_PAGE_CONFIG)).toEqual({ width: 800, height: 1000 });
+    expect(getPagePixelSize({ ...DEFAULT_PAGE_CONFIG, dpi: 72 })).toEqual({ width: 800, height: 1000 });
+  });
+  
+  test('converts custom physical sizes', () => {
+    const config = { preset: CUSTOM_PRESET, width: 100, height: 150, unit: LENGTH_UNITS.MM, dpi: 254 };
+    expect(getPhysicalPageSize(config).width).toBeCloseTo(100 / 25.4);
+    expect(getPagePixelSize(config)).toEqual({ width: 1000, height: 1500 });
+  });
+});
+
+describe('page config changes', () => {
+  test('switching back to custom keeps the physical size of the preset', () => {
+    const a4 = applyPagePreset({ ...DEFAULT_PAGE_CONFIG, unit: LENGTH_UNITS.MM }, 'a4');
+    expect(a4).toMatchObject({ preset: 'a4', unit: LENGTH_UNITS.MM });
+    expect(applyPagePreset(a4, CUSTOM_PRESET)).toMatchObject({ preset: CUSTOM_PRESET, width: 210, height: 297 });
+  });
+  
+  test('ignores unknown presets', () => {
+    expect(applyPagePreset(DEFAULT_PAGE_CONFIG, 'b5')).toBe(DEFAULT_PAGE_CONFIG);
+  });
+  
+  test('changing the unit keeps the physical size', () => {
+    const inches = convertPageUnit({ ...DEFAULT_PAGE_CONFIG, width: 127, height: 254, unit: LENGTH_UNITS.MM }, LENGTH_UNITS.IN);
+    expect(inches).toMatchObject({ unit: LENGTH_UNITS.IN, width: 5, height: 10 });
+    expect(convertPageUnit(inches, LENGTH_UNITS.PX)).toMatchObject({ width: 1500, height: 3000 });
+  });
+  
+  test('changing the orientation of a custom page swaps its sides', () => {
+    const landscape = setPageOrientation(DEFAULT_PAGE_CONFIG, ORIENTATIONS.LANDSCAPE);
+    expect(landscape).toMatchObject({ orientation: ORIENTATIONS.LANDSCAPE, width: 1000, height: 800 });
+    expect(setPageOrientation(landscape, ORIENTATIONS.LANDSCAPE)).toMatchObject({ width: 1000, height: 800 });
+    expect(getOrientationForSize(1000, 800)).toBe(ORIENTATIONS.LANDSCAPE);
+    expect(getOrientationForSize(800, 800)).toBe(ORIENTATIONS.PORTRAIT);
+  });
+});
@@ -0,0 +1,168 @@
+// 在浏览器中生成 PDF，不依赖服务器或第三方库
+// 每个布局一页，页面使用物理尺寸；每个单元格按预览中显示的裁剪区域编码为 JPEG 嵌入
+import { getCoverSourceRect, getCellCrop } from './cellCrop';
+import { loadImage, canvasToBlob } from './rasterExport';
+import { downloadBlob, toFileName } from './download';
+
+const POINTS_PER_INCH = 72;
+
+// 把只包含 0-255 字符的字符串转为字节
+function toBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(3)).toString();
+}
+
+// 根据页面描述生成 PDF 字节
+// pages: [{ width, height, images: [{ data, pixelWidth, pixelHeight, x, y, width, height }] }]
+// 所有尺寸单位为 pt，坐标以页面左下角为原点；data 为 JPEG 字节
+export function buildPdf(pages) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  
+  const write = chunk => {
+    const bytes = typeof chunk === 'string' ? toBytes(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  
+  // 对象编号：1 为 Catalog，2 为 Pages，之后每页依次为 Page、内容流和各张图片
+  const pageObjects = [];
+  let nextObject = 3;
+  pages.forEach(page => {
+    const pageObject = nextObject++;
+    const contentObject = nextObject++;
+    const imageObjects = page.images.map(() => nextObject++);
+    pageObjects.push({ pageObject, contentObject, imageObjects });
+  });
+  
+  const beginObject = number => {
+    offsets[number] = length;
+    write(`${number} 0 obj\n`);
+  };
+  
+  write('%PDF-1.4\n%âãÏÓ\n');
+  
+  beginObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  
+  beginObject(2);
+  const kids = pageObjects.map(({ pageObject }) => `${pageObject} 0 R`).join(' ');
+  write(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>\nendobj\n`);
+  
+  pages.forEach((page, pageIndex) => {
+    const { pageObject, contentObject, imageObjects } = pageObjects[pageIndex];
+    
+    const xObjects = imageObjects.map((number, i) => `/Im${i + 1} ${number} 0 R`).join(' ');
+    beginObject(pageObject);
+    write(
+      `<< /Type /Page /Parent 2 0 R ` +
+      `/MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] ` +
+      `/Resources << /XObject << ${xObjects} >> >> ` +
+      `/Contents ${contentObject} 0 R >>\nendobj\n`
+    );
+    
+    // 内容流：把每张图片缩放并平移到单元格位置
+    const content = page.images.map((image, i) =>
+      `q ${formatNumber(image.width)} 0 0 ${formatNumber(image.height)} ` +
+      `${formatNumber(image.x)} ${formatNumber(image.y)} cm /Im${i + 1} Do Q\n`
+    ).join('');
+    beginObject(contentObject);
+    write(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+    
+    page.images.forEach((image, i) => {
+      beginObject(imageObjects[i]);
+      write(
+        `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`
+      );
+      write(image.data);
+      write('\nendstream\nendobj\n');
+    });
+  });
+  
+  // 交叉引用表，每行固定 20 字节
+  const xrefOffset = length;
+  const objectCount = nextObject;
+  let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+  for (let number = 1; number < objectCount; number++) {
+    xref += `${String(offsets[number]).padStart(10, '0')} 00000 n \n`;
+  }
+  write(xref);
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(chunk => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+}
+
+// 把一个布局转换为 PDF 页面描述
+// physicalSize 为页面的物理尺寸（英寸），单元格像素坐标按比例换算为 pt
+async function createPdfPage(layout, pageSize, physicalSize, quality) {
+  const width = physicalSize.width * POINTS_PER_INCH;
+  const height = physicalSize.height * POINTS_PER_INCH;
+  const scaleX = width / pageSize.width;
+  const scaleY = height / pageSize.height;
+  
+  const images = [];
+  for (const cell of layout.cells) {
+    if (!cell.photo || cell.width <= 0 || cell.height <= 0) continue;
+    
+    const img = await loadImage(cell.photo.src);
+    const source = getCoverSourceRect(
+      cell, { width: img.naturalWidth, height: img.naturalHeight }, getCellCrop(cell)
+    );
+    
+    // 以单元格在目标 DPI 下的像素尺寸编码，原图分辨率不足时不放大
+    const pixelScale = Math.min(1, source.width / cell.width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(cell.width * pixelScale));
+    canvas.height = Math.max(1, Math.round(cell.height * pixelScale));
+    
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(
+      img,
+      source.x, source.y, source.width, source.height,
+      0, 0, canvas.width, canvas.height
+    );
+    
+    const blob = await canvasToBlob(canvas, 'image/jpeg', quality);
+    images.push({
+      data: new Uint8Array(await blob.arrayBuffer()),
+      pixelWidth: canvas.width,
+      pixelHeight: canvas.height,
+      x: cell.x * scaleX,
+      y: height - (cell.y + cell.height) * scaleY,
+      width: cell.width * scaleX,
+      height: cell.height * scaleY
+    });
+  }
+  
+  return { width, height, images };
+}
+
+// 导出多个布局为一个 PDF，每个布局一页
+export async function exportLayoutsPdf(layouts, pageSize, physicalSize, options = {}) {
+  const { quality = 0.92, fileName = 'layouts' } = options;
+  
+  const pages = [];
+  for (const layout of layouts) {
+    pages.push(await createPdfPage(layout, pageSize, physicalSize, quality));
+  }
+  
+  const blob = new Blob([buildPdf(pages)], { type: 'application/pdf' });
+  downloadBlob(blob, toFileName(fileName, 'pdf'));
+  return blob;
+}
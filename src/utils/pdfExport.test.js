@@ -0,0 +1,73 @@
+import { buildPdf } from './pdfExport';
+
+// 构造一个假的 JPEG 数据，只需要包含 SOI / EOI 标记
+const fakeJpeg = () => new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0xff, 0xd9]);
+
+const makeImage = (x, y) => ({
+  data: fakeJpeg(),
+  pixelWidth: 100,
+  pixelHeight: 80,
+  x,
+  y,
+  width: 200,
+  height: 160
+});
+
+const toText = bytes => Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+describe('buildPdf', () => {
+  const pages = [
+    { width: 595.28, height: 841.89, images: [makeImage(0, 0), makeImage(200, 0)] },
+    { width: 595.28, height: 841.89, images: [makeImage(0, 0)] },
+    { width: 841.89, height: 595.28, images: [makeImage(10, 10), makeImage(210, 10), makeImage(410, 10)] }
+  ];
+  const text = toText(buildPdf(pages));
+  
+  test('has a PDF header and trailer', () => {
+    expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(text).toMatch(/trailer\n<< \/Size \d+ \/Root 1 0 R >>/);
+  });
+  
+  test('xref offsets point at the start of each object', () => {
+    const startxref = parseInt(text.match(/startxref\n(\d+)\n%%EOF/)[1], 10);
+    expect(text.slice(startxref, startxref + 4)).toBe('xref');
+    
+    const [, first, count] = text.slice(startxref).match(/^xref\n(\d+) (\d+)\n/);
+    expect(first).toBe('0');
+    
+    const entries = text.slice(startxref).split('\n').slice(3, 2 + parseInt(count, 10));
+    entries.forEach((entry, index) => {
+      expect(entry).toMatch(/^\d{10} 00000 n $/);
+      const offset = parseInt(entry.slice(0, 10), 10);
+      expect(text.slice(offset).startsWith(`${index + 1} 0 obj\n`)).toBe(true);
+    });
+  });
+  
+  test('contains the expected number of pages and images', () => {
+    expect(text).toMatch(/\/Type \/Pages \/Kids \[[^\]]+\] \/Count 3 >>/);
+    expect(countMatches(text, /\/Type \/Page /g)).toBe(3);
+    expect(countMatches(text, /\/Subtype \/Image/g)).toBe(6);
+    expect(countMatches(text, /\/Filter \/DCTDecode/g)).toBe(6);
+  });
+  
+  test('stream lengths match their contents', () => {
+    const streamPattern = /\/Length (\d+) >>\nstream\n/g;
+    let match;
+    let streams = 0;
+    while ((match = streamPattern.exec(text)) !== null) {
+      const start = match.index + match[0].length;
+      const end = start + parseInt(match[1], 10);
+      expect(text.slice(end).startsWith('\nendstream') || text.slice(end).startsWith('endstream')).toBe(true);
+      streams++;
+    }
+    expect(streams).toBe(3 + 6);
+  });
+  
+  test('uses the physical page size for the media box', () => {
+    expect(countMatches(text, /\/MediaBox \[0 0 595\.28 841\.89\]/g)).toBe(2);
+    expect(countMatches(text, /\/MediaBox \[0 0 841\.89 595\.28\]/g)).toBe(1);
+  });
+});
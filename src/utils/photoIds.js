@@ -0,0 +1,28 @@
+// 照片 id：由文件内容计算，同一个文件每次上传得到相同的 id，布局结果因此可以重复
+// 同一个文件上传了多次时，后面的副本加上 -2、-3 等后缀
+
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// 文件内容的 FNV-1a 32 位哈希加上文件长度，buffer 为 ArrayBuffer 或 Uint8Array
+export function createContentId(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  let hash = FNV_OFFSET_BASIS;
+  for (let i = 0; i < bytes.length; i++) {
+    hash = Math.imul(hash ^ bytes[i], FNV_PRIME);
+  }
+  return `photo-${(hash >>> 0).toString(16).padStart(8, '0')}-${bytes.length.toString(36)}`;
+}
+
+// 给新照片分配不与已有照片（及彼此）重复的 id，返回新数组
+export function assignUniquePhotoIds(photos, existingPhotos = []) {
+  const usedIds = new Set(existingPhotos.map(photo => photo.id));
+  return photos.map(photo => {
+    let id = photo.id;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${photo.id}-${suffix}`;
+    }
+    usedIds.add(id);
+    return id === photo.id ? photo : { ...photo, id };
+  });
+}
@@ -0,0 +1,18 @@
+import { createContentId, assignUniquePhotoIds } from './photoIds';
+
+describe('createContentId', () => {
+  test('depends only on the file contents', () => {
+    const bytes = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+    expect(createContentId(bytes)).toBe(createContentId(bytes.slice().buffer));
+    expect(createContentId(bytes)).toMatch(/^photo-[0-9a-f]{8}-7$/);
+    expect(createContentId(new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 1, 2, 4]))).not.toBe(createContentId(bytes));
+  });
+});
+
+describe('assignUniquePhotoIds', () => {
+  test('adds a suffix to repeated uploads of the same file', () => {
+    const existing = [{ id: 'photo-a' }];
+    const photos = assignUniquePhotoIds([{ id: 'photo-a' }, { id: 'photo-b' }, { id: 'photo-a' }], existing);
+    expect(photos.map(photo => photo.id)).toEqual(['photo-a-2', 'photo-b', 'photo-a-3']);
+  });
+});
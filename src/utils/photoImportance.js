@@ -0,0 +1,135 @@
+// 照片的重要程度：主图（hero）标记和 1-5 的权重
+// 主图必须放在最大的单元格中；权重决定各照片单元格面积的理想比例，
+// 尺寸平衡度衡量单元格面积与权重的吻合程度（权重都相同时即面积是否相等）
+
+export const MIN_PHOTO_WEIGHT = 1;
+export const MAX_PHOTO_WEIGHT = 5;
+export const DEFAULT_PHOTO_WEIGHT = 3;
+
+// 主图不在最大单元格中时的代价，远大于任何裁剪率，使优化时优先满足主图约束
+export const HERO_PENALTY = 10;
+
+// 单元格面积偏离权重时的代价系数，与评分中尺寸平衡和裁剪的权重之比相当
+const WEIGHT_MISMATCH_COST = 0.4;
+
+// 比较面积时的相对容差
+const AREA_TOLERANCE = 1e-6;
+
+export function getPhotoWeight(photo) {
+  const weight = photo ? Number(photo.weight) : NaN;
+  if (!Number.isFinite(weight)) return DEFAULT_PHOTO_WEIGHT;
+  return Math.min(MAX_PHOTO_WEIGHT, Math.max(MIN_PHOTO_WEIGHT, weight));
+}
+
+export function isHeroPhoto(photo) {
+  return Boolean(photo && photo.hero);
+}
+
+function getArea(cell) {
+  return cell.width * cell.height;
+}
+
+// 照片权重是否各不相同；相同时面积与权重的吻合程度与照片如何分配无关
+export function hasUnequalWeights(photos) {
+  return photos.some(photo => getPhotoWeight(photo) !== getPhotoWeight(photos[0]));
+}
+
+// 尺寸平衡度：每个单元格的面积占比与其照片的权重占比之比越接近 1 越好
+// 返回 0-1，权重相同时等价于面积的变异系数（1 - 标准差 / 平均值）
+export function calculateWeightedBalance(cells) {
+  if (cells.length === 0) return 0;
+  
+  const areas = cells.map(getArea);
+  const weights = cells.map(cell => getPhotoWeight(cell.photo));
+  const totalArea = areas.reduce((sum, area) => sum + area, 0);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalArea <= 0) return 0;
+  
+  const squaredDeviation = areas.reduce((sum, area, index) => {
+    const ratio = (area / totalArea) / (weights[index] / totalWeight);
+    return sum + Math.pow(ratio - 1, 2);
+  }, 0);
+  
+  return 1 - Math.min(Math.sqrt(squaredDeviation / cells.length), 1);
+}
+
+// 主图能占用的最小面积：按面积从大到小排第 heroCount 的单元格
+function getHeroAreaThreshold(cells, heroCount) {
+  const areas = cells.map(getArea).sort((a, b) => b - a);
+  return areas[heroCount - 1] * (1 - AREA_TOLERANCE);
+}
+
+// 主图是否都在最大的单元格中（面积相同的单元格视为一样大）
+// 没有主图时返回 null
+export function areHeroesInLargestCells(cells) {
+  const heroCells = cells.filter(cell => isHeroPhoto(cell.photo));
+  if (heroCells.length === 0) return null;
+  
+  const threshold = getHeroAreaThreshold(cells, heroCells.length);
+  return heroCells.every(cell => getArea(cell) >= threshold);
+}
+
+// 换照片时去掉针对原照片设置的平移和缩放
+function withPhoto(cell, photo) {
+  const { focalPoint, zoom, ...rest } = cell;
+  return { ...rest, photo };
+}
+
+// 把不在最大单元格中的主图与最大单元格中的非主图照片交换
+// 返回新的单元格数组；已经满足约束时返回原数组
+export function placeHeroesInLargestCells(cells) {
+  const indices = cells.map((_, index) => index);
+  const heroIndices = indices.filter(index => isHeroPhoto(cells[index].photo));
+  if (heroIndices.length === 0 || heroIndices.length === cells.length) return cells;
+  
+  const threshold = getHeroAreaThreshold(cells, heroIndices.length);
+  const misplaced = heroIndices
+    .filter(index => getArea(cells[index]) < threshold)
+    .sort((a, b) => getPhotoWeight(cells[b].photo) - getPhotoWeight(cells[a].photo));
+  if (misplaced.length === 0) return cells;
+  
+  // 权重更高的主图先换到更大的单元格
+  const available = indices
+    .filter(index => !isHeroPhoto(cells[index].photo) && getArea(cells[index]) >= threshold)
+    .sort((a, b) => getArea(cells[b]) - getArea(cells[a]));
+  
+  const result = [...cells];
+  misplaced.forEach((heroIndex, n) => {
+    const target = available[n];
+    result[target] = withPhoto(cells[target], cells[heroIndex].photo);
+    result[heroIndex] = withPhoto(cells[heroIndex], cells[target].photo);
+  });
+  return result;
+}
+
+// 为照片分配创建重要程度代价函数 (cellIndex, photoIndex) => 代价，与裁剪率相加后求最优分配
+// 主图放入不够大的单元格时代价为 HERO_PENALTY；权重不同时按面积占比与权重占比的偏差计入代价
+export function createImportanceCost(cells, photos) {
+  const heroCount = photos.filter(isHeroPhoto).length;
+  const threshold = heroCount > 0 && heroCount < cells.length ? getHeroAreaThreshold(cells, heroCount) : 0;
+  const unequalWeights = hasUnequalWeights(photos);
+  
+  const totalArea = cells.reduce((sum, cell) => sum + getArea(cell), 0);
+  const totalWeight = photos.reduce((sum, photo) => sum + getPhotoWeight(photo), 0);
+  
+  return (cellIndex, photoIndex) => {
+    const cell = cells[cellIndex];
+    const photo = photos[photoIndex];
+    let cost = 0;
+    if (isHeroPhoto(photo) && getArea(cell) < threshold) cost += HERO_PENALTY;
+    if (unequalWeights && totalArea > 0) {
+      const ratio = (getArea(cell) / totalArea) / (getPhotoWeight(photo) / totalWeight);
+      cost += WEIGHT_MISMATCH_COST * Math.abs(ratio - 1) / cells.length;
+    }
+    return cost;
+  };
+}
+
+// 整个布局的重要程度代价，用于不改变照片分配、只调整单元格尺寸的优化
+export function calculateImportanceCost(cells) {
+  let cost = areHeroesInLargestCells(cells) === false ? HERO_PENALTY : 0;
+  if (hasUnequalWeights(cells.map(cell => cell.photo))) {
+    cost += WEIGHT_MISMATCH_COST * (1 - calculateWeightedBalance(cells));
+  }
+  return cost;
+}
@@ -0,0 +1,79 @@
+import {
+  calculateWeightedBalance,
+  areHeroesInLargestCells,
+  placeHeroesInLargestCells
+} from './photoImportance';
+import { generateLayouts } from './layoutGenerator';
+
+const photo = (id, extra = {}) => ({ id, width: 800, height: 800, aspectRatio: 1, ...extra });
+
+describe('calculateWeightedBalance', () => {
+  const cells = [
+    { x: 0, y: 0, width: 75, height: 100 },
+    { x: 75, y: 0, width: 25, height: 100 }
+  ];
+  
+  test('rewards equal areas when weights are equal', () => {
+    expect(calculateWeightedBalance([
+      { ...cells[0], width: 50, photo: photo('a') },
+      { ...cells[1], x: 50, width: 50, photo: photo('b') }
+    ])).toBeCloseTo(1);
+    expect(calculateWeightedBalance(cells.map((cell, i) => ({ ...cell, photo: photo(`${i}`) })))).toBeCloseTo(0.5);
+  });
+  
+  test('follows the photo weights', () => {
+    const weighted = [
+      { ...cells[0], photo: photo('a', { weight: 3 }) },
+      { ...cells[1], photo: photo('b', { weight: 1 }) }
+    ];
+    const reversed = [
+      { ...cells[0], photo: photo('a', { weight: 1 }) },
+      { ...cells[1], photo: photo('b', { weight: 3 }) }
+    ];
+    expect(calculateWeightedBalance(weighted)).toBeCloseTo(1);
+    expect(calculateWeightedBalance(reversed)).toBeLessThan(0.5);
+  });
+});
+
+describe('hero photos', () => {
+  const cells = [
+    { x: 0, y: 0, width: 60, height: 100, photo: photo('a'), zoom: 2 },
+    { x: 60, y: 0, width: 40, height: 50, photo: photo('b', { hero: true }), focalPoint: { x: 0.2, y: 0.2 } },
+    { x: 60, y: 50, width: 40, height: 50, photo: photo('c') }
+  ];
+  
+  test('detects heroes outside the largest cells', () => {
+    expect(areHeroesInLargestCells(cells)).toBe(false);
+    expect(areHeroesInLargestCells(cells.map(cell => ({ ...cell, photo: photo(cell.photo.id) })))).toBeNull();
+  });
+  
+  test('swaps heroes into the largest cells', () => {
+    const placed = placeHeroesInLargestCells(cells);
+    expect(placed.map(cell => cell.photo.id)).toEqual(['b', 'a', 'c']);
+    expect(placed[0].zoom).toBeUndefined();
+    expect(placed[1].focalPoint).toBeUndefined();
+    expect(areHeroesInLargestCells(placed)).toBe(true);
+    expect(placeHeroesInLargestCells(placed)).toBe(placed);
+  });
+});
+
+describe('generation with importance', () => {
+  const pageSize = { width: 1200, height: 800 };
+  
+  test('places heroes in the largest cells of every layout', () => {
+    const photos = [photo('a'), photo('b', { width: 600, aspectRatio: 0.75 }), photo('c', { hero: true }), photo('d')];
+    const layouts = generateLayouts(photos, pageSize, { guillotineLimit: 20 });
+    layouts.forEach(layout => expect(layout.metrics.heroesInLargestCells).toBe(true));
+  });
+  
+  test('gives heavier photos larger cells in optimized layouts', () => {
+    const photos = [photo('a'), photo('b', { weight: 5 }), photo('c')];
+    const layouts = generateLayouts(photos, pageSize, { guillotineLimit: 20 })
+      .filter(layout => layout.type === 'optimized');
+    layouts.forEach(layout => {
+      const areas = layout.cells.map(cell => cell.width * cell.height);
+      const heavy = layout.cells.findIndex(cell => cell.photo.id === 'b');
+      expect(areas[heavy]).toBeGreaterThanOrEqual(Math.max(...areas) - 1e-6);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+// 照片顺序：生成布局前如何排列照片，以及布局在多大程度上保持了这个顺序
+// 保持顺序时，单元格按从左到右、从上到下的阅读顺序依次放入照片
+
+export const PHOTO_ORDERS = {
+  ASPECT: 'aspect',   // 横向照片优先，便于匹配单元格形状（默认）
+  UPLOAD: 'upload',   // 保持上传顺序
+  CAPTURE: 'capture'  // 按 EXIF 拍摄时间，没有拍摄时间的照片按上传顺序排在最后
+};
+
+export const DEFAULT_PHOTO_ORDER = PHOTO_ORDERS.ASPECT;
+
+// 判断阅读顺序时同一行的坐标容差
+const EPSILON = 1e-6;
+
+export function isOrderPreserving(order) {
+  return order === PHOTO_ORDERS.UPLOAD || order === PHOTO_ORDERS.CAPTURE;
+}
+
+function getCaptureTime(photo) {
+  const time = photo.capturedAt ? Date.parse(photo.capturedAt) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// 按指定顺序排列照片，返回新数组
+export function sortPhotos(photos, order = DEFAULT_PHOTO_ORDER) {
+  if (order === PHOTO_ORDERS.UPLOAD) return [...photos];
+  
+  if (order === PHOTO_ORDERS.CAPTURE) {
+    return photos
+      .map((photo, index) => ({ photo, index, time: getCaptureTime(photo) }))
+      .sort((a, b) => {
+        if (a.time !== null && b.time !== null && a.time !== b.time) return a.time - b.time;
+        if ((a.time === null) !== (b.time === null)) return a.time === null ? 1 : -1;
+        return a.index - b.index;
+      })
+      .map(item => item.photo);
+  }
+  
+  // Descending: landscape (w>h) photos first, portrait (h>w) last
+  return [...photos].sort((a, b) => b.width / b.height - a.width / a.height);
+}
+
+// 单元格的阅读顺序：从上到下，同一高度上从左到右
+// 返回排序后的新数组，元素仍是原来的单元格对象
+export function getReadingOrder(cells) {
+  return [...cells].sort((a, b) => {
+    if (Math.abs(a.y - b.y) > EPSILON) return a.y - b.y;
+    return a.x - b.x;
+  });
+}
+
+// 顺序保真度：按阅读顺序排列单元格后，照片在 sequence 中的次序有多少对是正确的
+// 1 表示完全按顺序，0 表示完全逆序；不在 sequence 中的照片不计入
+export function calculateSequenceFidelity(cells, sequence) {
+  const ranks = getReadingOrder(cells)
+    .map(cell => sequence.indexOf(cell.photo))
+    .filter(rank => rank >= 0);
+  if (ranks.length < 2) return 1;
+  
+  let inversions = 0;
+  for (let i = 0; i < ranks.length; i++) {
+    for (let j = i + 1; j < ranks.length; j++) {
+      if (ranks[i] > ranks[j]) inversions++;
+    }
+  }
+  return 1 - inversions / (ranks.length * (ranks.length - 1) / 2);
+}
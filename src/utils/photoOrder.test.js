@@ -0,0 +1,87 @@
+import { PHOTO_ORDERS, sortPhotos, getReadingOrder, calculateSequenceFidelity } from './photoOrder';
+import { generateLayouts } from './layoutGenerator';
+
+const photo = (id, width, height, capturedAt) => ({ id, width, height, aspectRatio: width / height, capturedAt });
+
+const photos = [
+  photo('a', 600, 800, '2023-07-14T18:30:05'),
+  photo('b', 1200, 800, '2023-07-14T09:00:00'),
+  photo('c', 800, 800, null),
+  photo('d', 1600, 900, '2023-07-13T22:15:00')
+];
+
+const ids = list => list.map(item => item.id);
+
+describe('sortPhotos', () => {
+  test('keeps upload order', () => {
+    expect(ids(sortPhotos(photos, PHOTO_ORDERS.UPLOAD))).toEqual(['a', 'b', 'c', 'd']);
+  });
+  
+  test('sorts by capture time and keeps photos without a time last', () => {
+    expect(ids(sortPhotos(photos, PHOTO_ORDERS.CAPTURE))).toEqual(['d', 'b', 'a', 'c']);
+  });
+  
+  test('puts landscape photos first by default', () => {
+    expect(ids(sortPhotos(photos))).toEqual(['d', 'b', 'c', 'a']);
+  });
+});
+
+describe('calculateSequenceFidelity', () => {
+  const [a, b, c] = photos;
+  const cells = [
+    { x: 0, y: 0, width: 50, height: 50 },
+    { x: 50, y: 0, width: 50, height: 50 },
+    { x: 0, y: 50, width: 100, height: 50 }
+  ];
+  
+  test('reads cells left to right, top to bottom', () => {
+    const shuffled = [cells[2], cells[1], cells[0]];
+    expect(getReadingOrder(shuffled)).toEqual(cells);
+  });
+  
+  test('is 1 in order and 0 fully reversed', () => {
+    const place = order => cells.map((cell, index) => ({ ...cell, photo: order[index] }));
+    expect(calculateSequenceFidelity(place([a, b, c]), [a, b, c])).toBe(1);
+    expect(calculateSequenceFidelity(place([c, b, a]), [a, b, c])).toBe(0);
+    expect(calculateSequenceFidelity(place([b, a, c]), [a, b, c])).toBeCloseTo(2 / 3);
+  });
+});
+
+describe('order-preserving generation', () => {
+  const pageSize = { width: 1000, height: 800 };
+  
+  test('has no sequence metric by default', () => {
+    const layouts = generateLayouts(photos, pageSize, { guillotineLimit: 10 });
+    expect(layouts.every(layout => layout.metrics.sequenceFidelity === null)).toBe(true);
+  });
+  
+  test('places photos in reading order in base layouts', () => {
+    const layouts = generateLayouts(photos, pageSize, { photoOrder: PHOTO_ORDERS.CAPTURE, guillotineLimit: 10 });
+    const base = layouts.filter(layout => layout.type !== 'optimized' && layout.type !== 'justified');
+    expect(base.length).toBeGreaterThan(0);
+    base.forEach(layout => {
+      expect(layout.metrics.sequenceFidelity).toBe(1);
+      expect(ids(getReadingOrder(layout.cells).map(cell => cell.photo))).toEqual(['d', 'b', 'a', 'c']);
+    });
+  });
+  
+  test('keeps the order in optimized layouts when strict', () => {
+    const options = { photoOrder: PHOTO_ORDERS.UPLOAD, strictOrder: true, guillotineLimit: 10 };
+    const layouts = generateLayouts(photos, pageSize, options);
+    const optimized = layouts.filter(layout => layout.type === 'optimized');
+    expect(optimized.length).toBeGreaterThan(0);
+    optimized.forEach(layout => {
+      expect(layout.metrics.sequenceFidelity).toBe(1);
+      expect(layout.orderedOptimization.optimizedCroppingRate)
+        .toBeLessThanOrEqual(layout.orderedOptimization.originalCroppingRate);
+    });
+    // 调整单元格尺寸后至少有一个布局的裁剪减少
+    expect(optimized.some(layout => layout.orderedOptimization.improvement > 0)).toBe(true);
+  });
+  
+  test('lets unconstrained optimized layouts trade order for cropping', () => {
+    const layouts = generateLayouts(photos, pageSize, { photoOrder: PHOTO_ORDERS.UPLOAD, guillotineLimit: 10 });
+    const optimized = layouts.filter(layout => layout.type === 'optimized');
+    expect(optimized.some(layout => layout.metrics.sequenceFidelity < 1)).toBe(true);
+  });
+});
@@ -0,0 +1,104 @@
+// 项目的保存格式：把应用状态转换为可以存入 IndexedDB 的数据，以及从保存的数据恢复
+// 布局本身不保存：照片 id 由文件内容得到（见 photoIds.js），重新生成的布局与保存时相同，
+// 手动交换的照片（photoArrangements，按布局名称）、编辑器中保存的布局（customDescriptors）
+// 和选中的布局（chosenLayouts，按布局名称）都能重新对应到生成的布局上
+import { DEFAULT_PAGE_CONFIG } from './pageSizes';
+import { DEFAULT_SPACING } from './spacing';
+import { DEFAULT_PHOTO_ORDER } from './photoOrder';
+import { DEFAULT_ALBUM_OPTIONS } from './albumPaginator';
+import { getDefaultWeights } from './metricRegistry';
+
+export const DEFAULT_PROJECT_NAME = 'Untitled project';
+
+// 项目保存的设置及其默认值
+export function getDefaultProjectSettings() {
+  return {
+    pageConfig: DEFAULT_PAGE_CONFIG,
+    spacing: DEFAULT_SPACING,
+    orderOptions: { photoOrder: DEFAULT_PHOTO_ORDER, strictOrder: false },
+    scoreWeights: getDefaultWeights(),
+    customDescriptors: [],
+    photoArrangements: {},
+    chosenLayouts: [],
+    viewMode: 'single',
+    albumOptions: {
+      pageCount: DEFAULT_ALBUM_OPTIONS.pageCount,
+      minPhotosPerPage: DEFAULT_ALBUM_OPTIONS.minPhotosPerPage,
+      maxPhotosPerPage: DEFAULT_ALBUM_OPTIONS.maxPhotosPerPage
+    }
+  };
+}
+
+// 从保存的设置恢复：缺少的字段使用默认值，旧项目中没有的评分指标使用默认权重
+export function restoreProjectSettings(settings = {}) {
+  const defaults = getDefaultProjectSettings();
+  return {
+    ...defaults,
+    ...settings,
+    pageConfig: { ...defaults.pageConfig, ...settings.pageConfig },
+    spacing: { ...defaults.spacing, ...settings.spacing },
+    orderOptions: { ...defaults.orderOptions, ...settings.orderOptions },
+    scoreWeights: { ...defaults.scoreWeights, ...settings.scoreWeights },
+    albumOptions: { ...defaults.albumOptions, ...settings.albumOptions }
+  };
+}
+
+// 照片的元数据，不包含图片数据（src）和 File 对象；图片以 Blob 单独保存
+export function toStoredPhoto(photo) {
+  const { src, file, ...metadata } = photo;
+  return metadata;
+}
+
+// 保存时照片图片的变化：storedKeys 为已保存图片的主键 [projectId, photoId]
+// added 为还没有保存图片的照片，removed 为已删除照片的图片主键
+export function getPhotoBlobChanges(storedKeys, photos) {
+  const storedPhotoIds = new Set(storedKeys.map(([, photoId]) => photoId));
+  const photoIds = new Set(photos.map(photo => photo.id));
+  return {
+    added: photos.filter(photo => !storedPhotoIds.has(photo.id)),
+    removed: storedKeys.filter(([, photoId]) => !photoIds.has(photoId))
+  };
+}
+
+// 在已有项目中生成不重复的名称，例如 "Holiday 2"
+export function getUniqueProjectName(name, projects) {
+  const names = new Set(projects.map(project => project.name));
+  if (!names.has(name)) return name;
+  
+  let suffix = 2;
+  while (names.has(`${name} ${suffix}`)) suffix++;
+  return `${name} ${suffix}`;
+}
+
+// 复制项目时的名称，例如 "Holiday copy"；项目已不在列表中（例如在其他标签页中被删除）时返回 null
+export function getDuplicateProjectName(id, projects) {
+  const project = projects.find(item => item.id === id);
+  return project ? getUniqueProjectName(`${project.name} copy`, projects) : null;
+}
+
+// data URL 转换为 Blob，照片的 src 可能是原始文件，也可能是按 EXIF 方向重新绘制的图片
+export function dataUrlToBlob(dataUrl) {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/.exec(dataUrl || '');
+  if (!match) throw new Error('Photo source is not a data URL');
+  
+  const [, type, parameters, data] = match;
+  if (!parameters.split(';').includes('base64')) {
+    return new Blob([decodeURIComponent(data)], { type });
+  }
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+// Blob 读取为 data URL，恢复的照片与上传时一样以 data URL 作为 src（导出时直接嵌入）
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
@@ -0,0 +1,89 @@
+import {
+  getDefaultProjectSettings,
+  restoreProjectSettings,
+  toStoredPhoto,
+  getPhotoBlobChanges,
+  getUniqueProjectName,
+  getDuplicateProjectName,
+  dataUrlToBlob,
+  blobToDataUrl
+} from './projectState';
+import { getDefaultWeights } from './metricRegistry';
+
+describe('restoreProjectSettings', () => {
+  test('fills in settings missing from older projects', () => {
+    const restored = restoreProjectSettings({
+      pageConfig: { preset: 'a4', orientation: 'landscape' },
+      scoreWeights: { utilization: 1 },
+      chosenLayouts: ['grid-2x2']
+    });
+    const defaults = getDefaultProjectSettings();
+    
+    expect(restored.pageConfig).toEqual({ ...defaults.pageConfig, preset: 'a4', orientation: 'landscape' });
+    expect(restored.scoreWeights).toEqual({ ...getDefaultWeights(), utilization: 1 });
+    expect(restored.chosenLayouts).toEqual(['grid-2x2']);
+    expect(restored.photoArrangements).toEqual({});
+    expect(restored.orderOptions).toEqual(defaults.orderOptions);
+    expect(restoreProjectSettings()).toEqual(defaults);
+  });
+});
+
+describe('toStoredPhoto', () => {
+  test('keeps metadata and edits but not the image data', () => {
+    const photo = { id: 'photo-1', src: 'data:image/png;base64,AAAA', file: {}, width: 10, height: 5, hero: true };
+    expect(toStoredPhoto(photo)).toEqual({ id: 'photo-1', width: 10, height: 5, hero: true });
+  });
+});
+
+describe('getUniqueProjectName', () => {
+  test('numbers repeated names', () => {
+    const projects = [{ name: 'Untitled project' }, { name: 'Untitled project 2' }];
+    expect(getUniqueProjectName('Untitled project', projects)).toBe('Untitled project 3');
+    expect(getUniqueProjectName('Holiday', projects)).toBe('Holiday');
+  });
+});
+
+describe('getDuplicateProjectName', () => {
+  const projects = [{ id: 1, name: 'Holiday' }, { id: 2, name: 'Holiday copy' }];
+  
+  test('names the copy after the project', () => {
+    expect(getDuplicateProjectName(1, projects)).toBe('Holiday copy 2');
+    expect(getDuplicateProjectName(2, projects)).toBe('Holiday copy copy');
+  });
+  
+  test('returns null for projects that are no longer listed', () => {
+    expect(getDuplicateProjectName(3, projects)).toBeNull();
+    expect(getDuplicateProjectName(1, [])).toBeNull();
+  });
+});
+
+describe('getPhotoBlobChanges', () => {
+  test('writes images of new photos and deletes images of removed photos', () => {
+    const storedKeys = [[1, 'a'], [1, 'b']];
+    const photos = [{ id: 'b' }, { id: 'c' }];
+    expect(getPhotoBlobChanges(storedKeys, photos)).toEqual({
+      added: [{ id: 'c' }],
+      removed: [[1, 'a']]
+    });
+  });
+  
+  test('leaves unchanged photos alone', () => {
+    const photos = [{ id: 'a' }, { id: 'b' }];
+    expect(getPhotoBlobChanges([[1, 'a'], [1, 'b']], photos)).toEqual({ added: [], removed: [] });
+    expect(getPhotoBlobChanges([], photos)).toEqual({ added: photos, removed: [] });
+  });
+});
+
+describe('dataUrlToBlob', () => {
+  test('round-trips photo sources through a Blob', async () => {
+    const dataUrl = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUg==';
+    const blob = dataUrlToBlob(dataUrl);
+    expect(blob.type).toBe('image/png');
+    expect(blob.size).toBe(16);
+    expect(await blobToDataUrl(blob)).toBe(dataUrl);
+  });
+  
+  test('rejects sources that are not data URLs', () => {
+    expect(() => dataUrlToBlob('blob:http://localhost/1234')).toThrow('not a data URL');
+  });
+});
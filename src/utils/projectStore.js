@@ -0,0 +1,197 @@
+// 项目保存在浏览器的 IndexedDB 中，刷新页面后可以继续编辑
+// projects 存储项目记录 { id, name, createdAt, updatedAt, settings, photos }，photos 只有元数据（见 projectState.js）；
+// photoBlobs 存储照片图片 { projectId, photoId, blob }，主键为 [projectId, photoId]
+// 最近打开的项目 id 保存在 localStorage 中，启动时自动恢复
+import { toStoredPhoto, getPhotoBlobChanges, dataUrlToBlob, blobToDataUrl } from './projectState';
+
+export const PROJECT_DATABASE_NAME = 'photo-grid-optimizer';
+export const LAST_PROJECT_STORAGE_KEY = 'photo-grid-optimizer/last-project';
+
+const DATABASE_VERSION = 1;
+const PROJECTS = 'projects';
+const PHOTO_BLOBS = 'photoBlobs';
+
+let databasePromise = null;
+
+// 不支持 IndexedDB 的环境（测试环境、部分隐私模式）不保存项目
+export function isProjectStorageAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// 事务提交后 resolve；事务中的请求出错时 reject
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    const request = indexedDB.open(PROJECT_DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(PROJECTS)) {
+        database.createObjectStore(PROJECTS, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!database.objectStoreNames.contains(PHOTO_BLOBS)) {
+        const blobs = database.createObjectStore(PHOTO_BLOBS, { keyPath: ['projectId', 'photoId'] });
+        blobs.createIndex('projectId', 'projectId');
+      }
+    };
+    // 打开失败时下次重试
+    databasePromise = requestToPromise(request).catch(error => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+}
+
+// 项目列表（不含照片数据），最近修改的在前
+export async function listProjects() {
+  const database = await openDatabase();
+  const records = await requestToPromise(database.transaction(PROJECTS).objectStore(PROJECTS).getAll());
+  return records
+    .map(({ id, name, createdAt, updatedAt, photos }) => ({ id, name, createdAt, updatedAt, photoCount: photos.length }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// 新建项目，返回项目 id
+export async function createProject(name, settings) {
+  const database = await openDatabase();
+  const now = new Date().toISOString();
+  const transaction = database.transaction(PROJECTS, 'readwrite');
+  const id = await requestToPromise(transaction.objectStore(PROJECTS).add({
+    name,
+    createdAt: now,
+    updatedAt: now,
+    settings,
+    photos: []
+  }));
+  await transactionDone(transaction);
+  return id;
+}
+
+// 保存项目的设置和照片；照片图片只写入新增的，已删除照片的图片一并删除
+export async function saveProject(id, { settings, photos }) {
+  const database = await openDatabase();
+  const storedKeys = await requestToPromise(
+    database.transaction(PHOTO_BLOBS).objectStore(PHOTO_BLOBS).index('projectId').getAllKeys(IDBKeyRange.only(id))
+  );
+  const { added, removed } = getPhotoBlobChanges(storedKeys, photos);
+  // 在事务开始前转换，事务中等待其他异步操作会使事务提前提交
+  const newBlobs = added.map(photo => ({ projectId: id, photoId: photo.id, blob: dataUrlToBlob(photo.src) }));
+  
+  const transaction = database.transaction([PROJECTS, PHOTO_BLOBS], 'readwrite');
+  const projects = transaction.objectStore(PROJECTS);
+  const blobs = transaction.objectStore(PHOTO_BLOBS);
+  const record = await requestToPromise(projects.get(id));
+  if (!record) {
+    transaction.abort();
+    throw new Error(`Project ${id} no longer exists`);
+  }
+  
+  projects.put({ ...record, settings, photos: photos.map(toStoredPhoto), updatedAt: new Date().toISOString() });
+  newBlobs.forEach(blob => blobs.put(blob));
+  removed.forEach(key => blobs.delete(key));
+  await transactionDone(transaction);
+}
+
+// 读取项目，照片恢复为带 src（data URL）的照片对象；图片丢失的照片被跳过
+// 项目不存在时返回 null
+export async function loadProject(id) {
+  const database = await openDatabase();
+  const transaction = database.transaction([PROJECTS, PHOTO_BLOBS]);
+  const [record, blobRecords] = await Promise.all([
+    requestToPromise(transaction.objectStore(PROJECTS).get(id)),
+    requestToPromise(transaction.objectStore(PHOTO_BLOBS).index('projectId').getAll(IDBKeyRange.only(id)))
+  ]);
+  if (!record) return null;
+  
+  const blobsByPhotoId = new Map(blobRecords.map(item => [item.photoId, item.blob]));
+  const photos = await Promise.all(record.photos
+    .filter(photo => blobsByPhotoId.has(photo.id))
+    .map(async photo => ({ ...photo, src: await blobToDataUrl(blobsByPhotoId.get(photo.id)) })));
+  return { ...record, photos };
+}
+
+export async function renameProject(id, name) {
+  const database = await openDatabase();
+  const transaction = database.transaction(PROJECTS, 'readwrite');
+  const projects = transaction.objectStore(PROJECTS);
+  const record = await requestToPromise(projects.get(id));
+  if (record) projects.put({ ...record, name, updatedAt: new Date().toISOString() });
+  await transactionDone(transaction);
+}
+
+// 复制项目及其照片图片，返回新项目的 id
+export async function duplicateProject(id, name) {
+  const database = await openDatabase();
+  const transaction = database.transaction([PROJECTS, PHOTO_BLOBS], 'readwrite');
+  const projects = transaction.objectStore(PROJECTS);
+  const blobs = transaction.objectStore(PHOTO_BLOBS);
+  const [record, blobRecords] = await Promise.all([
+    requestToPromise(projects.get(id)),
+    requestToPromise(blobs.index('projectId').getAll(IDBKeyRange.only(id)))
+  ]);
+  if (!record) {
+    transaction.abort();
+    throw new Error(`Project ${id} no longer exists`);
+  }
+  
+  const { id: originalId, ...copy } = record;
+  const now = new Date().toISOString();
+  const newId = await requestToPromise(projects.add({ ...copy, name, createdAt: now, updatedAt: now }));
+  blobRecords.forEach(item => blobs.put({ ...item, projectId: newId }));
+  await transactionDone(transaction);
+  return newId;
+}
+
+export async function deleteProject(id) {
+  const database = await openDatabase();
+  const transaction = database.transaction([PROJECTS, PHOTO_BLOBS], 'readwrite');
+  const blobs = transaction.objectStore(PHOTO_BLOBS);
+  transaction.objectStore(PROJECTS).delete(id);
+  const keys = await requestToPromise(blobs.index('projectId').getAllKeys(IDBKeyRange.only(id)));
+  keys.forEach(key => blobs.delete(key));
+  await transactionDone(transaction);
+}
+
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    // 禁用存储时访问 localStorage 会抛出错误
+    return null;
+  }
+}
+
+export function getLastProjectId() {
+  const storage = getStorage();
+  const id = storage ? Number(storage.getItem(LAST_PROJECT_STORAGE_KEY)) : NaN;
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// id 为 null 时清除记录（例如删除了当前项目）
+export function setLastProjectId(id) {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    if (id === null) {
+      storage.removeItem(LAST_PROJECT_STORAGE_KEY);
+    } else {
+      storage.setItem(LAST_PROJECT_STORAGE_KEY, String(id));
+    }
+  } catch (error) {
+    // 存储已满或被禁用时不记录
+  }
+}
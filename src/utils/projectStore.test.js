@@ -0,0 +1,68 @@
+import 'fake-indexeddb/auto';
+import {
+  listProjects,
+  createProject,
+  saveProject,
+  loadProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  getLastProjectId,
+  setLastProjectId
+} from './projectStore';
+import { getDefaultProjectSettings } from './projectState';
+
+// 测试环境的 Blob 不能存入 fake-indexeddb，这里只使用没有照片的项目；照片图片的变化见 getPhotoBlobChanges
+describe('projectStore', () => {
+  test('creates, saves and loads a project', async () => {
+    const settings = getDefaultProjectSettings();
+    const id = await createProject('Holiday', settings);
+    
+    const created = await loadProject(id);
+    expect(created).toMatchObject({ id, name: 'Holiday', settings, photos: [] });
+    
+    const changed = { ...settings, viewMode: 'album' };
+    await saveProject(id, { settings: changed, photos: [] });
+    expect((await loadProject(id)).settings).toEqual(changed);
+  });
+  
+  test('lists the most recently updated projects first', async () => {
+    const first = await createProject('First', getDefaultProjectSettings());
+    const second = await createProject('Second', getDefaultProjectSettings());
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await renameProject(first, 'First renamed');
+    
+    const projects = await listProjects();
+    const ids = projects.map(project => project.id);
+    expect(ids.indexOf(first)).toBeLessThan(ids.indexOf(second));
+    expect(projects.find(project => project.id === first)).toMatchObject({ name: 'First renamed', photoCount: 0 });
+  });
+  
+  test('duplicates and deletes projects', async () => {
+    const settings = { ...getDefaultProjectSettings(), viewMode: 'album' };
+    const id = await createProject('Original', settings);
+    const copyId = await duplicateProject(id, 'Original 2');
+    expect(copyId).not.toBe(id);
+    expect(await loadProject(copyId)).toMatchObject({ name: 'Original 2', settings });
+    
+    await deleteProject(id);
+    expect(await loadProject(id)).toBeNull();
+    expect(await loadProject(copyId)).not.toBeNull();
+  });
+  
+  test('handles projects that no longer exist', async () => {
+    const id = await createProject('Removed', getDefaultProjectSettings());
+    await deleteProject(id);
+    
+    expect(await loadProject(id)).toBeNull();
+    await expect(saveProject(id, { settings: getDefaultProjectSettings(), photos: [] })).rejects.toThrow('no longer exists');
+    await expect(duplicateProject(id, 'Copy')).rejects.toThrow('no longer exists');
+  });
+  
+  test('remembers the last opened project', () => {
+    setLastProjectId(3);
+    expect(getLastProjectId()).toBe(3);
+    setLastProjectId(null);
+    expect(getLastProjectId()).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+// 将布局导出为位图（PNG / JPEG）
+// 单元格几何直接使用布局中的像素坐标，裁剪方式与 LayoutPreview 相同，
+// 因此导出图片与预览只差一个缩放比例
+import { getCoverSourceRect, getCellCrop } from './cellCrop';
+import { downloadBlob, toFileName } from './download';
+
+export const RASTER_FORMATS = {
+  PNG: 'png',
+  JPEG: 'jpeg'
+};
+
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load image ${src.slice(0, 40)}`));
+    img.src = src;
+  });
+}
+
+// 在 canvas 上按 scale 绘制布局，scale 为 1 时即页面的完整像素尺寸
+export async function renderLayoutToCanvas(layout, pageSize, options = {}) {
+  const { scale = 1, background = '#ffffff' } = options;
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(pageSize.width * scale);
+  canvas.height = Math.round(pageSize.height * scale);
+  
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingQuality = 'high';
+  
+  // 同一张照片只加载一次
+  const sources = [...new Set(layout.cells.filter(cell => cell.photo).map(cell => cell.photo.src))];
+  const loadedImages = await Promise.all(sources.map(loadImage));
+  const images = new Map(sources.map((src, index) => [src, loadedImages[index]]));
+  
+  layout.cells.forEach(cell => {
+    if (!cell.photo) return;
+    
+    const img = images.get(cell.photo.src);
+    // 用图片的实际像素尺寸计算裁剪区域，避免记录的尺寸与解码结果不一致
+    const source = getCoverSourceRect(
+      cell, { width: img.naturalWidth, height: img.naturalHeight }, getCellCrop(cell)
+    );
+    
+    ctx.drawImage(
+      img,
+      source.x, source.y, source.width, source.height,
+      cell.x * scale, cell.y * scale, cell.width * scale, cell.height * scale
+    );
+  });
+  
+  return canvas;
+}
+
+export function canvasToBlob(canvas, mimeType, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode image'));
+      }
+    }, mimeType, quality);
+  });
+}
+
+// 导出并下载布局图片
+// quality 只对 JPEG 有效，范围 0-1
+export async function exportLayoutImage(layout, pageSize, options = {}) {
+  const { format = RASTER_FORMATS.PNG, quality = 0.92, scale = 1 } = options;
+  
+  const canvas = await renderLayoutToCanvas(layout, pageSize, { scale });
+  const mimeType = format === RASTER_FORMATS.JPEG ? 'image/jpeg' : 'image/png';
+  const blob = await canvasToBlob(canvas, mimeType, quality);
+  
+  downloadBlob(blob, toFileName(layout.name, format === RASTER_FORMATS.JPEG ? 'jpg' : 'png'));
+  return blob;
+}
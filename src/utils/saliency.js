@@ -0,0 +1,189 @@
+// 离线显著性估计：在缩小的画布上根据像素计算，不依赖网络或 GPU 模型
+// 显著性由三部分组成：边缘能量（Sobel 梯度）、局部对比度（与模糊后的亮度和色度之差）以及肤色，
+// 再平滑并加上轻微的中心偏好。结果是一个归一化的网格（总和为 1），用于建议裁剪锚点和计算裁掉的显著内容
+import { getCoverSourceRect, getCellCrop } from './cellCrop';
+
+// 显著性网格最长边的像素数
+export const SALIENCY_SIZE = 64;
+
+const EDGE_WEIGHT = 0.4;
+const CONTRAST_WEIGHT = 0.3;
+const SKIN_WEIGHT = 0.3;
+
+// 盒式模糊，radius 为半径（像素）
+function boxBlur(values, width, height, radius) {
+  const result = new Array(values.length).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = -radius; dy <= radius; dy++) {
+        const yy = y + dy;
+        if (yy < 0 || yy >= height) continue;
+        for (let dx = -radius; dx <= radius; dx++) {
+          const xx = x + dx;
+          if (xx < 0 || xx >= width) continue;
+          sum += values[yy * width + xx];
+          count++;
+        }
+      }
+      result[y * width + x] = sum / count;
+    }
+  }
+  return result;
+}
+
+// 最大值极小时（平坦图像中只有浮点误差）视为没有信号，避免把误差放大
+function normalizeByMax(values) {
+  const max = Math.max(...values);
+  return max > 1e-6 ? values.map(value => value / max) : values.map(() => 0);
+}
+
+// YCbCr 色彩空间中的常用肤色范围
+function isSkinTone(cb, cr) {
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+// 根据 RGBA 像素（与 ImageData 相同的格式）计算显著性网格
+// 返回 { width, height, values }，values 按行排列，总和为 1
+export function computeSaliencyMap({ data, width, height }) {
+  const count = width * height;
+  const luma = new Array(count);
+  const cb = new Array(count);
+  const cr = new Array(count);
+  const skin = new Array(count);
+  
+  for (let i = 0; i < count; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    luma[i] = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    cb[i] = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    cr[i] = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    skin[i] = isSkinTone(cb[i], cr[i]) ? 1 : 0;
+  }
+  
+  // 边缘能量
+  const edges = new Array(count).fill(0);
+  const at = (x, y) => luma[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) -
+        at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+      const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) -
+        at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+      edges[y * width + x] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+  
+  // 局部对比度：像素与周围区域在亮度和色度上的差异
+  const surroundRadius = Math.max(2, Math.round(Math.max(width, height) / 8));
+  const blurredLuma = boxBlur(luma, width, height, surroundRadius);
+  const blurredCb = boxBlur(cb, width, height, surroundRadius);
+  const blurredCr = boxBlur(cr, width, height, surroundRadius);
+  const contrast = luma.map((value, i) => {
+    const chroma = Math.hypot(cb[i] - blurredCb[i], cr[i] - blurredCr[i]) / 255;
+    return Math.abs(value - blurredLuma[i]) + chroma;
+  });
+  
+  const normalizedEdges = normalizeByMax(edges);
+  const normalizedContrast = normalizeByMax(contrast);
+  const combined = normalizedEdges.map((edge, i) =>
+    edge * EDGE_WEIGHT + normalizedContrast[i] * CONTRAST_WEIGHT + skin[i] * SKIN_WEIGHT
+  );
+  
+  // 平滑成区域，并加上轻微的中心偏好
+  const smoothed = boxBlur(combined, width, height, Math.max(1, Math.round(Math.max(width, height) / 32)));
+  const weighted = smoothed.map((value, i) => {
+    const dx = ((i % width) + 0.5) / width - 0.5;
+    const dy = (Math.floor(i / width) + 0.5) / height - 0.5;
+    return value * (0.7 + 0.3 * Math.exp(-(dx * dx + dy * dy) / 0.08));
+  });
+  
+  const total = weighted.reduce((sum, value) => sum + value, 0);
+  const values = total > 0
+    ? weighted.map(value => value / total)
+    : weighted.map(() => 1 / count);
+  
+  return { width, height, values };
+}
+
+// 建议的裁剪锚点（照片内的相对坐标 0-1）
+// 使用显著性平方加权的重心，使锚点更偏向最显著的区域
+export function getSaliencyAnchor(saliency) {
+  const { width, height, values } = saliency;
+  let sumX = 0;
+  let sumY = 0;
+  let total = 0;
+  values.forEach((value, i) => {
+    const weight = value * value;
+    sumX += weight * ((i % width) + 0.5) / width;
+    sumY += weight * (Math.floor(i / width) + 0.5) / height;
+    total += weight;
+  });
+  
+  if (total === 0) return { x: 0.5, y: 0.5 };
+  const round = value => Math.round(value * 1000) / 1000;
+  return { x: round(sumX / total), y: round(sumY / total) };
+}
+
+// 单元格裁掉的显著内容比例（0 表示没有裁掉显著内容，1 表示全部裁掉）
+// 没有显著性数据时返回 null
+export function calculateSalientContentLost(cell, photo) {
+  const saliency = photo.saliency;
+  if (!saliency) return null;
+  
+  const visible = getCoverSourceRect(cell, photo, getCellCrop({ ...cell, photo }));
+  const { width, height, values } = saliency;
+  const gridWidth = photo.width / width;
+  const gridHeight = photo.height / height;
+  
+  // 每个网格单元按与可见区域重叠的比例计入
+  // 只遍历与可见区域相交的网格
+  const firstX = Math.max(0, Math.floor(visible.x / gridWidth));
+  const lastX = Math.min(width - 1, Math.ceil((visible.x + visible.width) / gridWidth));
+  const firstY = Math.max(0, Math.floor(visible.y / gridHeight));
+  const lastY = Math.min(height - 1, Math.ceil((visible.y + visible.height) / gridHeight));
+  
+  let kept = 0;
+  for (let gy = firstY; gy <= lastY; gy++) {
+    const overlapY = Math.min(visible.y + visible.height, (gy + 1) * gridHeight) - Math.max(visible.y, gy * gridHeight);
+    if (overlapY <= 0) continue;
+    for (let gx = firstX; gx <= lastX; gx++) {
+      const overlapX = Math.min(visible.x + visible.width, (gx + 1) * gridWidth) - Math.max(visible.x, gx * gridWidth);
+      if (overlapX <= 0) continue;
+      kept += values[gy * width + gx] * (overlapX / gridWidth) * (overlapY / gridHeight);
+    }
+  }
+  
+  return Math.max(0, Math.min(1, 1 - kept));
+}
+
+// 在浏览器中为已加载的图片估计显著性，返回 { width, height, values, anchor }
+// 无法创建 2D 画布时（例如测试环境）返回 null
+export function estimateImageSaliency(img) {
+  const sourceWidth = img.naturalWidth || img.width;
+  const sourceHeight = img.naturalHeight || img.height;
+  if (!sourceWidth || !sourceHeight) return null;
+  
+  const scale = SALIENCY_SIZE / Math.max(sourceWidth, sourceHeight);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(sourceWidth * scale));
+  canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+  
+  let ctx = null;
+  try {
+    ctx = canvas.getContext('2d');
+  } catch (error) {
+    return null;
+  }
+  if (!ctx) return null;
+  
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  const saliency = computeSaliencyMap(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  return {
+    ...saliency,
+    values: saliency.values.map(value => Math.round(value * 1e6) / 1e6),
+    anchor: getSaliencyAnchor(saliency)
+  };
+}
@@ -0,0 +1,56 @@
+import { computeSaliencyMap, getSaliencyAnchor, calculateSalientContentLost } from './saliency';
+
+// 生成 RGBA 像素：灰色背景上放一个肤色方块
+function createImage(width, height, square) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inside = x >= square.x && x < square.x + square.size && y >= square.y && y < square.y + square.size;
+      const [r, g, b] = inside ? [224, 172, 140] : [90, 90, 90];
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+describe('computeSaliencyMap', () => {
+  const saliency = computeSaliencyMap(createImage(48, 32, { x: 4, y: 10, size: 10 }));
+  
+  test('returns a normalised grid', () => {
+    expect(saliency.values).toHaveLength(48 * 32);
+    expect(saliency.values.reduce((sum, value) => sum + value, 0)).toBeCloseTo(1, 6);
+  });
+  
+  test('anchors on the salient region', () => {
+    const anchor = getSaliencyAnchor(saliency);
+    expect(anchor.x).toBeGreaterThan(0.05);
+    expect(anchor.x).toBeLessThan(0.3);
+    expect(anchor.y).toBeGreaterThan(0.3);
+    expect(anchor.y).toBeLessThan(0.6);
+  });
+  
+  test('falls back to a uniform map for a flat image', () => {
+    const flat = computeSaliencyMap(createImage(8, 8, { x: 0, y: 0, size: 0 }));
+    expect(flat.values.every(value => Math.abs(value - 1 / 64) < 1e-9)).toBe(true);
+  });
+});
+
+describe('calculateSalientContentLost', () => {
+  const saliency = computeSaliencyMap(createImage(48, 32, { x: 4, y: 10, size: 10 }));
+  const photo = { width: 480, height: 320, saliency };
+  const squareCell = { x: 0, y: 0, width: 100, height: 100 };
+  
+  test('is null without saliency data', () => {
+    expect(calculateSalientContentLost(squareCell, { width: 480, height: 320 })).toBeNull();
+  });
+  
+  test('is zero when nothing is cropped', () => {
+    expect(calculateSalientContentLost({ x: 0, y: 0, width: 150, height: 100 }, photo)).toBeCloseTo(0, 6);
+  });
+  
+  test('drops when the crop follows the suggested anchor', () => {
+    const centred = calculateSalientContentLost(squareCell, photo);
+    const anchored = calculateSalientContentLost(squareCell, { ...photo, saliency: { ...saliency, anchor: getSaliencyAnchor(saliency) } });
+    expect(anchored).toBeLessThan(centred);
+  });
+});
@@ -0,0 +1,109 @@
+// 布局单元格之间的共享边：查找、限制范围和移动
+// 坐标为相对坐标 (0-1)；布局编辑器用它拖动调整单元格大小，保持顺序的布局优化也用它调整单元格尺寸
+
+// 单元格拖动后的最小边长（相对坐标）
+export const MIN_CELL_SIZE = 0.05;
+
+// 判断坐标相等时的容差，换算后的相对坐标会有少量浮点误差
+const EPSILON = 1e-4;
+
+const AXES = {
+  vertical: { pos: 'x', size: 'width', crossPos: 'y', crossSize: 'height' },
+  horizontal: { pos: 'y', size: 'height', crossPos: 'x', crossSize: 'width' }
+};
+
+// 查找某一方向上所有可拖动的共享边
+// 同一坐标上的边按单元格在交叉方向上是否相接分成若干段，每段是一条独立的边：
+// before 为边左侧（或上方）的单元格，after 为右侧（或下方）的单元格
+function findEdgesForOrientation(cells, orientation) {
+  const { pos, size, crossPos, crossSize } = AXES[orientation];
+  const positions = [];
+  cells.forEach(cell => {
+    const end = cell[pos] + cell[size];
+    if (end < 1 - EPSILON && !positions.some(position => Math.abs(position - end) < EPSILON)) {
+      positions.push(end);
+    }
+  });
+  
+  const edges = [];
+  positions.sort((a, b) => a - b).forEach(position => {
+    const before = [];
+    const after = [];
+    cells.forEach((cell, index) => {
+      if (Math.abs(cell[pos] + cell[size] - position) < EPSILON) before.push(index);
+      if (Math.abs(cell[pos] - position) < EPSILON) after.push(index);
+    });
+    
+    // 用并查集把交叉方向上重叠的左右单元格连成一段
+    const parent = new Map([...before, ...after].map(index => [`${index}`, `${index}`]));
+    const find = key => {
+      while (parent.get(key) !== key) key = parent.get(key);
+      return key;
+    };
+    before.forEach(b => {
+      after.forEach(a => {
+        const overlap = Math.min(cells[b][crossPos] + cells[b][crossSize], cells[a][crossPos] + cells[a][crossSize]) -
+          Math.max(cells[b][crossPos], cells[a][crossPos]);
+        if (overlap > EPSILON) parent.set(find(`${b}`), find(`${a}`));
+      });
+    });
+    
+    const groups = new Map();
+    const addToGroup = (index, side) => {
+      const root = find(`${index}`);
+      if (!groups.has(root)) groups.set(root, { before: [], after: [] });
+      groups.get(root)[side].push(index);
+    };
+    before.forEach(index => addToGroup(index, 'before'));
+    after.forEach(index => addToGroup(index, 'after'));
+    
+    groups.forEach(group => {
+      if (group.before.length === 0 || group.after.length === 0) return;
+      const members = [...group.before, ...group.after].map(index => cells[index]);
+      edges.push({
+        orientation,
+        position,
+        start: Math.min(...members.map(cell => cell[crossPos])),
+        end: Math.max(...members.map(cell => cell[crossPos] + cell[crossSize])),
+        before: group.before,
+        after: group.after
+      });
+    });
+  });
+  
+  return edges;
+}
+
+// 返回所有共享边：vertical 为左右相邻单元格之间的边，horizontal 为上下相邻单元格之间的边
+export function findSharedEdges(cells) {
+  return [
+    ...findEdgesForOrientation(cells, 'vertical'),
+    ...findEdgesForOrientation(cells, 'horizontal')
+  ];
+}
+
+// 边可以移动的范围，保证两侧的单元格都不小于 MIN_CELL_SIZE
+export function getEdgeLimits(cells, edge) {
+  const { pos, size } = AXES[edge.orientation];
+  return {
+    min: Math.max(...edge.before.map(index => cells[index][pos] + MIN_CELL_SIZE)),
+    max: Math.min(...edge.after.map(index => cells[index][pos] + cells[index][size] - MIN_CELL_SIZE))
+  };
+}
+
+// 把边移动到新位置，边两侧的所有单元格一起调整大小
+export function moveEdge(cells, edge, position) {
+  const { pos, size } = AXES[edge.orientation];
+  const limits = getEdgeLimits(cells, edge);
+  const clamped = Math.min(limits.max, Math.max(limits.min, position));
+  
+  return cells.map((cell, index) => {
+    if (edge.before.includes(index)) {
+      return { ...cell, [size]: clamped - cell[pos] };
+    }
+    if (edge.after.includes(index)) {
+      return { ...cell, [pos]: clamped, [size]: cell[pos] + cell[size] - clamped };
+    }
+    return cell;
+  });
+}
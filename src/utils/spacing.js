@@ -0,0 +1,79 @@
+// 页面边距和照片间距（gutter）
+// unit 为 'px' 时直接使用像素值，为 '%' 时按页面短边的百分比计算
+export const SPACING_UNITS = {
+  PX: 'px',
+  PERCENT: '%'
+};
+
+export const DEFAULT_SPACING = {
+  margin: 0,
+  gutter: 0,
+  unit: SPACING_UNITS.PX
+};
+
+// 将间距设置换算为像素，并保证内容区域不会小于 1px
+// photoCount 为页面上的照片数：间距最多使 photoCount 个等大的单元格沿内容区域短边排开时仍各有 1px，
+// 网格、断头台和两端对齐布局的单元格因此总有正的宽高
+export function resolveSpacing(spacing, pageSize, photoCount = 1) {
+  const { margin = 0, gutter = 0, unit = SPACING_UNITS.PX } = spacing || {};
+  const toPixels = value => {
+    const number = Number.isFinite(value) ? Math.max(0, value) : 0;
+    return unit === SPACING_UNITS.PERCENT
+      ? number / 100 * Math.min(pageSize.width, pageSize.height)
+      : number;
+  };
+  
+  const maxMargin = Math.max(0, (Math.min(pageSize.width, pageSize.height) - 1) / 2);
+  const resolvedMargin = Math.min(toPixels(margin), maxMargin);
+  const contentSize = Math.min(pageSize.width, pageSize.height) - resolvedMargin * 2;
+  const maxGutter = photoCount > 1
+    ? Math.max(0, (contentSize - photoCount) / (photoCount - 1))
+    : Infinity;
+  return {
+    margin: resolvedMargin,
+    gutter: Math.min(toPixels(gutter), maxGutter)
+  };
+}
+
+// 页面去掉边距后的内容区域
+export function getContentArea(pageSize, resolvedSpacing) {
+  const { margin } = resolvedSpacing;
+  return {
+    x: margin,
+    y: margin,
+    width: pageSize.width - margin * 2,
+    height: pageSize.height - margin * 2
+  };
+}
+
+// 将相对坐标 (0-1) 的单元格映射到内容区域中的像素坐标
+// 先把内容区域向右下扩展一个 gutter 再按比例映射，最后每个单元格减去一个 gutter，
+// 这样相邻单元格之间正好间隔一个 gutter，而且原本等大的单元格仍然等大
+export function mapCellToContentArea(cell, pageSize, resolvedSpacing) {
+  const { gutter } = resolvedSpacing;
+  const content = getContentArea(pageSize, resolvedSpacing);
+  const spanWidth = content.width + gutter;
+  const spanHeight = content.height + gutter;
+  
+  return {
+    x: content.x + cell.x * spanWidth,
+    y: content.y + cell.y * spanHeight,
+    width: Math.max(0, cell.width * spanWidth - gutter),
+    height: Math.max(0, cell.height * spanHeight - gutter)
+  };
+}
+
+// mapCellToContentArea 的逆变换：把像素单元格换算回相对坐标 (0-1)
+export function unmapCellFromContentArea(cell, pageSize, resolvedSpacing) {
+  const { gutter } = resolvedSpacing;
+  const content = getContentArea(pageSize, resolvedSpacing);
+  const spanWidth = content.width + gutter;
+  const spanHeight = content.height + gutter;
+  
+  return {
+    x: (cell.x - content.x) / spanWidth,
+    y: (cell.y - content.y) / spanHeight,
+    width: (cell.width + gutter) / spanWidth,
+    height: (cell.height + gutter) / spanHeight
+  };
+}
@@ -0,0 +1,49 @@
+import { resolveSpacing, mapCellToContentArea, unmapCellFromContentArea, SPACING_UNITS } from './spacing';
+
+const pageSize = { width: 1000, height: 800 };
+
+describe('resolveSpacing', () => {
+  test('converts percentages of the short side to pixels', () => {
+    expect(resolveSpacing({ margin: 5, gutter: 1, unit: SPACING_UNITS.PERCENT }, pageSize)).toEqual({ margin: 40, gutter: 8 });
+    expect(resolveSpacing({ margin: 12, gutter: 6 }, pageSize)).toEqual({ margin: 12, gutter: 6 });
+    expect(resolveSpacing(null, pageSize)).toEqual({ margin: 0, gutter: 0 });
+  });
+  
+  test('leaves at least one pixel of content inside the margins', () => {
+    expect(resolveSpacing({ margin: 900 }, pageSize).margin).toBe(399.5);
+  });
+  
+  test('caps the gutter so that equal cells along the short side keep at least one pixel', () => {
+    // 内容区域短边为 800 - 2 * 100 = 600px，4 个单元格各 1px 后剩余的 596px 分给 3 个间距
+    const { gutter } = resolveSpacing({ margin: 100, gutter: 1000 }, pageSize, 4);
+    expect(gutter).toBeCloseTo(596 / 3);
+    
+    const cell = mapCellToContentArea({ x: 0, y: 0, width: 0.25, height: 0.25 }, pageSize, { margin: 100, gutter });
+    expect(cell.height).toBeCloseTo(1);
+    expect(cell.width).toBeGreaterThan(1);
+  });
+  
+  test('does not cap gutters that already fit', () => {
+    expect(resolveSpacing({ gutter: 20 }, pageSize, 4).gutter).toBe(20);
+    expect(resolveSpacing({ gutter: 5000 }, pageSize).gutter).toBe(5000);
+  });
+});
+
+describe('mapCellToContentArea', () => {
+  const spacing = { margin: 10, gutter: 20 };
+  
+  test('leaves one gutter between neighbouring cells', () => {
+    const left = mapCellToContentArea({ x: 0, y: 0, width: 0.5, height: 1 }, pageSize, spacing);
+    const right = mapCellToContentArea({ x: 0.5, y: 0, width: 0.5, height: 1 }, pageSize, spacing);
+    
+    expect(left).toEqual({ x: 10, y: 10, width: 480, height: 780 });
+    expect(right.x - (left.x + left.width)).toBeCloseTo(20);
+    expect(right.x + right.width).toBeCloseTo(990);
+  });
+  
+  test('is reversed by unmapCellFromContentArea', () => {
+    const cell = { x: 0.25, y: 0.5, width: 0.5, height: 0.25 };
+    const roundTrip = unmapCellFromContentArea(mapCellToContentArea(cell, pageSize, spacing), pageSize, spacing);
+    Object.keys(cell).forEach(key => expect(roundTrip[key]).toBeCloseTo(cell[key]));
+  });
+});
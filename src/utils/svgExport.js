@@ -0,0 +1,90 @@
+// 将布局导出为 SVG，方便在 Illustrator / Inkscape 中继续编辑
+// 每个单元格是一个 clipPath 矩形，照片以原始尺寸放入并通过 transform 缩放平移，
+// 裁剪区域（包括焦点和缩放）与 LayoutPreview 相同
+import { getCoverSourceRect, getCellCrop } from './cellCrop';
+import { downloadBlob, toFileName } from './download';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// SVG id 只能包含字母、数字、下划线、连字符和点，且必须以字母或下划线开头
+export function toSvgId(value) {
+  const id = String(value).replace(/[^a-z0-9_.-]+/gi, '_');
+  return /^[a-z_]/i.test(id) ? id : `_${id}`;
+}
+
+function formatNumber(value, digits = 3) {
+  return Number(value.toFixed(digits)).toString();
+}
+
+// 生成布局的 SVG 字符串
+// embedImages 为 true 时嵌入 data URI，否则链接到照片原始文件名
+// physicalSize（英寸）存在时用作 SVG 的物理宽高
+export function buildLayoutSvg(layout, pageSize, options = {}) {
+  const { embedImages = true, physicalSize = null } = options;
+  
+  const width = physicalSize ? `${formatNumber(physicalSize.width)}in` : formatNumber(pageSize.width);
+  const height = physicalSize ? `${formatNumber(physicalSize.height)}in` : formatNumber(pageSize.height);
+  
+  const clipPaths = [];
+  const images = [];
+  
+  layout.cells.forEach((cell, index) => {
+    if (!cell.photo) return;
+    
+    const photo = cell.photo;
+    const photoName = photo.name || `photo-${index + 1}`;
+    const clipId = `clip-${index + 1}`;
+    const cellId = toSvgId(`cell-${index + 1}-${photoName}`);
+    
+    clipPaths.push(
+      `    <clipPath id="${clipId}">\n` +
+      `      <rect id="${cellId}" x="${formatNumber(cell.x)}" y="${formatNumber(cell.y)}" ` +
+      `width="${formatNumber(cell.width)}" height="${formatNumber(cell.height)}"/>\n` +
+      `    </clipPath>`
+    );
+    
+    // 照片按原始像素尺寸放置，再缩放平移使可见区域正好对齐单元格
+    const source = getCoverSourceRect(cell, photo, getCellCrop(cell));
+    const scale = cell.width / source.width;
+    const translateX = cell.x - source.x * scale;
+    const translateY = cell.y - source.y * scale;
+    const href = escapeXml(embedImages ? photo.src : encodeURI(photoName));
+    
+    images.push(
+      `  <g id="${toSvgId(`photo-${index + 1}-${photoName}`)}" clip-path="url(#${clipId})">\n` +
+      `    <image href="${href}" xlink:href="${href}" width="${photo.width}" height="${photo.height}" ` +
+      `preserveAspectRatio="none" ` +
+      `transform="translate(${formatNumber(translateX)} ${formatNumber(translateY)}) scale(${formatNumber(scale, 6)})"/>\n` +
+      `  </g>`
+    );
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+      `width="${width}" height="${height}" viewBox="0 0 ${formatNumber(pageSize.width)} ${formatNumber(pageSize.height)}">`,
+    `  <title>${escapeXml(layout.name || 'layout')}</title>`,
+    '  <defs>',
+    ...clipPaths,
+    '  </defs>',
+    `  <rect width="${formatNumber(pageSize.width)}" height="${formatNumber(pageSize.height)}" fill="#ffffff"/>`,
+    ...images,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+// 导出并下载布局 SVG
+export function exportLayoutSvg(layout, pageSize, options = {}) {
+  const svg = buildLayoutSvg(layout, pageSize, options);
+  const blob = new Blob([svg], { type: 'image/svg+xml' });
+  downloadBlob(blob, toFileName(layout.name, 'svg'));
+  return blob;
+}
@@ -0,0 +1,81 @@
+import { buildLayoutSvg, toSvgId } from './svgExport';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const photo = (name, width, height) => ({ name, width, height, src: `data:image/jpeg;base64,${name}` });
+
+const layout = {
+  name: 'grid-1x2 & more',
+  cells: [
+    { x: 10, y: 20, width: 100, height: 100, photo: photo('wide.jpg', 2000, 1000) },
+    { x: 120, y: 20, width: 100, height: 200, photo: photo('my photo.jpg', 1000, 1000), focalPoint: { x: 0, y: 0.5 } },
+    { x: 230, y: 20, width: 100, height: 100, photo: null }
+  ]
+};
+const pageSize = { width: 400, height: 300 };
+
+const parse = svg => new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+describe('buildLayoutSvg', () => {
+  const document = parse(buildLayoutSvg(layout, pageSize));
+  const svg = document.documentElement;
+  
+  test('produces a well-formed SVG document sized to the page', () => {
+    expect(document.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(svg.namespaceURI).toBe(SVG_NS);
+    expect(svg.getAttribute('width')).toBe('400');
+    expect(svg.getAttribute('viewBox')).toBe('0 0 400 300');
+    expect(svg.getElementsByTagName('title')[0].textContent).toBe('grid-1x2 & more');
+  });
+  
+  test('clips each photo to its cell and skips empty cells', () => {
+    const rects = Array.from(svg.querySelectorAll('clipPath rect'));
+    expect(rects.map(rect => ['x', 'y', 'width', 'height'].map(name => rect.getAttribute(name)))).toEqual([
+      ['10', '20', '100', '100'],
+      ['120', '20', '100', '200']
+    ]);
+    
+    const groups = Array.from(svg.querySelectorAll('g'));
+    expect(groups.map(group => group.getAttribute('clip-path'))).toEqual(['url(#clip-1)', 'url(#clip-2)']);
+  });
+  
+  test('scales and shifts the photo so the cropped area fills the cell', () => {
+    const [wide, square] = Array.from(svg.getElementsByTagName('image'));
+    
+    // 2000x1000 的照片放入正方形单元格：居中裁剪出 1000x1000，缩放 0.1
+    expect(wide.getAttribute('transform')).toBe('translate(-40 20) scale(0.1)');
+    expect(wide.getAttribute('width')).toBe('2000');
+    // 焦点在左边缘时从照片左侧开始裁剪
+    expect(square.getAttribute('transform')).toBe('translate(120 20) scale(0.2)');
+  });
+  
+  test('embeds the photo data or links to the file name', () => {
+    const [embedded] = Array.from(svg.getElementsByTagName('image'));
+    expect(embedded.getAttribute('href')).toBe('data:image/jpeg;base64,wide.jpg');
+    
+    const linked = parse(buildLayoutSvg(layout, pageSize, { embedImages: false })).getElementsByTagName('image');
+    expect(linked[1].getAttribute('href')).toBe('my%20photo.jpg');
+  });
+  
+  test('uses the physical size when given', () => {
+    const physical = parse(buildLayoutSvg(layout, pageSize, { physicalSize: { width: 4, height: 3 } })).documentElement;
+    expect(physical.getAttribute('width')).toBe('4in');
+    expect(physical.getAttribute('height')).toBe('3in');
+    expect(physical.getAttribute('viewBox')).toBe('0 0 400 300');
+  });
+});
+
+describe('toSvgId', () => {
+  test('replaces characters that are not allowed in ids', () => {
+    expect(toSvgId('cell-1-my photo.jpg')).toBe('cell-1-my_photo.jpg');
+    expect(toSvgId('été/2024')).toBe('_t_2024');
+  });
+  
+  test('prefixes ids that do not start with a letter or underscore', () => {
+    expect(toSvgId('2024-beach.jpg')).toBe('_2024-beach.jpg');
+    expect(toSvgId('-draft')).toBe('_-draft');
+    expect(toSvgId('.hidden')).toBe('_.hidden');
+    expect(toSvgId('_keep')).toBe('_keep');
+    expect(toSvgId(7)).toBe('_7');
+  });
+});
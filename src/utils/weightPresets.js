@@ -0,0 +1,82 @@
+// 评分权重预设：内置预设和用户保存在 localStorage 中的预设
+// 预设为 { name, weights }，weights 以指标 id 为键（见 metricRegistry.js）
+import { getDefaultWeights, getRegisteredMetrics } from './metricRegistry';
+
+export const WEIGHT_PRESETS_STORAGE_KEY = 'photo-grid-optimizer/weight-presets';
+
+export const DEFAULT_PRESET_NAME = 'Default';
+
+// 内置预设基于默认权重调整，注册表中新增的指标沿用默认权重
+export function getBuiltInPresets() {
+  const defaults = getDefaultWeights();
+  return [
+    { name: DEFAULT_PRESET_NAME, weights: defaults },
+    {
+      name: 'Print quality',
+      weights: { ...defaults, resolution: 0.5, focalCroppingRate: 0.25, utilization: 0.15, sizeBalance: 0.1 }
+    },
+    {
+      name: 'Minimal cropping',
+      weights: { ...defaults, focalCroppingRate: 0.4, salientContentLost: 0.3, utilization: 0.15, sizeBalance: 0.05, resolution: 0.1 }
+    },
+    {
+      name: 'Fill the page',
+      weights: { ...defaults, utilization: 0.6, focalCroppingRate: 0.2, sizeBalance: 0.1, resolution: 0.1 }
+    }
+  ];
+}
+
+// 只保留已注册指标的有效权重（0-1）
+export function normalizeWeights(weights) {
+  const normalized = getDefaultWeights();
+  getRegisteredMetrics().forEach(metric => {
+    const value = Number(weights && weights[metric.id]);
+    if (Number.isFinite(value)) normalized[metric.id] = Math.min(1, Math.max(0, value));
+  });
+  return normalized;
+}
+
+// 两组权重是否相同（按已注册的指标比较）
+export function areWeightsEqual(a, b) {
+  return getRegisteredMetrics().every(metric =>
+    Math.abs((a[metric.id] || 0) - (b[metric.id] || 0)) < 1e-9
+  );
+}
+
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    // 禁用存储时访问 localStorage 会抛出错误
+    return null;
+  }
+}
+
+// 读取用户保存的预设；数据损坏或无法访问存储时返回空数组
+export function loadWeightPresets() {
+  const storage = getStorage();
+  if (!storage) return [];
+  
+  try {
+    const saved = JSON.parse(storage.getItem(WEIGHT_PRESETS_STORAGE_KEY) || '[]');
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim() !== '')
+      .map(preset => ({ name: preset.name.trim(), weights: normalizeWeights(preset.weights) }));
+  } catch (error) {
+    return [];
+  }
+}
+
+// 保存用户预设，返回是否成功
+export function saveWeightPresets(presets) {
+  const storage = getStorage();
+  if (!storage) return false;
+  
+  try {
+    storage.setItem(WEIGHT_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}